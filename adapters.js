@@ -0,0 +1,166 @@
+/**
+ * Source adapters
+ *
+ * The test frameworks a source file may be written for. Each file is read
+ * through the adapter whose detection patterns it matches best; plain
+ * describe/it tests on the DOM (Jest, Mocha, Jasmine) need no adapter
+ * hooks at all.
+ */
+
+import { calleePath, memberPath, propertyName, quote, unwrap } from './ast.js';
+import { cypress } from './cypress.js';
+import { selenium } from './webdriver.js';
+
+/**
+ * An adapter is an object:
+ *
+ *   {
+ *     name: 'qunit',
+ *     label: 'QUnit',
+ *     // Source patterns; the adapter matching most of them reads the file
+ *     detect: [/\bQUnit\.test\(/],
+ *     // Suite, test and hook calls, as classifyCallee() in structure.js
+ *     classify: name => ...,
+ *     // A suite call without a callback holds the tests that follow it
+ *     flatSuites: true,
+ *     // Steps for an expression, [] to drop it, or null to leave it to
+ *     // the built-in rules
+ *     translate: (expr, translator) => ...,
+ *     // Selectors for framework-specific element and list lookups
+ *     resolveElement: (node, translator) => ...,
+ *     resolveCollection: (node, translator) => ...,
+ *     // What a framework-specific read asserts on, as in assertions.js
+ *     describeSubject: (node, translator) => ...,
+ *   }
+ */
+
+export const DEFAULT_ADAPTER = { name: 'dom', label: 'Browser DOM', detect: [] };
+
+// =============================================================================
+// QUNIT
+// =============================================================================
+
+const QUNIT_MODIFIERS = { skip: '@skip', only: '@only', todo: '@todo' };
+
+// hooks.beforeEach(fn) inside QUnit.module('x', hooks => { ... })
+const QUNIT_HOOKS = /^(?!QUnit\.)\w+\.(before|beforeEach|after|afterEach)$/;
+
+// qunit-dom assertions on assert.dom('#x'), by the step they become
+const DOM_ASSERTIONS = {
+  exists: s => `the element ${s} should exist`,
+  doesNotExist: s => `the element ${s} should not exist`,
+  isVisible: s => `the element ${s} should be visible`,
+  isNotVisible: s => `the element ${s} should not be visible`,
+  isChecked: s => `the checkbox ${s} should be checked`,
+  isNotChecked: s => `the checkbox ${s} should not be checked`,
+  isDisabled: s => `the element ${s} should be disabled`,
+  isNotDisabled: s => `the element ${s} should be enabled`,
+  isEnabled: s => `the element ${s} should be enabled`,
+  hasText: (s, v) => v && `the element ${s} should have text ${v}`,
+  includesText: (s, v) => v && `the element ${s} should contain ${v}`,
+  hasTextContaining: (s, v) => v && `the element ${s} should contain ${v}`,
+  doesNotIncludeText: (s, v) => v && `the element ${s} should not contain ${v}`,
+  hasValue: (s, v) => v && `the input ${s} should have value ${v}`,
+  hasClass: (s, v) => v && `the element ${s} should have class ${v}`,
+  doesNotHaveClass: (s, v) => v && `the element ${s} should not have class ${v}`,
+};
+
+// Assertion plumbing: assert.expect(3), const done = assert.async()
+const QUNIT_QUIET = new Set(['assert.expect', 'assert.async']);
+
+export const qunit = {
+  name: 'qunit',
+  label: 'QUnit',
+  detect: [/\bQUnit\.(module|test|skip|only|todo)\(/, /\bassert\.(expect|async|dom)\(/, /\bqunit\b/i],
+  flatSuites: true,
+  classify(name) {
+    const hook = QUNIT_HOOKS.exec(name || '');
+    if (hook) return { kind: 'hook', hook: hook[1], tags: [] };
+    // QUnit.module.skip('x'), module('x'), QUnit.test.only(...), QUnit.todo(...)
+    const parts = /^(QUnit\.)?(module|test|skip|only|todo)(?:\.(skip|only|todo))?$/.exec(name || '');
+    if (!parts || (!parts[1] && parts[2] !== 'module')) return null;
+    const [, , base, modifier] = parts;
+    if (base === 'module') return { kind: 'suite', tags: modifier ? [QUNIT_MODIFIERS[modifier]] : [] };
+    if (base === 'test') return { kind: 'test', tags: modifier ? [QUNIT_MODIFIERS[modifier]] : [] };
+    return modifier ? null : { kind: 'test', tags: [QUNIT_MODIFIERS[base]] };
+  },
+  translate(expr, translator) {
+    if (expr.type !== 'CallExpression') return null;
+    if (QUNIT_QUIET.has(calleePath(expr))) return [];
+
+    // assert.dom('#msg').hasText('Saved')
+    const callee = unwrap(expr.callee);
+    const target = callee.type === 'MemberExpression' ? unwrap(callee.object) : null;
+    if (calleePath(target) !== 'assert.dom') return null;
+    const selector = translator.valueOf(target.arguments[0]);
+    const step = selector !== null && DOM_ASSERTIONS[propertyName(callee)];
+    if (!step) return null;
+    const expected = expr.arguments.length > 0 ? translator.valueOf(expr.arguments[0]) : null;
+    const text = step(quote(selector), expected !== null ? quote(expected) : null);
+    return text ? [{ keyword: 'Then', text }] : null;
+  },
+};
+
+// =============================================================================
+// JASMINE
+// =============================================================================
+
+// describe/it, hooks and x/f prefixes are the built-in ones; its clock and
+// jasmine-jquery matchers are known to timers.js and assertions.js
+export const jasmine = {
+  name: 'jasmine',
+  label: 'Jasmine',
+  detect: [/\bjasmine\.\w+/, /(^|[^.\w])spyOn\(/, /\.and\.(returnValue|callFake|callThrough)\(/, /\bjasmine-jquery\b/],
+};
+
+// =============================================================================
+// MOCHA + JSDOM
+// =============================================================================
+
+// global.document = dom.window.document
+const GLOBAL_TARGETS = /^(global|globalThis)\.\w+$/;
+
+export const jsdom = {
+  name: 'mocha-jsdom',
+  label: 'Mocha + jsdom',
+  detect: [/\bnew JSDOM\(/, /(require\(|from )['"](jsdom|jsdom-global|mocha-jsdom)['"]/],
+  translate(expr, translator) {
+    // const dom = new JSDOM('<form>...</form>') builds the page in memory
+    if (expr.type === 'NewExpression' && memberPath(expr.callee) === 'JSDOM') return [];
+    if (expr.type === 'AssignmentExpression' && GLOBAL_TARGETS.test(memberPath(expr.left) || '')) return [];
+    if (expr.type !== 'CallExpression') return null;
+
+    // await JSDOM.fromURL('http://localhost:3000/')
+    const path = calleePath(expr);
+    if (path === 'JSDOM.fromURL') {
+      const url = translator.valueOf(expr.arguments[0]);
+      return url === null ? null : [{ keyword: 'Given', text: `I navigate to ${quote(url)}` }];
+    }
+    // require('jsdom-global')(), dom.window.close()
+    if (calleePath(unwrap(expr.callee)) === 'require') return [];
+    return path && /\.window\.close$/.test(path) ? [] : null;
+  },
+};
+
+// =============================================================================
+// DETECTION
+// =============================================================================
+
+export const ADAPTERS = [qunit, jasmine, jsdom, selenium, cypress];
+
+/**
+ * The adapter for a source file: the one matching the most of its
+ * detection patterns, earlier adapters winning ties, or DEFAULT_ADAPTER.
+ */
+export function detectFramework(content) {
+  let best = DEFAULT_ADAPTER;
+  let bestScore = 0;
+  for (const adapter of ADAPTERS) {
+    const score = adapter.detect.filter(pattern => pattern.test(content)).length;
+    if (score > bestScore) {
+      best = adapter;
+      bestScore = score;
+    }
+  }
+  return best;
+}
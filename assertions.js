@@ -0,0 +1,603 @@
+/**
+ * Assertion translation
+ *
+ * Recognizes expect/assert/console.assert calls and `if (...) throw` guards
+ * and maps what they check onto concrete Then steps. Shapes that can't be
+ * mapped return null, so the caller can fall back to a pending placeholder.
+ */
+
+import { booleanValue, calleePath, memberPath, propertyName, quote, stringValue, unwrap } from './ast.js';
+import { STATE_PSEUDOS } from './jquery.js';
+import { COOKIE_PATHS, STORAGE_AREAS, STORAGE_MEMBERS, cookieCheckStep } from './storage.js';
+
+const EXPECT_CALLEES = new Set(['expect', 'chai.expect']);
+
+// Matchers and chai words, by what they check
+const EQUALS = new Set(['toBe', 'toEqual', 'toStrictEqual', 'equal', 'equals', 'eq', 'eql']);
+const CONTAINS = new Set(['toContain', 'include', 'includes', 'contain', 'contains', 'toMatch', 'match', 'string', 'toHaveTextContent']);
+const TRUTHY = new Set(['toBeTruthy', 'ok', 'true', 'toBeDefined', 'exist', 'toBeInTheDocument', 'toExist', 'toBeInDOM']);
+const FALSY = new Set(['toBeFalsy', 'false', 'toBeNull', 'null', 'undefined', 'toBeUndefined']);
+const LENGTH = new Set(['toHaveLength', 'length', 'lengthOf']);
+
+// jest-dom and jasmine-jquery style matchers on the element itself
+const ELEMENT_MATCHERS = {
+  toBeChecked: 'checked',
+  toBeDisabled: 'disabled',
+  toBeEnabled: 'enabled',
+  toBeVisible: 'visible',
+  toBeHidden: 'hidden',
+  checked: 'checked',
+  disabled: 'disabled',
+  visible: 'visible',
+};
+
+const ASSERT_EQUALS = new Set(['equal', 'strictEqual', 'deepEqual', 'deepStrictEqual', 'equals', 'propEqual']);
+const ASSERT_NOT_EQUALS = new Set(['notEqual', 'notStrictEqual', 'notDeepEqual', 'notDeepStrictEqual']);
+const ASSERT_TRUTHY = new Set(['ok', 'isOk', 'isTrue', 'true', 'exists', 'isDefined', 'isNotNull']);
+const ASSERT_FALSY = new Set(['notOk', 'isNotOk', 'isFalse', 'false', 'notExists', 'isNull', 'isUndefined']);
+
+const TEXT_PROPS = new Set(['innerText', 'textContent', 'innerHTML']);
+const URL_PATHS = new Set([
+  'window.location.href',
+  'location.href',
+  'document.location.href',
+  'document.URL',
+]);
+const URL_PART_PATHS = new Set([
+  'window.location.pathname',
+  'location.pathname',
+  'window.location.hash',
+  'location.hash',
+  'window.location.search',
+  'location.search',
+]);
+
+// jQuery getters on an element, by what they read: $('#msg').text()
+const JQUERY_GETTERS = new Set(['text', 'html', 'val', 'attr', 'prop', 'hasClass', 'is', 'css']);
+const JQUERY_PROPS = { checked: 'checked', disabled: 'disabled', value: 'value' };
+
+// An {int} step argument, or a Scenario Outline placeholder filled with one
+const COUNT = /^(\d+|<\w+>)$/;
+
+export function isExpectChain(node) {
+  return expectRoot(node) !== null;
+}
+
+function expectRoot(node) {
+  node = unwrap(node);
+  while (node) {
+    if (node.type === 'CallExpression') {
+      if (EXPECT_CALLEES.has(calleePath(node))) return node;
+      node = unwrap(node.callee);
+    } else if (node.type === 'MemberExpression') {
+      node = unwrap(node.object);
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+export function isAssertCall(call) {
+  const path = calleePath(call);
+  return Boolean(path) && /^(assert|chai\.assert|console\.assert)(\.|$)/.test(path);
+}
+
+// =============================================================================
+// STATEMENT SHAPES
+// =============================================================================
+
+// Steps for an expect()/assert()/console.assert() expression, or null
+export function assertionSteps(translator, expr) {
+  expr = unwrap(expr);
+  const checks = isExpectChain(expr) ? expectChecks(expr) : assertChecks(expr);
+  return checks ? stepsFor(translator, checks) : null;
+}
+
+// if (!cond) throw new Error('...') asserts cond
+export function throwGuardSteps(translator, node) {
+  const checks = conditionChecks(node.test, true);
+  return checks ? stepsFor(translator, checks) : null;
+}
+
+// A condition polled until it holds, e.g. by setInterval or waitFor
+export function conditionSteps(translator, cond) {
+  const checks = conditionChecks(cond, false);
+  return checks ? stepsFor(translator, checks) : null;
+}
+
+function stepsFor(translator, checks) {
+  const steps = [];
+  for (const check of checks) {
+    const step = checkToStep(translator, check);
+    if (!step) return null;
+    steps.push(step);
+  }
+  return steps.length > 0 ? steps : null;
+}
+
+// expect(actual)[.not|.to|.be...].matcher(expected)
+function expectChecks(expr) {
+  const root = expectRoot(expr);
+  const actual = root.arguments[0];
+  const words = [];
+  let args = [];
+
+  let node = expr;
+  while (node !== root) {
+    if (node.type === 'CallExpression') {
+      if (words.length === 0) args = node.arguments;
+      node = unwrap(node.callee);
+    } else {
+      words.unshift(propertyName(node));
+      node = unwrap(node.object);
+    }
+  }
+
+  const negated = words.filter(w => w === 'not').length % 2 === 1;
+  const matcher = words[words.length - 1];
+  const expected = args[0];
+
+  if (ELEMENT_MATCHERS[matcher]) {
+    return [{ subject: actual, op: ELEMENT_MATCHERS[matcher], negated }];
+  }
+  if (EQUALS.has(matcher)) {
+    return equalityChecks(actual, expected, negated);
+  }
+  if (CONTAINS.has(matcher)) {
+    return [{ subject: actual, op: 'contains', expected, negated }];
+  }
+  if (TRUTHY.has(matcher)) {
+    return conditionChecks(actual, negated);
+  }
+  if (FALSY.has(matcher)) {
+    return conditionChecks(actual, !negated);
+  }
+  if (LENGTH.has(matcher)) {
+    return [{ subject: actual, op: 'count', expected, negated }];
+  }
+  if (matcher === 'toHaveValue' || matcher === 'value') {
+    return [{ subject: actual, op: 'value', expected, negated }];
+  }
+  if (matcher === 'toHaveClass' || matcher === 'class') {
+    return [{ subject: actual, op: 'hasClass', expected, negated }];
+  }
+  // jasmine-jquery: expect($('#msg')).toHaveText('Saved'), .toHaveAttr('href', '/')
+  if (matcher === 'toHaveText' || matcher === 'toContainText') {
+    return [{ subject: actual, op: matcher === 'toHaveText' ? 'text' : 'containsText', expected, negated }];
+  }
+  if (matcher === 'toHaveAttr' && args.length === 2) {
+    return [{ subject: actual, op: 'attribute', name: expected, expected: args[1], negated }];
+  }
+  return null;
+}
+
+// assert(cond) / assert.equal(a, b) / console.assert(cond, msg)
+function assertChecks(call) {
+  const path = calleePath(call);
+  const method = path.split('.').pop();
+  const [first, second] = call.arguments;
+
+  if (path === 'assert' || path === 'console.assert' || ASSERT_TRUTHY.has(method)) {
+    return conditionChecks(first, false);
+  }
+  if (ASSERT_FALSY.has(method)) {
+    return conditionChecks(first, true);
+  }
+  if (ASSERT_EQUALS.has(method)) {
+    return equalityChecks(first, second, false);
+  }
+  if (ASSERT_NOT_EQUALS.has(method)) {
+    return equalityChecks(first, second, true);
+  }
+  if (method === 'include' || method === 'includes') {
+    return [{ subject: first, op: 'contains', expected: second, negated: false }];
+  }
+  if (method === 'notInclude') {
+    return [{ subject: first, op: 'contains', expected: second, negated: true }];
+  }
+  if (method === 'lengthOf') {
+    return [{ subject: first, op: 'count', expected: second, negated: false }];
+  }
+  return null;
+}
+
+// a === b, where either side may be the expected literal
+function equalityChecks(actual, expected, negated) {
+  const bool = booleanValue(expected);
+  if (bool !== null) return conditionChecks(actual, bool === negated);
+
+  // el === null: the element is not there
+  if (unwrap(expected) && unwrap(expected).type === 'NullLiteral') return conditionChecks(actual, !negated);
+
+  // x.indexOf('y') compared against -1
+  const indexOf = indexOfCheck(actual, expected, negated ? '!==' : '===');
+  if (indexOf) return [indexOf];
+
+  return [{ subject: actual, op: 'equals', expected, negated }];
+}
+
+// Checks that make `cond` truthy (or falsy when negated)
+function conditionChecks(cond, negated) {
+  cond = unwrap(cond);
+  if (!cond) return null;
+
+  if (cond.type === 'UnaryExpression' && cond.operator === '!') {
+    return conditionChecks(cond.argument, !negated);
+  }
+
+  if (cond.type === 'LogicalExpression' && cond.operator === '&&' && !negated) {
+    const left = conditionChecks(cond.left, false);
+    const right = conditionChecks(cond.right, false);
+    return left && right ? [...left, ...right] : null;
+  }
+
+  // !(a || b) asserts both are falsy
+  if (cond.type === 'LogicalExpression' && cond.operator === '||' && negated) {
+    const left = conditionChecks(cond.left, true);
+    const right = conditionChecks(cond.right, true);
+    return left && right ? [...left, ...right] : null;
+  }
+
+  if (cond.type === 'BinaryExpression') {
+    const flip = cond.operator === '!==' || cond.operator === '!=';
+    if (['===', '==', '!==', '!='].includes(cond.operator)) {
+      const literalLeft = isLiteral(cond.left) && !isLiteral(cond.right);
+      const [actual, expected] = literalLeft ? [cond.right, cond.left] : [cond.left, cond.right];
+      return equalityChecks(actual, expected, negated !== flip);
+    }
+
+    const indexOf = indexOfCheck(cond.left, cond.right, cond.operator, negated);
+    return indexOf ? [indexOf] : null;
+  }
+
+  // text.includes('x')
+  if (cond.type === 'CallExpression') {
+    const method = propertyName(unwrap(cond.callee));
+    const object = unwrap(cond.callee).object;
+    if ((method === 'includes' || method === 'contains') && object && !isClassList(object)) {
+      return [{ subject: object, op: 'contains', expected: cond.arguments[0], negated }];
+    }
+  }
+
+  return [{ subject: cond, op: 'truthy', negated }];
+}
+
+// text.indexOf('x') !== -1 / > -1 / >= 0 / === -1
+function indexOfCheck(left, right, operator, negated = false) {
+  left = unwrap(left);
+  if (!left || left.type !== 'CallExpression' || propertyName(unwrap(left.callee)) !== 'indexOf') return null;
+
+  const bound = numberValue(right);
+  let found;
+  if (bound === -1 && (operator === '!==' || operator === '!=' || operator === '>')) found = true;
+  else if (bound === -1 && (operator === '===' || operator === '==')) found = false;
+  else if (bound === 0 && operator === '>=') found = true;
+  else if (bound === 0 && operator === '<') found = false;
+  else return null;
+
+  return {
+    subject: unwrap(left.callee).object,
+    op: 'contains',
+    expected: left.arguments[0],
+    negated: found === negated,
+  };
+}
+
+function numberValue(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'NumericLiteral') return node.value;
+  if (node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'NumericLiteral') {
+    return -node.argument.value;
+  }
+  return null;
+}
+
+function isLiteral(node) {
+  node = unwrap(node);
+  return Boolean(node) && (stringValue(node) !== null || booleanValue(node) !== null || numberValue(node) !== null);
+}
+
+function isClassList(node) {
+  node = unwrap(node);
+  return node.type === 'MemberExpression' && propertyName(node) === 'classList';
+}
+
+// =============================================================================
+// MOCK ASSERTIONS
+// =============================================================================
+
+/**
+ * An assertion on a mock function as `{ subject, matcher, args, negated }`:
+ * `expect(subject)[.not|.to|.have|.been...].matcher(...args)` or
+ * `sinon.assert.matcher(subject, ...args)`. Null for anything else.
+ */
+export function mockAssertion(call) {
+  call = unwrap(call);
+  if (!call || call.type !== 'CallExpression') return null;
+
+  const sinonAssert = /^sinon\.assert\.(\w+)$/.exec(calleePath(call) || '');
+  if (sinonAssert) {
+    const [subject, ...args] = call.arguments;
+    return { subject, matcher: sinonAssert[1], args, negated: false };
+  }
+
+  const words = [];
+  let node = unwrap(call.callee);
+  while (node && node.type === 'MemberExpression') {
+    words.unshift(propertyName(node));
+    node = unwrap(node.object);
+  }
+  if (!node || node.type !== 'CallExpression' || !EXPECT_CALLEES.has(calleePath(node))) return null;
+  return {
+    subject: node.arguments[0],
+    matcher: words[words.length - 1],
+    args: call.arguments,
+    negated: words.filter(w => w === 'not').length % 2 === 1,
+  };
+}
+
+// '/api/login', or the string inside expect.stringContaining('/api/login')
+export function matcherValue(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  const path = calleePath(node);
+  if (path && /^(expect\.stringContaining|expect\.stringMatching|sinon\.match)$/.test(path)) {
+    return translator.valueOf(node.arguments[0]);
+  }
+  return translator.valueOf(node);
+}
+
+// =============================================================================
+// SUBJECTS
+// =============================================================================
+
+// What an asserted expression reads: el.innerText → { kind: 'text', selector }
+function describeSubject(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+
+  // Reads only the file's framework knows: await el.getText() in Selenium
+  const adapter = translator.adapter;
+  const adapted = adapter && adapter.describeSubject ? adapter.describeSubject(node, translator) : null;
+  if (adapted) return adapted;
+
+  // el.innerText.trim() reads the same text
+  if (node.type === 'CallExpression' && ['trim', 'toLowerCase', 'toString'].includes(propertyName(unwrap(node.callee)))) {
+    return describeSubject(translator, unwrap(node.callee).object);
+  }
+
+  const path = memberPath(node);
+  if (path === 'document.title') return { kind: 'title' };
+  if (URL_PATHS.has(path)) return { kind: 'url' };
+  if (URL_PART_PATHS.has(path)) return { kind: 'urlPart' };
+  if (COOKIE_PATHS.has(path)) return { kind: 'cookies' };
+
+  if (node.type === 'CallExpression') {
+    const callee = unwrap(node.callee);
+    const method = propertyName(callee);
+
+    // localStorage.getItem('token')
+    if (method === 'getItem' && STORAGE_AREAS[memberPath(callee.object)]) {
+      const key = translator.valueOf(node.arguments[0]);
+      return key !== null ? { kind: 'storage', area: STORAGE_AREAS[memberPath(callee.object)], key } : null;
+    }
+
+    // el.classList.contains('active')
+    if (method === 'contains' && isClassList(callee.object)) {
+      const selector = translator.resolveElement(unwrap(callee.object).object);
+      const className = translator.valueOf(node.arguments[0]);
+      return selector && className !== null ? { kind: 'hasClass', selector, className } : null;
+    }
+
+    // el.getAttribute('href')
+    if (method === 'getAttribute') {
+      const selector = translator.resolveElement(callee.object);
+      const name = translator.valueOf(node.arguments[0]);
+      return selector && name !== null ? { kind: 'attribute', selector, name } : null;
+    }
+
+    if (JQUERY_GETTERS.has(method)) {
+      const jquery = jqueryGetter(translator, node);
+      if (jquery) return jquery;
+    }
+  }
+
+  if (node.type === 'MemberExpression') {
+    const prop = propertyName(node);
+
+    // localStorage.token
+    const area = STORAGE_AREAS[memberPath(node.object)];
+    if (area) return prop && !STORAGE_MEMBERS.has(prop) ? { kind: 'storage', area, key: prop } : null;
+
+    if (prop === 'length') {
+      const collection = translator.resolveCollection(node.object);
+      if (collection) return { kind: 'count', selector: collection };
+    }
+
+    const selector = translator.resolveElement(node.object) ||
+      (memberPath(node.object) === 'document.body' ? 'body' : null);
+    if (selector) {
+      if (TEXT_PROPS.has(prop)) return { kind: 'text', selector };
+      if (prop === 'value') return { kind: 'value', selector };
+      if (prop === 'checked') return { kind: 'checked', selector };
+      if (prop === 'disabled') return { kind: 'disabled', selector };
+      if (prop === 'hidden') return { kind: 'hidden', selector };
+      if (prop === 'className') return { kind: 'className', selector };
+      if (prop === 'offsetParent') return { kind: 'visible', selector };
+    }
+
+    // el.style.display
+    if (prop === 'display' && propertyName(unwrap(node.object)) === 'style') {
+      const styled = translator.resolveElement(unwrap(node.object).object);
+      if (styled) return { kind: 'display', selector: styled };
+    }
+  }
+
+  const selector = translator.resolveElement(node);
+  if (selector) return { kind: 'element', selector };
+
+  const collection = translator.resolveCollection(node);
+  if (collection) return { kind: 'collection', selector: collection };
+
+  return null;
+}
+
+// $('#msg').text(), .val(), .attr('href'), .prop('checked'), .hasClass('x'),
+// .is(':visible'), .css('display')
+function jqueryGetter(translator, call) {
+  const callee = unwrap(call.callee);
+  const method = propertyName(callee);
+  const selector = translator.resolveElement(callee.object);
+  if (!selector) return null;
+
+  if (call.arguments.length === 0) {
+    if (method === 'text' || method === 'html') return { kind: 'text', selector };
+    return method === 'val' ? { kind: 'value', selector } : null;
+  }
+  const arg = call.arguments.length === 1 ? translator.valueOf(call.arguments[0]) : null;
+  if (arg === null) return null;
+  switch (method) {
+    case 'attr':
+      return { kind: 'attribute', selector, name: arg };
+    case 'prop':
+      return JQUERY_PROPS[arg] ? { kind: JQUERY_PROPS[arg], selector } : null;
+    case 'hasClass':
+      return { kind: 'hasClass', selector, className: arg };
+    case 'is':
+      if (STATE_PSEUDOS[arg]) return { kind: STATE_PSEUDOS[arg], selector };
+      return /^\.[\w-]+$/.test(arg) ? { kind: 'hasClass', selector, className: arg.slice(1) } : null;
+    case 'css':
+      return arg === 'display' ? { kind: 'display', selector } : null;
+    default:
+      return null;
+  }
+}
+
+// =============================================================================
+// CHECK → STEP
+// =============================================================================
+
+function checkToStep(translator, { subject, op, expected, negated, name }) {
+  const target = describeSubject(translator, subject);
+  if (!target) return null;
+
+  const value = expected === undefined ? null : translator.valueOf(expected);
+  const s = target.selector ? quote(target.selector) : null;
+  const v = value !== null ? quote(value) : null;
+
+  switch (op) {
+    case 'truthy':
+      return truthyStep(target, negated);
+
+    case 'checked':
+    case 'disabled':
+    case 'visible':
+    case 'hidden':
+      return truthyStep({ ...target, kind: target.kind === 'element' ? op : null }, negated);
+
+    case 'enabled':
+      return truthyStep({ ...target, kind: target.kind === 'element' ? 'disabled' : null }, !negated);
+
+    case 'equals':
+      if (v === null) return null;
+      switch (target.kind) {
+        case 'text':
+          if (target.selector === 'body') return null;
+          return `the element ${s} should ${negated ? 'not have' : 'have'} text ${v}`;
+        case 'value':
+          return `the input ${s} should ${negated ? 'not have' : 'have'} value ${v}`;
+        case 'attribute':
+          return negated ? null : `the element ${s} should have attribute ${quote(target.name)} with value ${v}`;
+        case 'count':
+        case 'collection':
+          return negated || !COUNT.test(value) ? null : `there should be ${value} elements matching ${s}`;
+        case 'title':
+          return negated ? null : `the page title should be ${v}`;
+        case 'url':
+          return negated ? null : `the URL should be ${v}`;
+        case 'urlPart':
+          return negated ? null : `the URL should contain ${v}`;
+        case 'display':
+          return value === 'none' ? truthyStep({ ...target, kind: 'visible' }, !negated) : null;
+        case 'storage':
+          return negated ? null : `${target.area} ${quote(target.key)} should be ${v}`;
+        case 'cookies':
+          return /^[^;]*$/.test(value) ? cookieCheckStep(value, negated) : null;
+        default:
+          return null;
+      }
+
+    case 'contains':
+      if (v === null) return null;
+      switch (target.kind) {
+        case 'cookies':
+          return cookieCheckStep(value, negated);
+        case 'text':
+          if (target.selector === 'body') return `I should ${negated ? 'not see' : 'see'} ${v}`;
+          return `the element ${s} should ${negated ? 'not contain' : 'contain'} ${v}`;
+        case 'className':
+          return `the element ${s} should ${negated ? 'not have' : 'have'} class ${v}`;
+        case 'url':
+        case 'urlPart':
+          return negated ? null : `the URL should contain ${v}`;
+        default:
+          return null;
+      }
+
+    case 'value':
+      if (v === null || target.kind !== 'element') return null;
+      return `the input ${s} should ${negated ? 'not have' : 'have'} value ${v}`;
+
+    case 'hasClass':
+      if (v === null || target.kind !== 'element') return null;
+      return `the element ${s} should ${negated ? 'not have' : 'have'} class ${v}`;
+
+    case 'text':
+      if (v === null || target.kind !== 'element') return null;
+      return `the element ${s} should ${negated ? 'not have' : 'have'} text ${v}`;
+
+    case 'containsText':
+      if (v === null || target.kind !== 'element') return null;
+      return `the element ${s} should ${negated ? 'not contain' : 'contain'} ${v}`;
+
+    case 'attribute': {
+      const attribute = translator.valueOf(name);
+      if (v === null || attribute === null || target.kind !== 'element' || negated) return null;
+      return `the element ${s} should have attribute ${quote(attribute)} with value ${v}`;
+    }
+
+    case 'count':
+      if (value === null || !COUNT.test(value) || negated) return null;
+      if (target.kind !== 'collection' && target.kind !== 'count') return null;
+      return `there should be ${value} elements matching ${s}`;
+
+    default:
+      return null;
+  }
+}
+
+function truthyStep(target, negated) {
+  const s = target.selector ? quote(target.selector) : null;
+  switch (target.kind) {
+    case 'element':
+      return `the element ${s} should ${negated ? 'not exist' : 'exist'}`;
+    case 'checked':
+      return `the checkbox ${s} should ${negated ? 'not be checked' : 'be checked'}`;
+    case 'disabled':
+      return `the element ${s} should be ${negated ? 'enabled' : 'disabled'}`;
+    case 'enabled':
+      return `the element ${s} should be ${negated ? 'disabled' : 'enabled'}`;
+    case 'hidden':
+      return `the element ${s} should ${negated ? 'be visible' : 'not be visible'}`;
+    case 'visible':
+      return `the element ${s} should ${negated ? 'not be visible' : 'be visible'}`;
+    case 'hasClass':
+      return `the element ${s} should ${negated ? 'not have' : 'have'} class ${quote(target.className)}`;
+    case 'storage':
+      return `${target.area} ${quote(target.key)} should ${negated ? 'not be' : 'be'} set`;
+    default:
+      return null;
+  }
+}
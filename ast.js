@@ -0,0 +1,109 @@
+/**
+ * Parsing and AST helpers
+ *
+ * Test sources are parsed with Babel so .js, .ts, ESM and CommonJS files are
+ * all read the same way.
+ */
+
+import { parse } from '@babel/parser';
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+export function parseSource(content, filePath = '') {
+  const plugins = /\.[cm]?tsx?$/.test(filePath) ? ['typescript'] : ['jsx'];
+  if (/\.tsx$/.test(filePath)) plugins.push('jsx');
+
+  return parse(content, {
+    sourceType: 'unambiguous',
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    errorRecovery: true,
+    plugins,
+  });
+}
+
+// =============================================================================
+// AST HELPERS
+// =============================================================================
+
+// Strip TypeScript casts and non-null assertions: (el as HTMLInputElement)!
+export function unwrap(node) {
+  while (node && (
+    node.type === 'TSAsExpression' ||
+    node.type === 'TSSatisfiesExpression' ||
+    node.type === 'TSNonNullExpression' ||
+    node.type === 'TSTypeAssertion' ||
+    node.type === 'ParenthesizedExpression' ||
+    node.type === 'AwaitExpression'
+  )) {
+    node = node.expression || node.argument;
+  }
+  return node;
+}
+
+export function isFunction(node) {
+  return node && (
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration'
+  );
+}
+
+export function propertyName(member) {
+  if (!member || (member.type !== 'MemberExpression' && member.type !== 'OptionalMemberExpression')) {
+    return null;
+  }
+  if (!member.computed && member.property.type === 'Identifier') return member.property.name;
+  return stringValue(member.property);
+}
+
+// Dotted path of a member chain, e.g. "window.location.href"
+export function memberPath(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression') {
+    const object = memberPath(node.object);
+    const prop = propertyName(node);
+    return object && prop ? `${object}.${prop}` : null;
+  }
+  return null;
+}
+
+export function calleePath(call) {
+  return call && (call.type === 'CallExpression' || call.type === 'OptionalCallExpression')
+    ? memberPath(call.callee)
+    : null;
+}
+
+export function stringValue(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'StringLiteral') return node.value;
+  if (node.type === 'NumericLiteral') return String(node.value);
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis.map(q => q.value.cooked).join('');
+  }
+  return null;
+}
+
+export function booleanValue(node) {
+  node = unwrap(node);
+  return node && node.type === 'BooleanLiteral' ? node.value : null;
+}
+
+// Quote a value for a Cucumber {string} parameter
+export function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Insert text at source offsets, e.g. to add an import without reformatting
+// the rest of a file. Edits are `{ at, text }`.
+export function applyEdits(content, edits) {
+  return [...edits]
+    .sort((a, b) => b.at - a.at)
+    .reduce((result, edit) => result.slice(0, edit.at) + edit.text + result.slice(edit.at), content);
+}
@@ -7,13 +7,66 @@
  * with Gherkin feature files and Cucumber step definitions.
  */
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
 import path from 'path';
 import fs from 'fs';
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
 import { glob } from 'glob';
+import { DEFAULT_ADAPTER, detectFramework } from './adapters.js';
+import { parseSource, quote, unwrap } from './ast.js';
+import {
+  StepTranslator,
+  collectBindings,
+  completeScenario,
+  completeBackground,
+  formatStep,
+} from './translator.js';
+import { collectSuites, collectTestCases, planFeatures, setupHooks, slugify, teardownHooks } from './structure.js';
+import { expandOutline, mergeSimilarScenarios, renderExamples, usedColumns } from './outlines.js';
+import {
+  DEFAULT_PAGE_URLS,
+  compileSteps,
+  findStepDefinition,
+  inlineDefinition,
+  jsString,
+  librarySections,
+  renderStepFile,
+  selectorArgument,
+  stepToCode,
+  worldImport,
+} from './step-library.js';
+import {
+  MIGRATED_SECTION,
+  appendStepDefinitions,
+  describeDefinition,
+  libraryDefinitions,
+  planStepMerge,
+  readStepDefinitions,
+} from './step-files.js';
+import {
+  BDD_PROJECT,
+  PLAYWRIGHT_CONFIG_FILES,
+  SPECS_PROJECT,
+  mergePackageJson,
+  mergePlaywrightConfig,
+  mergeTsconfig,
+  unifiedDiff,
+} from './project-config.js';
+import { MigrationCache, filesChangedSince } from './incremental.js';
+import { MANIFEST_FILE, MigrationManifest } from './manifest.js';
+import { expandOutput, loadSettings } from './settings.js';
+import { loadPlugins, mergePatterns, planPluginSteps } from './plugins.js';
+import { LEGACY_STEPS } from './legacy.js';
+import { MigrationMap, formatRanges, mapFeature, sourceRange } from './migration-map.js';
+import { combineCoverage, testCoverage } from './coverage.js';
+import { REPORT_FORMATS, renderReport } from './reports.js';
+import { networkStubs } from './network.js';
+import { seedLogins } from './storage.js';
+import { SPEC_FIXTURES, TARGETS, generatesFeatures, generatesSpecs, renderSpecFile } from './spec-files.js';
+import { PAGE_STEPS, PageObjects, renderPageIndex, renderPageObject } from './page-objects.js';
+import { SelectorUpgrade, locatorCode } from './selector-upgrade.js';
 
 const program = new Command();
 
@@ -24,6 +77,12 @@ ${chalk.cyan('║')}  ${chalk.gray('Generates Gherkin features + Cucumber steps'
 ${chalk.cyan('╚════════════════════════════════════════════════════════════╝')}
 `;
 
+// Tags on every generated Feature and Scenario, unless settings say otherwise
+const DEFAULT_TAGS = {
+  feature: ['@browser-js', '@automated'],
+  scenario: ['@migrated'],
+};
+
 // =============================================================================
 // BROWSER JS PATTERNS TO DETECT
 // =============================================================================
@@ -67,12 +126,16 @@ const BROWSER_JS_PATTERNS = {
     localStorageGet: /localStorage\.getItem/g,
     sessionStorageSet: /sessionStorage\.setItem/g,
     sessionStorageGet: /sessionStorage\.getItem/g,
+    cookieSet: /document\.cookie\s*=[^=]/g,
+    cookieGet: /document\.cookie(?!\s*=[^=])/g,
   },
   async: {
     setTimeout: /setTimeout\s*\(/g,
     setInterval: /setInterval\s*\(/g,
     fetch: /fetch\s*\(/g,
     xhr: /XMLHttpRequest/g,
+    fetchStub: /\bfetchMock\b|\.fetch\s*=|spyOn\(\s*\w+\s*,\s*['"]fetch['"]/g,
+    xhrStub: /\.respondWith\(|\.on(?:Get|Post|Put|Patch|Delete|Any)\(/g,
   },
   events: {
     addEventListener: /\.addEventListener\(/g,
@@ -91,13 +154,22 @@ const BROWSER_JS_PATTERNS = {
 // =============================================================================
 
 class BrowserJSToPlaywrightBDD {
-  constructor(repoPath, config) {
+  constructor(repoPath, config = {}, settings = {}) {
     this.repoPath = repoPath;
+    // Defaults < project settings (bjs2pw.config.*) < CLI flags
+    const flags = Object.fromEntries(Object.entries(config).filter(([, value]) => value !== undefined));
+    // Where the settings came from; set by load()
+    this.settingsSource = null;
     this.config = {
       output: 'tests',
       featuresDir: 'tests/features',
       stepsDir: 'tests/steps',
+      specsDir: 'tests/specs',
+      pagesDir: 'tests/pages',
       supportDir: 'tests/support',
+      fixturesDir: 'tests/fixtures',
+      authDir: 'tests/auth',
+      target: 'playwright-bdd',
       include: [
         '**/*.test.js',
         '**/*.spec.js',
@@ -113,19 +185,82 @@ class BrowserJSToPlaywrightBDD {
         '**/playwright-report/**',
         '**/.playwright/**',
       ],
+      tags: DEFAULT_TAGS,
+      baseURL: 'http://localhost:3000',
+      pages: DEFAULT_PAGE_URLS,
+      splitDepth: 2,
+      outlines: true,
+      pageObjects: false,
+      html: null,
+      upgradeSelectors: false,
+      cache: true,
+      since: null,
+      reportFormat: null,
+      failUnder: null,
       dryRun: false,
       verbose: false,
-      ...config,
+      ...expandOutput(settings),
+      ...expandOutput(flags),
     };
+    // Settings may set only one of the two tag lists
+    this.config.tags = { ...DEFAULT_TAGS, ...this.config.tags };
+    if (this.config.upgradeSelectors && !this.config.html) {
+      throw new Error('--upgrade-selectors needs HTML to check selectors against: pass --html <glob>');
+    }
     this.report = {
       analyzed: 0,
       migrated: 0,
       skipped: 0,
+      unchanged: 0,
       features: 0,
+      specs: 0,
+      pages: 0,
       steps: 0,
+      // Locators proposed for selectors, by selector
+      upgrades: [],
       errors: [],
+      warnings: [],
     };
     this.collectedSteps = new Set();
+    // Every file and directory written goes through the manifest, for --revert
+    this.manifest = new MigrationManifest(repoPath);
+    // Plugins from the settings; loaded by load()
+    this.plugins = [];
+    this.patterns = BROWSER_JS_PATTERNS;
+    // Step definitions from plugins and legacy blocks, by expression
+    this.generatedDefinitions = new Map();
+    // Legacy block names given out this run → their code
+    this.legacyBlocks = new Map();
+    // Stubbed response fixtures written this run, by file name → content
+    this.fixtures = new Map();
+    // Fixture names taken, by file name → content: the files on disk that
+    // cached sources may use, then those given out this run
+    this.fixtureNames = new Map();
+    // storageState files of seeded logins written this run, by file name → content
+    this.sessions = new Map();
+    // Login state names taken, like fixtureNames
+    this.sessionNames = new Map();
+    // Source lines behind each generated feature, scenario and step
+    this.migrationMap = new MigrationMap(repoPath);
+    // The step library with project settings applied, compiled for specs
+    this.library = null;
+    // Elements steps act on, by page, with --page-objects
+    this.pageObjects = this.config.pageObjects ? new PageObjects(this.config) : null;
+    // The HTML selectors are checked against, with --html; loaded by migrate()
+    this.selectorUpgrade = null;
+    this.trace = [];
+    this.analysis = null;
+  }
+
+  // Settings files and plugins may be ES modules, which only load
+  // asynchronously, so the CLI builds migrators through here
+  static async load(repoPath, config = {}) {
+    const { settings, source } = await loadSettings(repoPath, config.config);
+    const migrator = new BrowserJSToPlaywrightBDD(repoPath, config, settings);
+    migrator.settingsSource = source;
+    migrator.plugins = await loadPlugins(migrator.config.plugins, repoPath);
+    migrator.patterns = mergePatterns(BROWSER_JS_PATTERNS, migrator.plugins);
+    return migrator;
   }
 
   // ---------------------------------------------------------------------------
@@ -135,11 +270,7 @@ class BrowserJSToPlaywrightBDD {
   async analyze() {
     const spinner = ora('Scanning for Browser JS test files...').start();
     
-    const files = await glob(this.config.include, {
-      cwd: this.repoPath,
-      ignore: this.config.exclude,
-      absolute: true,
-    });
+    const files = await this.findTestFiles();
 
     const analysis = {
       files: [],
@@ -147,6 +278,7 @@ class BrowserJSToPlaywrightBDD {
         total: files.length,
         browserJS: 0,
         skipped: 0,
+        frameworks: {},
         patterns: {},
         actions: [],
       },
@@ -157,13 +289,25 @@ class BrowserJSToPlaywrightBDD {
       const detected = this.detectBrowserJS(content);
 
       if (detected.isBrowserJS) {
+        let testCases = [];
+        let coverage = null;
+        try {
+          testCases = this.measureTests(parseSource(content, file), content, file, detected.adapter);
+          coverage = combineCoverage(testCases.map(test => test.coverage));
+        } catch (err) {
+          this.recordError(file, err.message);
+        }
+
         analysis.files.push({
           path: path.relative(this.repoPath, file),
+          framework: detected.framework,
           patterns: detected.patterns,
           actions: detected.actions,
-          testCases: this.extractTestCases(content),
+          testCases,
+          coverage,
         });
         analysis.summary.browserJS++;
+        analysis.summary.frameworks[detected.framework] = (analysis.summary.frameworks[detected.framework] || 0) + 1;
         
         // Aggregate patterns
         for (const p of detected.patterns) {
@@ -175,24 +319,61 @@ class BrowserJSToPlaywrightBDD {
       }
     }
 
+    analysis.summary.coverage = combineCoverage(analysis.files
+      .filter(f => f.coverage)
+      .map(f => ({ ...f.coverage, unsupported: f.coverage.unsupported.map(u => ({ ...u, file: f.path })) })));
+
+    // Features left behind by deleted sources, from the last migration
+    analysis.orphaned = this.createCache().orphans();
+
     spinner.succeed(`Found ${analysis.summary.browserJS} Browser JS test files`);
     this.printAnalysis(analysis);
 
     if (!this.config.dryRun) {
       const reportPath = path.join(this.repoPath, 'migration-analysis.json');
-      fs.writeFileSync(reportPath, JSON.stringify(analysis, null, 2));
+      this.manifest.writeFile(reportPath, JSON.stringify(analysis, null, 2));
       console.log(chalk.gray(`\nSaved: ${reportPath}`));
     }
 
     this.report.analyzed = analysis.summary.browserJS;
+    this.analysis = analysis;
     return analysis;
   }
 
+  // Test files matching include/exclude, limited to --since changes
+  async findTestFiles() {
+    const files = await glob(this.config.include, {
+      cwd: this.repoPath,
+      ignore: this.config.exclude,
+      absolute: true,
+    });
+    if (!this.config.since) return files;
+
+    const changed = filesChangedSince(this.repoPath, this.config.since);
+    return files.filter(file => changed.has(path.resolve(file)));
+  }
+
+  // Cached outputs only count for runs with the same settings for what is
+  // generated
+  createCache() {
+    const {
+      featuresDir, stepsDir, specsDir, pagesDir, supportDir, fixturesDir, authDir,
+      target, splitDepth, outlines, pageObjects, upgradeSelectors, tags, baseURL, pages,
+    } = this.config;
+    const plugins = this.plugins.map(plugin => plugin.name);
+    // Changed HTML can change the warnings and upgrades of unchanged sources
+    const html = this.selectorUpgrade && this.selectorUpgrade.hash;
+    return new MigrationCache(this.repoPath, {
+      featuresDir, stepsDir, specsDir, pagesDir, supportDir, fixturesDir, authDir,
+      target, splitDepth, outlines, pageObjects, html, upgradeSelectors, tags, baseURL, pages, plugins,
+    });
+  }
+
   detectBrowserJS(content) {
     const patterns = [];
     const actions = [];
 
-    for (const [category, regexMap] of Object.entries(BROWSER_JS_PATTERNS)) {
+    for (const [category, regexMap] of Object.entries(this.patterns)) {
       for (const [name, regex] of Object.entries(regexMap)) {
         const matches = content.match(new RegExp(regex.source, 'g'));
         if (matches && matches.length > 0) {
@@ -215,48 +396,58 @@ class BrowserJSToPlaywrightBDD {
       }
     }
 
+    // The framework the file is written for, read through its source adapter
+    const adapter = detectFramework(content);
+
     return {
-      isBrowserJS: patterns.length > 0,
+      isBrowserJS: patterns.length > 0 || adapter !== DEFAULT_ADAPTER,
+      framework: adapter.name,
+      adapter,
       patterns,
       actions,
     };
   }
 
-  extractTestCases(content) {
-    const testCases = [];
-    
-    // Match describe/it blocks
-    const describeRegex = /describe\s*\(\s*['"]([^'"]+)['"]/g;
-    const itRegex = /it\s*\(\s*['"]([^'"]+)['"]/g;
-    const testRegex = /test\s*\(\s*['"]([^'"]+)['"]/g;
-
-    let match;
-    let currentDescribe = 'Tests';
-
-    while ((match = describeRegex.exec(content)) !== null) {
-      currentDescribe = match[1];
-    }
-
-    while ((match = itRegex.exec(content)) !== null) {
-      testCases.push({ describe: currentDescribe, name: match[1] });
-    }
-
-    while ((match = testRegex.exec(content)) !== null) {
-      testCases.push({ describe: currentDescribe, name: match[1] });
-    }
-
-    // If no test structure found, treat whole file as one test
-    if (testCases.length === 0) {
-      testCases.push({ describe: 'Browser JS Tests', name: 'Main test' });
-    }
+  extractTestCases(ast, content, adapter = DEFAULT_ADAPTER) {
+    return collectTestCases(collectSuites(ast, content, adapter));
+  }
 
-    return testCases;
+  // Translate each test as the migration would, to see how much of it
+  // becomes real steps
+  measureTests(ast, content, filePath, adapter = DEFAULT_ADAPTER) {
+    const bindings = collectBindings(ast, adapter);
+    const legacy = { content, file: this.manifest.relative(filePath), names: new Map() };
+
+    return this.extractTestCases(ast, content, adapter).map(test => {
+      const translator = new StepTranslator({
+        bindings: test.outline ? new Map([...bindings, ...test.outline.bindings]) : bindings,
+        plugins: this.plugins,
+        legacy,
+        adapter,
+      });
+      const callbacks = [...test.beforeEach, test.body];
+      callbacks.forEach(callback => translator.translateBody(callback));
+
+      const { describe, name, tags } = test;
+      return { describe, name, tags, coverage: testCoverage(translator.steps, callbacks, translator.handled) };
+    });
   }
 
   printAnalysis(analysis) {
     console.log(chalk.bold('\n📊 Analysis Results\n'));
     console.log(`Browser JS files: ${chalk.cyan(analysis.summary.browserJS)}`);
     console.log(`Skipped: ${chalk.gray(analysis.summary.skipped)}`);
+    const frameworks = Object.entries(analysis.summary.frameworks).sort((a, b) => b[1] - a[1]);
+    if (frameworks.length > 0) {
+      console.log(`Frameworks: ${frameworks.map(([name, count]) => `${name} ${chalk.cyan(count)}`).join(', ')}`);
+    }
+
+    if (analysis.orphaned.length > 0) {
+      console.log(chalk.bold.yellow('\nOrphaned generated files:'));
+      for (const { output, source, reason } of analysis.orphaned) {
+        console.log(chalk.yellow(`  ${output} - ${reason} (${source})`));
+      }
+    }
 
     if (analysis.summary.browserJS === 0) {
       console.log(chalk.yellow('\nNo Browser JS patterns detected.'));
@@ -277,6 +468,37 @@ class BrowserJSToPlaywrightBDD {
     if (analysis.files.length > 5) {
       console.log(chalk.gray(`  ... and ${analysis.files.length - 5} more`));
     }
+
+    this.printCoverage(analysis);
+    this.printErrors();
+  }
+
+  printCoverage(analysis) {
+    const { coverage } = analysis.summary;
+    const color = { high: chalk.green, medium: chalk.yellow, low: chalk.red };
+
+    console.log(chalk.bold('\nTranslation Coverage:'));
+    console.log(`  Statements translated: ${chalk.cyan(`${coverage.coverage}%`)} ` +
+      chalk.gray(`(${coverage.translated} translated, ${coverage.placeholders} placeholders)`));
+    console.log(`  Confidence:            ${color[coverage.level](`${coverage.confidence}/100 (${coverage.level})`)}`);
+
+    // Lowest confidence first: the files that need a human before migrating
+    const ranked = analysis.files
+      .filter(f => f.coverage)
+      .sort((a, b) => a.coverage.confidence - b.coverage.confidence);
+    if (ranked.length === 0) return;
+
+    console.log(chalk.bold('\nFiles by confidence (lowest first):'));
+    for (const f of ranked.slice(0, 10)) {
+      const { confidence, level, translated, placeholders, unsupported } = f.coverage;
+      const categories = [...new Set(unsupported.map(u => u.category))];
+      const details = `${translated}/${translated + placeholders} statements` +
+        (categories.length > 0 ? `, unsupported: ${categories.join(', ')}` : '');
+      console.log(`  ${color[level](String(confidence).padStart(3))}  ${f.path}  ${chalk.gray(details)}`);
+    }
+    if (ranked.length > 10) {
+      console.log(chalk.gray(`  ... and ${ranked.length - 10} more`));
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -287,24 +509,29 @@ class BrowserJSToPlaywrightBDD {
     const spinner = ora('Migrating to Playwright BDD...').start();
 
     // Create directory structure
+    const { target } = this.config;
     const dirs = [
-      this.config.featuresDir,
-      this.config.stepsDir,
+      ...(generatesFeatures(target) ? [this.config.featuresDir, this.config.stepsDir] : []),
+      ...(generatesSpecs(target) ? [this.config.specsDir] : []),
+      ...(this.pageObjects ? [this.config.pagesDir] : []),
       this.config.supportDir,
     ];
     
     if (!this.config.dryRun) {
       for (const dir of dirs) {
-        fs.mkdirSync(path.join(this.repoPath, dir), { recursive: true });
+        this.manifest.makeDir(dir);
       }
     }
 
+    if (this.config.html) {
+      this.selectorUpgrade = await SelectorUpgrade.load(this.repoPath, this.config.html);
+    }
+
     // Find and process files
-    const files = await glob(this.config.include, {
-      cwd: this.repoPath,
-      ignore: this.config.exclude,
-      absolute: true,
-    });
+    const files = await this.findTestFiles();
+    const cache = this.createCache();
+    this.fixtureNames = this.savedFiles(this.config.fixturesDir);
+    this.sessionNames = this.savedFiles(this.config.authDir);
 
     for (const file of files) {
       const content = fs.readFileSync(file, 'utf-8');
@@ -315,18 +542,60 @@ class BrowserJSToPlaywrightBDD {
         continue;
       }
 
+      // Unchanged since the last run: keep its features, but still check
+      // the steps they use against the step definitions
+      const cached = this.config.cache ? cache.fresh(file, content) : null;
+      if (cached) {
+        cached.steps.forEach(step => this.collectedSteps.add(step));
+        if (this.pageObjects) this.pageObjects.restore(this.manifest.relative(file), cached.elements);
+        this.report.unchanged++;
+        continue;
+      }
+
       spinner.text = `Migrating: ${path.basename(file)}`;
+      this.releaseData(cache, file);
+
+      // Collect this file's steps apart from the rest, for the cache
+      const otherSteps = this.collectedSteps;
+      this.collectedSteps = new Set();
 
       try {
-        await this.migrateFile(file, content, detected);
+        const outputs = await this.migrateFile(file, content, detected);
+        const elements = this.pageObjects ? this.pageObjects.elementsOf(this.manifest.relative(file)) : [];
+        cache.record(file, content, outputs, [...this.collectedSteps], elements);
         this.report.migrated++;
       } catch (err) {
-        this.report.errors.push({ file, error: err.message });
+        this.recordError(file, err.message);
+      } finally {
+        this.collectedSteps = new Set([...otherSteps, ...this.collectedSteps]);
+      }
+    }
+
+    for (const { output, source, reason } of cache.orphans()) {
+      this.report.warnings.push(`Orphaned ${output}: ${reason} (${source})`);
+    }
+
+    this.migrationMap.prune();
+    if (!this.config.dryRun) {
+      this.manifest.writeFile(cache.cachePath, JSON.stringify(cache, null, 2) + '\n');
+      this.manifest.writeFile(this.migrationMap.mapPath, JSON.stringify(this.migrationMap, null, 2) + '\n');
+      for (const [name, content] of this.fixtures) {
+        this.manifest.writeFile(path.join(this.repoPath, this.config.fixturesDir, name), content);
+      }
+      for (const [name, content] of this.sessions) {
+        this.manifest.writeFile(path.join(this.repoPath, this.config.authDir, name), content);
       }
     }
 
     // Generate common step definitions
-    await this.generateStepDefinitions();
+    if (generatesFeatures(target)) {
+      await this.generateStepDefinitions();
+    }
+
+    // Generate page objects for the elements steps named
+    if (this.pageObjects) {
+      this.generatePageObjects();
+    }
 
     // Generate support files
     await this.generateSupportFiles();
@@ -336,436 +605,709 @@ class BrowserJSToPlaywrightBDD {
 
   async migrateFile(filePath, content, detected) {
     const fileName = path.basename(filePath, path.extname(filePath));
-    const testCases = this.extractTestCases(content);
-    
-    // Generate feature file
-    const featureContent = this.generateFeatureFile(fileName, testCases, content, detected);
-    const featurePath = path.join(
-      this.repoPath,
-      this.config.featuresDir,
-      `${fileName}.feature`
-    );
-
-    if (!this.config.dryRun) {
-      fs.writeFileSync(featurePath, featureContent);
+    const ast = parseSource(content, filePath);
+    const file = this.manifest.relative(filePath);
+    const { adapter } = detected;
+    const suites = collectSuites(ast, content, adapter);
+    // Steps that never navigate act on the page of the feature: its one
+    // top-level describe, or else the file
+    const [top] = suites.suites;
+    const featureName = suites.suites.length === 1 && suites.tests.length === 0
+      ? top.name.replace(/\s+(page|tests?|specs?)$/i, '')
+      : fileName.replace(/[._-]/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    const page = featureName.charAt(0).toUpperCase() + featureName.slice(1);
+    // `data` collects the fixture and login state files its steps use
+    const source = { fileName, filePath, file, content, adapter, page, bindings: collectBindings(ast, adapter), data: new Set() };
+    const outputs = [];
+
+    if (generatesFeatures(this.config.target)) {
+      outputs.push(...this.writeFeatures(source, suites, detected));
     }
 
-    this.report.features++;
-
-    if (this.config.verbose) {
-      console.log(chalk.gray(`  → ${featurePath}`));
-    }
-  }
+    // Playwright Test specs, one per source file
+    if (generatesSpecs(this.config.target)) {
+      const specPath = path.join(this.repoPath, this.config.specsDir, `${fileName}.spec.ts`);
+      const specContent = this.generateSpecFile(source, suites);
 
-  generateFeatureFile(fileName, testCases, content, detected) {
-    const featureName = fileName
-      .replace(/[.-_]/g, ' ')
-      .replace(/\b\w/g, c => c.toUpperCase());
-
-    let feature = `@browser-js @automated
-Feature: ${featureName}
-  Migrated from Browser JS test: ${fileName}
+      if (!this.config.dryRun) {
+        this.manifest.writeFile(specPath, specContent);
+      }
+      outputs.push(specPath);
 
-`;
+      this.report.specs++;
 
-    // Group test cases by describe block
-    const grouped = {};
-    for (const tc of testCases) {
-      if (!grouped[tc.describe]) grouped[tc.describe] = [];
-      grouped[tc.describe].push(tc.name);
+      if (this.config.verbose) {
+        console.log(chalk.gray(`  → ${specPath}`));
+      }
     }
 
-    // Generate scenarios
-    for (const [describe, tests] of Object.entries(grouped)) {
-      for (const testName of tests) {
-        const steps = this.extractStepsFromTest(content, testName, detected);
-        
-        feature += `  @migrated
-  Scenario: ${testName}
-`;
-        for (const step of steps) {
-          feature += `    ${step}\n`;
-          this.collectedSteps.add(step);
-        }
-        feature += '\n';
-      }
+    outputs.push(...source.data);
+
+    // Elements the file selects that no step acts on still belong to its page
+    if (this.pageObjects) {
+      const upgrade = this.config.upgradeSelectors
+        ? selector => this.selectorUpgrade.check(selector).upgrade || selector
+        : undefined;
+      this.pageObjects.addDetected(file, detected.actions, page, upgrade);
     }
 
-    return feature;
+    // Repository-relative paths of the generated files
+    return outputs.map(output => path.relative(this.repoPath, output).split(path.sep).join('/'));
   }
 
-  extractStepsFromTest(content, testName, detected) {
-    const steps = [];
-    
-    // Analyze the content to generate meaningful steps
-    
-    // Navigation
-    if (/window\.location|\.href\s*=/.test(content)) {
-      const urlMatch = content.match(/(?:window\.location|\.href)\s*=\s*['"]([^'"]+)['"]/);
-      if (urlMatch) {
-        steps.push(`Given I navigate to "${urlMatch[1]}"`);
-      } else {
-        steps.push('Given I am on the application page');
-      }
-    } else {
-      steps.push('Given I am on the application page');
-    }
+  // Feature files and their After hooks; returns the paths written
+  writeFeatures(source, suites, detected) {
+    const { fileName, file } = source;
+    const { features, afterHooks } = planFeatures(suites, {
+      tagPrefix: fileName,
+      splitDepth: this.config.splitDepth,
+    });
+    const outputs = [];
+    const mapped = [];
+
+    // Generate feature files, one per Feature in the plan
+    features.forEach((feature, i) => {
+      this.trace = [];
+      const featureContent = this.generateFeatureFile(source, feature, detected);
+      const featurePath = path.join(
+        this.repoPath,
+        this.config.featuresDir,
+        i === 0 ? `${fileName}.feature` : `${fileName}.${slugify(feature.path.join(' '))}.feature`
+      );
+      mapped.push(mapFeature(featureContent, this.trace, this.manifest.relative(featurePath)));
 
-    // Element interactions
-    const selectorActions = [];
-    
-    // Find getElementById + value assignment
-    const getByIdValue = content.match(/document\.getElementById\(['"]([^'"]+)['"]\)\.value\s*=\s*['"]([^'"]+)['"]/g);
-    if (getByIdValue) {
-      for (const match of getByIdValue) {
-        const parts = match.match(/getElementById\(['"]([^'"]+)['"]\)\.value\s*=\s*['"]([^'"]+)['"]/);
-        if (parts) {
-          steps.push(`When I enter "${parts[2]}" in the "#${parts[1]}" field`);
-        }
+      if (!this.config.dryRun) {
+        this.manifest.writeFile(featurePath, featureContent);
       }
-    }
+      outputs.push(featurePath);
 
-    // Find querySelector + value assignment
-    const querySelectorValue = content.match(/document\.querySelector\(['"]([^'"]+)['"]\)\.value\s*=\s*['"]([^'"]+)['"]/g);
-    if (querySelectorValue) {
-      for (const match of querySelectorValue) {
-        const parts = match.match(/querySelector\(['"]([^'"]+)['"]\)\.value\s*=\s*['"]([^'"]+)['"]/);
-        if (parts) {
-          steps.push(`When I enter "${parts[2]}" in the "${parts[1]}" field`);
-        }
-      }
-    }
+      this.report.features++;
 
-    // jQuery val()
-    const jqueryVal = content.match(/\$\(['"]([^'"]+)['"]\)\.val\(['"]([^'"]+)['"]\)/g);
-    if (jqueryVal) {
-      for (const match of jqueryVal) {
-        const parts = match.match(/\$\(['"]([^'"]+)['"]\)\.val\(['"]([^'"]+)['"]\)/);
-        if (parts) {
-          steps.push(`When I enter "${parts[2]}" in the "${parts[1]}" field`);
-        }
+      if (this.config.verbose) {
+        console.log(chalk.gray(`  → ${featurePath}`));
       }
-    }
+    });
 
-    // Click actions
-    const clickById = content.match(/document\.getElementById\(['"]([^'"]+)['"]\)\.click\(\)/g);
-    if (clickById) {
-      for (const match of clickById) {
-        const parts = match.match(/getElementById\(['"]([^'"]+)['"]\)/);
-        if (parts) {
-          steps.push(`When I click on "#${parts[1]}"`);
-        }
+    // after/afterEach hooks become tagged After hooks next to the steps
+    const hooksContent = afterHooks.length > 0 ? this.generateAfterHooks(source, afterHooks) : null;
+    if (hooksContent) {
+      const hooksPath = path.join(this.repoPath, this.config.stepsDir, `${fileName}.hooks.ts`);
+
+      if (!this.config.dryRun) {
+        this.manifest.writeFile(hooksPath, hooksContent);
       }
-    }
+      outputs.push(hooksPath);
 
-    const clickBySelector = content.match(/document\.querySelector\(['"]([^'"]+)['"]\)\.click\(\)/g);
-    if (clickBySelector) {
-      for (const match of clickBySelector) {
-        const parts = match.match(/querySelector\(['"]([^'"]+)['"]\)/);
-        if (parts) {
-          steps.push(`When I click on "${parts[1]}"`);
-        }
+      if (this.config.verbose) {
+        console.log(chalk.gray(`  → ${hooksPath}`));
       }
     }
 
-    // jQuery click
-    const jqueryClick = content.match(/\$\(['"]([^'"]+)['"]\)\.click\(\)/g);
-    if (jqueryClick) {
-      for (const match of jqueryClick) {
-        const parts = match.match(/\$\(['"]([^'"]+)['"]\)/);
-        if (parts) {
-          steps.push(`When I click on "${parts[1]}"`);
-        }
+    this.migrationMap.set(file, mapped);
+    return outputs;
+  }
+
+  generateFeatureFile(source, plan, detected) {
+    const { fileName } = source;
+    const featureName = plan.name || fileName
+      .replace(/[._-]/g, ' ')
+      .replace(/\b\w/g, c => c.toUpperCase());
+
+    const range = sourceRange(source.file, plan.node);
+    this.trace.push({ type: 'feature', text: `Feature: ${featureName}`, sources: [range] });
+
+    let feature = `# ${formatRanges([range])}
+${[...this.config.tags.feature, ...plan.tags].join(' ')}
+Feature: ${featureName}
+  Migrated from Browser JS test: ${fileName}
+
+`;
+
+    // before/beforeEach hooks become the Background
+    const background = this.refineSelectors(completeBackground(this.translateCallbacks(plan.background, source)), source);
+    feature += this.renderBackground(background, '  ', source, plan.background);
+
+    // Generate scenarios
+    feature += this.renderScenarios(plan.scenarios, background, '  ', source, plan.background);
+
+    // Nested describe blocks become Rules, each with its own Background
+    for (const rule of plan.rules) {
+      const ruleSteps = this.translateCallbacks(rule.background, source, plan.background);
+      const ruleBackground = this.refineSelectors(
+        background.length > 0 ? ruleSteps : completeBackground(ruleSteps),
+        source,
+        background
+      );
+
+      feature += `  # ${formatRanges([sourceRange(source.file, rule.suite.node)])}\n`;
+      if (rule.tags.length > 0) {
+        feature += `  ${rule.tags.join(' ')}\n`;
       }
-    }
+      feature += `  Rule: ${rule.name}\n\n`;
+      feature += this.renderBackground(ruleBackground, '    ', source, rule.background, rule.name);
 
-    // If no specific actions found, add generic action
-    if (steps.length === 1) {
-      steps.push('When I perform the test actions');
+      const context = [...plan.background, ...rule.background];
+      feature += this.renderScenarios(rule.scenarios, [...background, ...ruleBackground], '    ', source, context, rule.name);
     }
 
-    // Assertions - look for common patterns
-    if (/\.innerText|\.textContent|\.innerHTML/.test(content)) {
-      steps.push('Then I should see the expected content');
-    }
-    if (/console\.assert|throw\s+new\s+Error|expect\(/.test(content)) {
-      steps.push('Then the assertion should pass');
-    }
-    if (/\.includes\(|\.contains\(|indexOf/.test(content)) {
-      steps.push('Then the element should contain the expected text');
-    }
+    return feature;
+  }
 
-    // Default assertion if none found
-    if (steps.filter(s => s.startsWith('Then')).length === 0) {
-      steps.push('Then I should see the expected result');
+  // `hooks` are the before/beforeEach callbacks the steps came from
+  renderBackground(background, indent, source, hooks, rule = null) {
+    if (background.length === 0) return '';
+
+    const ranges = hooks.map(hook => sourceRange(source.file, hook));
+    this.trace.push({ type: 'background', text: 'Background:', rule, sources: ranges });
+    let block = `${this.sourceComment(ranges, indent)}${indent}Background:\n`;
+    for (const step of background) {
+      const text = formatStep(step);
+      block += this.renderStep(text, this.stepRange(source, step), `${indent}  `);
+      this.collectedSteps.add(text);
     }
+    return block + '\n';
+  }
 
-    return steps;
+  // A step line, below a "# path:line" comment when it came from source
+  renderStep(text, range, indent) {
+    this.trace.push({ type: 'step', text, sources: range ? [range] : [] });
+    return `${this.sourceComment(range ? [range] : [], indent)}${indent}${text}\n`;
   }
 
-  async generateStepDefinitions() {
-    const stepsContent = `import { Given, When, Then } from '@cucumber/cucumber';
-import { expect } from '@playwright/test';
-import { ICustomWorld } from '../support/world';
+  sourceComment(ranges, indent) {
+    return ranges.length > 0 ? `${indent}# ${formatRanges(ranges)}\n` : '';
+  }
 
-// =============================================================================
-// GIVEN STEPS - Navigation & Setup
-// =============================================================================
+  // Lines of the statement(s) a step was translated from; null for steps
+  // added to complete a scenario
+  stepRange(source, step) {
+    return step.node && step.node.loc ? sourceRange(source.file, step.node, step.last) : null;
+  }
 
-Given('I am on the application page', async function (this: ICustomWorld) {
-  await this.page!.goto('/');
-});
+  // Data-driven tests, and tests differing only in literal values, are
+  // written as Scenario Outlines
+  renderScenarios(scenarios, background, indent, source, context, rule = null) {
+    const rendered = scenarios.map(scenario => {
+      const steps = this.extractStepsFromTest(scenario, scenario.setup, background, source, context);
+      const texts = steps.map(formatStep);
+      return {
+        name: scenario.name,
+        tags: scenario.tags,
+        steps: texts,
+        ranges: steps.map(step => this.stepRange(source, step)),
+        range: sourceRange(source.file, scenario.node),
+        examples: scenario.outline ? usedColumns(scenario.outline, [scenario.name, ...texts]) : null,
+      };
+    });
 
-Given('I navigate to {string}', async function (this: ICustomWorld, url: string) {
-  await this.page!.goto(url);
-});
+    const merged = this.config.outlines ? mergeSimilarScenarios(rendered) : rendered;
+    return merged.map(scenario => this.renderScenario(scenario, indent, rule)).join('');
+  }
 
-Given('I am on the {string} page', async function (this: ICustomWorld, pageName: string) {
-  const urls: Record<string, string> = {
-    'home': '/',
-    'login': '/login',
-    'register': '/register',
-    'dashboard': '/dashboard',
-  };
-  await this.page!.goto(urls[pageName.toLowerCase()] || '/' + pageName);
-});
+  renderScenario(scenario, indent, rule = null) {
+    // An outline merged from several tests points at all of them
+    const ranges = (scenario.mergedFrom || [scenario]).map(s => s.range);
+    const title = `${scenario.examples ? 'Scenario Outline' : 'Scenario'}: ${scenario.name}`;
+    this.trace.push({ type: 'scenario', text: title, rule, sources: ranges });
 
-// =============================================================================
-// WHEN STEPS - Actions
-// =============================================================================
+    let block = `${this.sourceComment(ranges, indent)}${indent}${[...this.config.tags.scenario, ...scenario.tags].join(' ')}
+${indent}${title}
+`;
+    scenario.steps.forEach((step, i) => {
+      block += this.renderStep(step, scenario.ranges[i], `${indent}  `);
+    });
+    const runs = scenario.examples ? expandOutline(scenario.steps, scenario.examples) : scenario.steps;
+    runs.forEach(step => this.collectedSteps.add(step));
+    if (scenario.examples) {
+      block += `\n${renderExamples(scenario.examples, `${indent}  `)}`;
+    }
+    return block + '\n';
+  }
 
-When('I click on {string}', async function (this: ICustomWorld, selector: string) {
-  await this.page!.locator(selector).click();
-});
+  extractStepsFromTest(testCase, hooks = [], background = [], source = {}, context = []) {
+    // Walk the test's own callback in order, one step per recognized statement
+    const steps = this.translateCallbacks([...hooks, testCase.body], source, context, testCase.outline);
 
-When('I enter {string} in the {string} field', async function (
-  this: ICustomWorld,
-  value: string,
-  selector: string
-) {
-  await this.page!.locator(selector).fill(value);
-});
+    return this.refineSelectors(completeScenario(steps, background), source, background);
+  }
 
-When('I type {string} in {string}', async function (
-  this: ICustomWorld,
-  value: string,
-  selector: string
-) {
-  await this.page!.locator(selector).fill(value);
-});
+  // Steps about to be written, with their selectors upgraded and then named
+  // after page object elements; `background` steps ran before them
+  refineSelectors(steps, source, background = []) {
+    return this.namePageElements(this.upgradeSelectors(steps, source), source, background);
+  }
 
-When('I clear the {string} field', async function (this: ICustomWorld, selector: string) {
-  await this.page!.locator(selector).clear();
-});
+  // With --html, selectors are checked against the HTML, and with
+  // --upgrade-selectors replaced by the locators proposed for them
+  upgradeSelectors(steps, source) {
+    if (!this.selectorUpgrade) return steps;
+    return steps.map(step => {
+      const argument = selectorArgument(step.text);
+      if (!argument || /<\w+>/.test(argument.selector)) return step;
+
+      const { selector } = argument;
+      const result = this.selectorUpgrade.check(selector);
+      this.warnMatches(source, step, argument, result);
+      if (!result.upgrade) return step;
+
+      let upgrade = this.report.upgrades.find(u => u.selector === selector);
+      if (!upgrade) {
+        upgrade = { selector, locator: locatorCode(result.upgrade), sources: [] };
+        this.report.upgrades.push(upgrade);
+      }
+      const at = this.stepAt(source, step);
+      if (!upgrade.sources.includes(at)) upgrade.sources.push(at);
 
-When('I check the {string} checkbox', async function (this: ICustomWorld, selector: string) {
-  await this.page!.locator(selector).check();
-});
+      if (!this.config.upgradeSelectors) return step;
+      const text = `${step.text.slice(0, argument.start)}${quote(result.upgrade)}${step.text.slice(argument.end)}`;
+      return { ...step, text, upgrade: { from: selector, to: result.upgrade } };
+    });
+  }
 
-When('I uncheck the {string} checkbox', async function (this: ICustomWorld, selector: string) {
-  await this.page!.locator(selector).uncheck();
-});
+  // Selectors finding nothing or more than one element in the HTML, except
+  // where that is what the step checks
+  warnMatches(source, step, { step: definition, selector }, { matches, error }) {
+    const at = this.stepAt(source, step);
+    let warning = null;
+    if (error) {
+      warning = `Selector "${selector}" at ${at} could not be checked against the HTML: ${error}`;
+    } else if (matches.length === 0 && !/should not (exist|be visible)/.test(definition.expression)) {
+      warning = `Selector "${selector}" at ${at} matches no element in the HTML`;
+    } else if (!/elements/.test(definition.expression)) {
+      const several = matches.filter(m => m.count > 1).map(m => `${m.count} in ${m.file}`);
+      if (several.length > 0) warning = `Selector "${selector}" at ${at} matches several elements (${several.join(', ')})`;
+    }
+    if (warning && !this.report.warnings.includes(warning)) this.report.warnings.push(warning);
+  }
 
-When('I select {string} from {string}', async function (
-  this: ICustomWorld,
-  option: string,
-  selector: string
-) {
-  await this.page!.locator(selector).selectOption(option);
-});
+  stepAt(source, step) {
+    const range = this.stepRange(source, step);
+    return range ? formatRanges([range]) : source.file;
+  }
 
-When('I hover over {string}', async function (this: ICustomWorld, selector: string) {
-  await this.page!.locator(selector).hover();
-});
+  // With --page-objects, steps name the elements they act on instead of
+  // giving their selectors
+  namePageElements(steps, source, background = []) {
+    if (!this.pageObjects) return steps;
+    const named = this.pageObjects.nameElements(steps, { background, fallback: source.page, file: source.file });
+    for (const { plugin, definition, pageObject } of named) {
+      if (pageObject) this.generatedDefinitions.set(definition.expression, { plugin, step: definition });
+    }
+    return named;
+  }
 
-When('I double click on {string}', async function (this: ICustomWorld, selector: string) {
-  await this.page!.locator(selector).dblclick();
-});
+  // `context` callbacks (Background hooks) already ran; replay them only for
+  // the elements they bind. An `outline` binds loop variables to placeholders.
+  translateCallbacks(callbacks, source = {}, context = [], outline = null) {
+    const bindings = outline
+      ? new Map([...(source.bindings || []), ...outline.bindings])
+      : source.bindings;
+    const legacy = source.content
+      ? { content: source.content, file: source.file, names: this.legacyBlocks }
+      : null;
+    const translator = new StepTranslator({
+      bindings,
+      plugins: this.plugins,
+      legacy,
+      fixtures: this.fixtureNames,
+      adapter: source.adapter,
+    });
+    for (const callback of context) {
+      translator.bindOnly(callback);
+    }
+    for (const callback of callbacks) {
+      translator.translateBody(callback);
+    }
+    // Seeded auth tokens become one reusable login step
+    const steps = seedLogins(translator.steps, this.sessionNames, this.config.baseURL);
+    for (const step of steps) {
+      const { plugin, definition } = step;
+      if (definition) this.generatedDefinitions.set(definition.expression, { plugin, step: definition });
+      if (step.sleep !== undefined) this.warnSleep(source, step);
+      if (step.fixture) this.useData(source, this.fixtures, this.config.fixturesDir, step.fixture);
+      if (step.session) this.useData(source, this.sessions, this.config.authDir, step.session);
+    }
+    for (const note of translator.selectorNotes.values()) this.warnSelector(source, note);
+    return steps;
+  }
 
-When('I press {string}', async function (this: ICustomWorld, key: string) {
-  await this.page!.keyboard.press(key);
-});
+  // A fixture or login state file a step uses, written at the end of the run
+  useData(source, files, dir, { name, content }) {
+    files.set(name, content);
+    if (source.data) source.data.add(path.join(this.repoPath, dir, name));
+  }
 
-When('I scroll to {string}', async function (this: ICustomWorld, selector: string) {
-  await this.page!.locator(selector).scrollIntoViewIfNeeded();
-});
+  // Fixture and login state names only `file` used may be given out again
+  // as it is re-migrated
+  releaseData(cache, file) {
+    const names = new Map([
+      [this.manifest.relative(this.config.fixturesDir), this.fixtureNames],
+      [this.manifest.relative(this.config.authDir), this.sessionNames],
+    ]);
+    for (const output of cache.owned(file)) {
+      const taken = names.get(path.posix.dirname(output));
+      if (taken) taken.delete(path.posix.basename(output));
+    }
+  }
 
-When('I wait for {int} seconds', async function (this: ICustomWorld, seconds: number) {
-  await this.page!.waitForTimeout(seconds * 1000);
-});
+  // Files a previous run left in a directory, by name → content
+  savedFiles(dir) {
+    const fullPath = path.join(this.repoPath, dir);
+    if (!fs.existsSync(fullPath)) return new Map();
+    return new Map(fs.readdirSync(fullPath, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .map(entry => [entry.name, fs.readFileSync(path.join(fullPath, entry.name), 'utf-8')]));
+  }
 
-When('I perform the test actions', async function (this: ICustomWorld) {
-  // Placeholder - implement specific test actions
-  // This step is generated when specific actions couldn't be extracted
-});
+  // Sleeps nothing could be turned into a condition for slow tests down and
+  // make them flaky; each is reported once, however often it is translated
+  warnSleep(source, step) {
+    const at = source.file ? `${source.file}:${step.node.loc.start.line}` : `line ${step.node.loc.start.line}`;
+    const warning = `Fixed sleep of ${step.sleep} ms at ${at} kept as "${step.text}": wait for a condition instead`;
+    if (!this.report.warnings.includes(warning)) this.report.warnings.push(warning);
+  }
 
-// =============================================================================
-// THEN STEPS - Assertions
-// =============================================================================
+  // jQuery-only pseudo selectors are rewritten where Playwright has an
+  // equivalent; the rest stay as they were and won't match
+  warnSelector(source, { selector, rewritten, unsupported, node }) {
+    const at = source.file ? `${source.file}:${node.loc.start.line}` : `line ${node.loc.start.line}`;
+    const warning = unsupported.length > 0
+      ? `jQuery selector "${selector}" at ${at} uses ${unsupported.join(', ')}, which Playwright has no equivalent for`
+      : `jQuery selector "${selector}" at ${at} rewritten as "${rewritten}"`;
+    if (!this.report.warnings.includes(warning)) this.report.warnings.push(warning);
+  }
 
-Then('I should see {string}', async function (this: ICustomWorld, text: string) {
-  await expect(this.page!.getByText(text)).toBeVisible();
-});
+  // Null when no hook has anything left to do
+  generateAfterHooks(source, afterHooks) {
+    const { fileName } = source;
+    let written = 0;
+    let hooks = `import { After } from '@cucumber/cucumber';
+import { expect } from '@playwright/test';
+import { ICustomWorld } from '${worldImport(this.config.stepsDir, this.config.supportDir)}';
+`;
 
-Then('I should not see {string}', async function (this: ICustomWorld, text: string) {
-  await expect(this.page!.getByText(text)).not.toBeVisible();
+    for (const { tag, name, hooks: callbacks } of afterHooks) {
+      for (const { kind, callback } of callbacks) {
+        const origin = name ? `"${name}" in ${fileName}` : fileName;
+        // Hooks that only cleaned up stubs need no After hook
+        const body = this.hookBodyToCode(callback, source);
+        if (!body) continue;
+        written++;
+        hooks += `
+// ${kind} hook from ${origin}${kind === 'after' ? ' (ran once per suite in the original)' : ''}
+After({ tags: '${tag}' }, async function (this: ICustomWorld) {
+${body.split('\n').map(l => `  ${l}`).join('\n')}
 });
+`;
+      }
+    }
 
-Then('the element {string} should be visible', async function (
-  this: ICustomWorld,
-  selector: string
-) {
-  await expect(this.page!.locator(selector)).toBeVisible();
-});
+    return written > 0 ? hooks : null;
+  }
 
-Then('the element {string} should not be visible', async function (
-  this: ICustomWorld,
-  selector: string
-) {
-  await expect(this.page!.locator(selector)).not.toBeVisible();
-});
+  // Translated statements become Playwright calls; the rest is kept as a TODO
+  hookBodyToCode(callback, source) {
+    const statements = callback.body.type === 'BlockStatement' ? callback.body.body : [callback.body];
+    const translator = new StepTranslator({ bindings: source.bindings, plugins: this.plugins, adapter: source.adapter });
+    const lines = [];
+
+    for (const statement of statements) {
+      const before = translator.steps.length;
+      translator.translate([statement]);
+      const steps = translator.steps.slice(before);
+      const code = steps.map(step => stepToCode(step.text));
+
+      // Element variables need no code of their own
+      if (steps.length === 0 && statement.type === 'VariableDeclaration' &&
+          statement.declarations.every(d => d.id.type === 'Identifier' && translator.lookup(d.id.name))) {
+        continue;
+      }
 
-Then('the element {string} should contain {string}', async function (
-  this: ICustomWorld,
-  selector: string,
-  text: string
-) {
-  await expect(this.page!.locator(selector)).toContainText(text);
-});
+      // Network stub cleanup such as server.restore(): routes end with the page
+      const expression = statement.type === 'ExpressionStatement' ? statement.expression : statement;
+      if (steps.length === 0 && networkStubs(translator, expression)) continue;
 
-Then('the element {string} should have text {string}', async function (
-  this: ICustomWorld,
-  selector: string,
-  text: string
-) {
-  await expect(this.page!.locator(selector)).toHaveText(text);
-});
+      // Session cleanup of the source framework such as driver.quit(): the page ends with the scenario
+      const { adapter } = source;
+      if (steps.length === 0 && adapter && adapter.translate && adapter.translate(unwrap(expression), translator)) continue;
 
-Then('the input {string} should have value {string}', async function (
-  this: ICustomWorld,
-  selector: string,
-  value: string
-) {
-  await expect(this.page!.locator(selector)).toHaveValue(value);
-});
+      if (steps.length > 0 && code.every(Boolean)) {
+        lines.push(...code.join('\n').split('\n'));
+      } else {
+        lines.push('// TODO: port from Browser JS');
+        lines.push(...source.content.slice(statement.start, statement.end).split('\n').map(l => `// ${l.trim()}`));
+      }
+    }
 
-Then('the checkbox {string} should be checked', async function (
-  this: ICustomWorld,
-  selector: string
-) {
-  await expect(this.page!.locator(selector)).toBeChecked();
-});
+    return lines.join('\n');
+  }
 
-Then('the element {string} should be disabled', async function (
-  this: ICustomWorld,
-  selector: string
-) {
-  await expect(this.page!.locator(selector)).toBeDisabled();
-});
+  // The describe tree as it was: a test.describe() per describe block, a
+  // test() per test, and hooks where they were declared
+  generateSpecFile(source, root) {
+    const { specsDir, supportDir } = this.config;
+    const relative = path.posix.relative(specsDir, `${supportDir}/fixtures`);
+    const blocks = root.name
+      ? [this.specDescribe(source, root, [], [])]
+      : this.specBlocks(source, root, [], []);
+    return renderSpecFile({
+      file: source.file,
+      fixtures: relative.startsWith('.') ? relative : `./${relative}`,
+      imports: this.specPageImports(blocks),
+      blocks,
+    });
+  }
 
-Then('the URL should be {string}', async function (this: ICustomWorld, url: string) {
-  await expect(this.page!).toHaveURL(url);
-});
+  // The page object classes a spec's steps use, by module
+  specPageImports(blocks) {
+    const pages = new Map();
+    const visit = block => {
+      if (block.blocks) block.blocks.forEach(visit);
+      for (const { page } of block.steps || []) {
+        if (page) pages.set(page.module, page.className);
+      }
+    };
+    blocks.forEach(visit);
 
-Then('the URL should contain {string}', async function (this: ICustomWorld, urlPart: string) {
-  await expect(this.page!).toHaveURL(new RegExp(urlPart));
-});
+    return [...pages].sort().map(([module, className]) => {
+      const from = path.posix.relative(this.config.specsDir, `${this.config.pagesDir}/${module}`);
+      return { from: from.startsWith('.') ? from : `./${from}`, names: [className] };
+    });
+  }
 
-Then('the page title should be {string}', async function (this: ICustomWorld, title: string) {
-  await expect(this.page!).toHaveTitle(title);
-});
+  specDescribe(source, suite, context, background) {
+    return {
+      type: 'describe',
+      name: suite.name,
+      tags: suite.tags,
+      comment: formatRanges([sourceRange(source.file, suite.node)]),
+      blocks: this.specBlocks(source, suite, context, background),
+    };
+  }
 
-Then('I should see the expected content', async function (this: ICustomWorld) {
-  // Placeholder - verify page has loaded with content
-  await expect(this.page!.locator('body')).toBeVisible();
-});
+  // `context` are the setup callbacks of enclosing describes and
+  // `background` their steps, which already ran
+  specBlocks(source, suite, context, background) {
+    const blocks = [];
+    const hooks = setupHooks(suite);
+    const ranges = callbacks => formatRanges(callbacks.map(hook => sourceRange(source.file, hook)));
+
+    // Like a Background, the outermost setup starts on the application page
+    const steps = this.translateCallbacks(hooks, source, context);
+    const setup = this.refineSelectors(background.length > 0 ? steps : completeBackground(steps), source, background);
+    if (setup.length > 0) {
+      blocks.push({ type: 'beforeEach', comment: ranges(hooks), steps: this.specSteps(source, setup) });
+    }
 
-Then('I should see the expected result', async function (this: ICustomWorld) {
-  // Placeholder - implement specific assertion
-});
+    for (const { kind, callback } of teardownHooks(suite)) {
+      // Hooks that only cleaned up stubs need no afterEach
+      const body = this.hookBodyToCode(callback, source);
+      if (!body) continue;
+      const once = kind === 'after' ? ' (after hook: ran once per suite in the original)' : '';
+      blocks.push({ type: 'afterEach', comment: `${ranges([callback])}${once}`, steps: [{ comment: null, body }] });
+    }
 
-Then('the assertion should pass', async function (this: ICustomWorld) {
-  // Placeholder - implement specific assertion
-});
+    const inner = [...context, ...hooks];
+    const before = [...background, ...setup];
+    const children = [...suite.tests, ...suite.suites].sort((a, b) => a.node.start - b.node.start);
+    for (const child of children) {
+      blocks.push(...(child.body
+        ? this.specTests(source, child, inner, before)
+        : [this.specDescribe(source, child, inner, before)]));
+    }
+    return blocks;
+  }
 
-Then('the element should contain the expected text', async function (this: ICustomWorld) {
-  // Placeholder - implement specific text assertion
-});
+  // One test() per test, or per row of a data-driven test
+  specTests(source, test, context, background) {
+    const translated = this.translateCallbacks([test.body], source, context, test.outline);
+    const steps = this.refineSelectors(background.length > 0 ? translated : completeBackground(translated), source, background);
+    const comment = formatRanges([sourceRange(source.file, test.node)]);
+    if (!test.outline) {
+      return [{ type: 'test', name: test.name, tags: test.tags, comment, steps: this.specSteps(source, steps) }];
+    }
 
-// =============================================================================
-// STORAGE STEPS
-// =============================================================================
+    const { columns, rows } = usedColumns(test.outline, [test.name, ...steps.map(step => step.text)]);
+    return rows.map(row => {
+      const fill = text => expandOutline([text], { columns, rows: [row] })[0];
+      const name = fill(test.name);
+      return {
+        type: 'test',
+        // Titles must differ, so rows the title does not mention are named by their values
+        name: name === test.name ? `${name} (${row.join(', ')})` : name,
+        tags: test.tags,
+        comment,
+        steps: this.specSteps(source, steps.map(step => ({ ...step, text: fill(step.text) }))),
+      };
+    });
+  }
 
-When('I set localStorage {string} to {string}', async function (
-  this: ICustomWorld,
-  key: string,
-  value: string
-) {
-  await this.page!.evaluate(([k, v]) => localStorage.setItem(k, v), [key, value]);
-});
+  // Each step as the body of the definition it matches, below its source lines
+  specSteps(source, steps) {
+    if (!this.library) this.library = compileSteps(librarySections(this.config).flatMap(section => section.steps));
+    return steps.map(step => {
+      const range = this.stepRange(source, step);
+      const found = findStepDefinition(step.text, step.definition ? compileSteps([step.definition]) : this.library);
+      let body = found
+        ? inlineDefinition(found)
+        : `// TODO: no step definition matches "${step.text}"\nreturn 'pending';`;
+      if (step.upgrade) {
+        body = body.split(`this.page!.locator(${jsString(step.upgrade.to)})`).join(`this.page!.${locatorCode(step.upgrade.to)}`);
+      }
+      if (!step.pageObject) return { comment: range ? formatRanges([range]) : null, body };
+
+      // Specs use the page object itself rather than look the element up by name
+      const { page, element } = step.pageObject;
+      const lookup = `elementOn(this.page!, ${jsString(page.name)}, ${jsString(element.name)})`;
+      return {
+        comment: range ? formatRanges([range]) : null,
+        body: body.split(lookup).join(`new ${page.className}(this.page!).${element.property}`),
+        page,
+      };
+    });
+  }
 
-Then('localStorage {string} should be {string}', async function (
-  this: ICustomWorld,
-  key: string,
-  value: string
-) {
-  const actual = await this.page!.evaluate(k => localStorage.getItem(k), key);
-  expect(actual).toBe(value);
-});
+  // Steps already defined in stepsDir are kept; only library steps the
+  // migrated features use and nothing defines yet are appended
+  async generateStepDefinitions() {
+    const stepsDir = path.join(this.repoPath, this.config.stepsDir);
+    const stepsPath = path.join(stepsDir, 'common.steps.ts');
+    const files = fs.existsSync(stepsDir)
+      ? await glob('**/*.{ts,js,mjs,cjs}', { cwd: stepsDir, absolute: true })
+      : [];
+    const existing = readStepDefinitions(files);
+    this.report.warnings.push(...existing.warnings);
+
+    // Step text without its keyword, as Cucumber matches it
+    const texts = [...this.collectedSteps].map(step => step.replace(/^\S+\s/, ''));
+
+    const sections = librarySections(this.config);
+    const library = sections.flatMap(section => section.steps);
+    const world = worldImport(this.config.stepsDir, this.config.supportDir);
+
+    let stepsContent = null;
+    let merge;
+    if (existing.definitions.length === 0 && !fs.existsSync(stepsPath)) {
+      stepsContent = renderStepFile(sections, world);
+      merge = planStepMerge(texts, libraryDefinitions(library));
+    } else {
+      merge = planStepMerge(texts, existing.definitions);
+      if (merge.missing.length > 0) {
+        const current = fs.existsSync(stepsPath) ? fs.readFileSync(stepsPath, 'utf-8') : null;
+        const missing = merge.missing.map(step => library.find(s => s.expression === step.expression));
+        stepsContent = appendStepDefinitions(current, missing, stepsPath, MIGRATED_SECTION, [], world);
+      }
+    }
 
-// =============================================================================
-// DIALOG STEPS
-// =============================================================================
+    // One warning per set of clashing definitions
+    const clashes = new Map();
+    for (const { text, matches } of merge.ambiguous) {
+      const key = matches.map(m => describeDefinition(m, this.repoPath)).join(', ');
+      if (!clashes.has(key)) clashes.set(key, []);
+      clashes.get(key).push(text);
+    }
+    for (const [definitions, clashing] of clashes) {
+      const more = clashing.length > 1 ? ` (and ${clashing.length - 1} more)` : '';
+      this.report.warnings.push(`Ambiguous step "${clashing[0]}"${more} matches ${definitions}`);
+    }
 
-When('I accept the alert', async function (this: ICustomWorld) {
-  this.page!.once('dialog', dialog => dialog.accept());
-});
+    const writes = stepsContent === null ? [] : [{ file: stepsPath, content: stepsContent, added: merge.missing.length }];
 
-When('I dismiss the alert', async function (this: ICustomWorld) {
-  this.page!.once('dialog', dialog => dialog.dismiss());
-});
+    // Plugin steps go to <plugin>.steps.ts next to common.steps.ts, legacy
+    // blocks to migrated.steps.ts
+    const plugin = planPluginSteps(merge.undefined, this.generatedDefinitions);
+    for (const { plugin: { title, imports }, file, steps } of plugin.files) {
+      const pluginPath = path.join(stepsDir, file);
+      const current = fs.existsSync(pluginPath) ? fs.readFileSync(pluginPath, 'utf-8') : null;
+      const content = appendStepDefinitions(current, steps, pluginPath, title, imports, world);
+      writes.push({ file: pluginPath, content, added: steps.length });
+    }
 
-When('I accept the confirm dialog', async function (this: ICustomWorld) {
-  this.page!.once('dialog', dialog => dialog.accept());
-});
+    for (const text of plugin.undefined) {
+      this.report.warnings.push(`Undefined step "${text}": no step definition matches it`);
+    }
 
-When('I dismiss the confirm dialog', async function (this: ICustomWorld) {
-  this.page!.once('dialog', dialog => dialog.dismiss());
-});
-`;
+    if (writes.length === 0) {
+      if (this.config.verbose) {
+        console.log(chalk.gray(`  = ${stepsPath} (all steps already defined)`));
+      }
+      return;
+    }
 
-    const stepsPath = path.join(this.repoPath, this.config.stepsDir, 'common.steps.ts');
-    
-    if (!this.config.dryRun) {
-      fs.writeFileSync(stepsPath, stepsContent);
+    for (const { file, content, added } of writes) {
+      if (!this.config.dryRun) {
+        this.manifest.writeFile(file, content);
+      }
+
+      this.report.steps++;
+
+      if (this.config.verbose) {
+        console.log(chalk.gray(`  → ${file}${added > 0 ? ` (+${added} steps)` : ''}`));
+      }
     }
+  }
 
-    this.report.steps++;
+  // A class per page with the elements steps named on it, and an index
+  // the page object steps look them up through
+  generatePageObjects() {
+    const pagesDir = path.join(this.repoPath, this.config.pagesDir);
+    const pages = [...this.pageObjects.pages.values()]
+      .filter(page => page.elements.size > 0)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    if (pages.length === 0) return;
+
+    const writes = [
+      ...pages.map(page => ({ file: path.join(pagesDir, `${page.module}.ts`), content: renderPageObject(page) })),
+      { file: path.join(pagesDir, 'index.ts'), content: renderPageIndex(pages) },
+    ];
+    for (const { file, content } of writes) {
+      if (!this.config.dryRun) {
+        this.manifest.writeFile(file, content);
+      }
 
-    if (this.config.verbose) {
-      console.log(chalk.gray(`  → ${stepsPath}`));
+      if (this.config.verbose) {
+        console.log(chalk.gray(`  → ${file}`));
+      }
     }
+    this.report.pages = pages.length;
   }
 
   async generateSupportFiles() {
     // World file
     const worldContent = `import { World, IWorldOptions, setWorldConstructor } from '@cucumber/cucumber';
-import { BrowserContext, Page } from '@playwright/test';
+import { BrowserContext, Page, Request } from '@playwright/test';
+
+export interface DialogRecord {
+  type: string;
+  message: string;
+}
 
 export interface ICustomWorld extends World {
   context?: BrowserContext;
   page?: Page;
   testData?: Record<string, any>;
+  requests?: Request[];
+  dialogs?: DialogRecord[];
+  dialogAnswers?: Record<string, boolean | string>;
 }
 
 export class CustomWorld extends World implements ICustomWorld {
   context?: BrowserContext;
   page?: Page;
   testData?: Record<string, any>;
+  // Every request the page made, for request assertions
+  requests?: Request[];
+  // Every dialog the page opened, for dialog assertions
+  dialogs?: DialogRecord[];
+  // How to answer dialogs, by type: accept, dismiss, or a prompt's text
+  dialogAnswers?: Record<string, boolean | string>;
 
   constructor(options: IWorldOptions) {
     super(options);
     this.testData = {};
+    this.requests = [];
+    this.dialogs = [];
+    this.dialogAnswers = {};
   }
 }
 
@@ -795,6 +1337,13 @@ Before(async function (this: ICustomWorld) {
   });
   this.page = await this.context.newPage();
   this.page.setDefaultTimeout(30000);
+  this.page.on('request', request => this.requests!.push(request));
+  // Registered before any step runs, so no dialog goes unanswered
+  this.page.on('dialog', dialog => {
+    this.dialogs!.push({ type: dialog.type(), message: dialog.message() });
+    const answer = this.dialogAnswers![dialog.type()] ?? true;
+    return answer === false ? dialog.dismiss() : dialog.accept(typeof answer === 'string' ? answer : undefined);
+  });
 });
 
 After(async function (this: ICustomWorld, { result, pickle }) {
@@ -810,16 +1359,23 @@ After(async function (this: ICustomWorld, { result, pickle }) {
 });
 `;
 
-    if (!this.config.dryRun) {
-      fs.writeFileSync(
+    if (this.config.dryRun) return;
+
+    if (generatesFeatures(this.config.target)) {
+      this.manifest.writeFile(
         path.join(this.repoPath, this.config.supportDir, 'world.ts'),
         worldContent
       );
-      fs.writeFileSync(
+      this.manifest.writeFile(
         path.join(this.repoPath, this.config.supportDir, 'hooks.ts'),
         hooksContent
       );
-      fs.mkdirSync(path.join(this.repoPath, 'screenshots'), { recursive: true });
+      this.manifest.makeDir('screenshots');
+    }
+
+    // The World's recorders as fixtures of the Playwright Test specs
+    if (generatesSpecs(this.config.target)) {
+      this.manifest.writeFile(path.join(this.repoPath, this.config.supportDir, 'fixtures.ts'), SPEC_FIXTURES);
     }
   }
 
@@ -827,63 +1383,66 @@ After(async function (this: ICustomWorld, { result, pickle }) {
   // SETUP PROJECT
   // ---------------------------------------------------------------------------
 
+  // Existing configs are merged rather than replaced, and every change is
+  // shown as a unified diff before it is written
   async setupProject() {
     const spinner = ora('Setting up Playwright BDD project...').start();
-
-    // Update package.json
-    const pkgPath = path.join(this.repoPath, 'package.json');
-    let pkg = fs.existsSync(pkgPath)
-      ? JSON.parse(fs.readFileSync(pkgPath, 'utf-8'))
-      : { name: 'playwright-bdd-tests', version: '1.0.0' };
-
-    pkg.devDependencies = {
-      ...pkg.devDependencies,
-      '@playwright/test': '^1.41.0',
-      '@cucumber/cucumber': '^10.3.1',
-      'playwright-bdd': '^6.6.0',
-      'typescript': '^5.3.3',
+    const read = file => {
+      const filePath = path.join(this.repoPath, file);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
     };
-
-    pkg.scripts = {
-      ...pkg.scripts,
-      'test': 'npx bddgen && playwright test',
-      'test:headed': 'npx bddgen && playwright test --headed',
-      'test:ui': 'npx bddgen && playwright test --ui',
-      'test:debug': 'npx bddgen && playwright test --debug',
-      'test:report': 'playwright show-report',
+    const changes = [];
+    const change = (file, before, after) => {
+      if (before !== after) changes.push({ file, before, after });
     };
 
-    // Copy playwright.config.ts
-    const configContent = `import { defineConfig, devices } from '@playwright/test';
+    const { target, specsDir } = this.config;
+    const features = generatesFeatures(target);
+    const specs = generatesSpecs(target);
+
+    // New playwright.config.ts; with both targets, one project for each
+    const both = features && specs;
+    const bddImports = features ? `
 import { defineBddConfig, cucumberReporter } from 'playwright-bdd';
 
-const testDir = defineBddConfig({
+const ${both ? 'bddTestDir' : 'testDir'} = defineBddConfig({
   features: '${this.config.featuresDir}/**/*.feature',
   steps: '${this.config.stepsDir}/**/*.ts',
-});
-
-export default defineConfig({
-  testDir,
+});` : '';
+    const testDir = both ? '' : features ? '\n  testDir,' : `\n  testDir: '${specsDir}',`;
+    const projects = both
+      ? `    { name: '${BDD_PROJECT}', testDir: bddTestDir, use: { ...devices['Desktop Chrome'] } },
+    { name: '${SPECS_PROJECT}', testDir: '${specsDir}', use: { ...devices['Desktop Chrome'] } },`
+      : `    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },`;
+    const configContent = `import { defineConfig, devices } from '@playwright/test';${bddImports}
+
+export default defineConfig({${testDir}
   fullyParallel: true,
   forbidOnly: !!process.env.CI,
   retries: process.env.CI ? 2 : 0,
   reporter: [
     ['list'],
-    ['html', { open: 'never' }],
-    cucumberReporter('html', { outputFile: 'reports/cucumber-report.html' }),
+    ['html', { open: 'never' }],${features ? `
+    cucumberReporter('html', { outputFile: 'reports/cucumber-report.html' }),` : ''}
   ],
   use: {
-    baseURL: process.env.BASE_URL || 'http://localhost:3000',
+    baseURL: process.env.BASE_URL || ${jsString(this.config.baseURL)},
     trace: 'on-first-retry',
     screenshot: 'only-on-failure',
   },
   projects: [
-    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+${projects}
   ],
 });
 `;
 
     // tsconfig.json
+    const tsconfigInclude = [
+      ...(features ? [`${this.config.stepsDir}/**/*`] : []),
+      ...(specs ? [`${specsDir}/**/*`] : []),
+      ...(this.pageObjects ? [`${this.config.pagesDir}/**/*`] : []),
+      `${this.config.supportDir}/**/*`,
+    ];
     const tsconfigContent = `{
   "compilerOptions": {
     "target": "ES2022",
@@ -894,18 +1453,110 @@ export default defineConfig({
     "skipLibCheck": true,
     "outDir": "./dist"
   },
-  "include": ["${this.config.stepsDir}/**/*", "${this.config.supportDir}/**/*"]
+  "include": [${tsconfigInclude.map(pattern => JSON.stringify(pattern)).join(', ')}]
 }
 `;
 
+    // An existing Playwright config gets the BDD suite and the specs as
+    // extra projects
+    const configFile = PLAYWRIGHT_CONFIG_FILES.find(file => read(file) !== null);
+    let project = both ? BDD_PROJECT : null;
+    let specsProject = both ? SPECS_PROJECT : null;
+    if (configFile) {
+      const before = read(configFile);
+      const merged = mergePlaywrightConfig(before, configFile, { ...this.config, features, specsDir: specs ? specsDir : null });
+      if (merged) {
+        change(configFile, before, merged.content);
+        ({ project, specsProject } = merged);
+      } else {
+        this.report.warnings.push(
+          `Could not find the exported config in ${configFile}; add a project with ` +
+          (features ? 'testDir: defineBddConfig({ features, steps })' : `testDir: '${specsDir}'`) + ' by hand'
+        );
+      }
+    } else {
+      change('playwright.config.ts', null, configContent);
+    }
+
+    const pkgBefore = read('package.json');
+    change('package.json', pkgBefore, mergePackageJson(pkgBefore, { project, features, specs, specsProject }));
+
+    const tsconfigBefore = read('tsconfig.json');
+    change('tsconfig.json', tsconfigBefore, tsconfigBefore === null
+      ? tsconfigContent
+      : mergeTsconfig(tsconfigBefore, tsconfigInclude));
+
+    spinner.stop();
+    for (const { file, before, after } of changes) {
+      this.printDiff(file, before, after);
+    }
+
     if (!this.config.dryRun) {
-      fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2));
-      fs.writeFileSync(path.join(this.repoPath, 'playwright.config.ts'), configContent);
-      fs.writeFileSync(path.join(this.repoPath, 'tsconfig.json'), tsconfigContent);
-      fs.mkdirSync(path.join(this.repoPath, 'reports'), { recursive: true });
+      for (const { file, after } of changes) {
+        this.manifest.writeFile(file, after);
+      }
+      this.manifest.makeDir('reports');
     }
 
-    spinner.succeed('Playwright BDD project configured');
+    spinner.succeed(changes.length > 0
+      ? 'Playwright BDD project configured'
+      : 'Playwright BDD project already configured');
+  }
+
+  printDiff(file, before, after) {
+    const lines = unifiedDiff(file, before, after).trimEnd().split('\n');
+    console.log('');
+    for (const line of lines) {
+      if (line.startsWith('+++') || line.startsWith('---')) console.log(chalk.bold(line));
+      else if (line.startsWith('+')) console.log(chalk.green(line));
+      else if (line.startsWith('-')) console.log(chalk.red(line));
+      else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+      else console.log(line);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // REVERT
+  // ---------------------------------------------------------------------------
+
+  // Undo every migration recorded in the manifest. Refuses, without touching
+  // anything, when a migrated file was edited since it was written.
+  async revert() {
+    if (!this.manifest.exists) {
+      throw new Error(`No ${MANIFEST_FILE} in ${this.repoPath}; nothing to revert`);
+    }
+
+    const plan = this.manifest.revert({ dryRun: true });
+    const total = plan.restored.length + plan.removed.length;
+
+    if (!this.config.dryRun && !this.config.yes) {
+      const { proceed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'proceed',
+        message: `Revert ${total} migrated files?`,
+        default: false,
+      }]);
+      if (!proceed) {
+        console.log(chalk.yellow('\nRevert cancelled.'));
+        return plan;
+      }
+    }
+
+    const result = this.config.dryRun ? plan : this.manifest.revert();
+
+    console.log(chalk.bold.green(`\n✓ ${this.config.dryRun ? 'Revert preview' : 'Migration reverted'}`));
+    const sections = [
+      [result.restored, 'restored', 'would restore', chalk.green],
+      [result.removed, 'removed', 'would remove', chalk.red],
+      [result.directories, 'removed directory', 'would remove directory', chalk.red],
+      [result.kept, 'kept non-empty directory', 'would keep non-empty directory', chalk.yellow],
+    ];
+    for (const [files, done, preview, color] of sections) {
+      for (const file of files) {
+        console.log(color(`  ${this.config.dryRun ? preview : done}: ${file}`));
+      }
+    }
+    return result;
   }
 
   // ---------------------------------------------------------------------------
@@ -955,23 +1606,138 @@ export default defineConfig({
     console.log(`
   Files analyzed:     ${chalk.cyan(this.report.analyzed)}
   Feature files:      ${chalk.green(this.report.features)}
+  Spec files:         ${chalk.green(this.report.specs)}${this.pageObjects ? `
+  Page objects:       ${chalk.green(this.report.pages)}` : ''}
   Step definitions:   ${chalk.green(this.report.steps)}
   Skipped:            ${chalk.gray(this.report.skipped)}
+  Unchanged (cached): ${chalk.gray(this.report.unchanged)}
   Errors:             ${chalk.red(this.report.errors.length)}
+  Warnings:           ${chalk.yellow(this.report.warnings.length)}
 `);
 
+    if (this.fixtures.size > 0) {
+      console.log(chalk.gray(`  ${this.fixtures.size} stubbed API response(s) saved as fixtures in ${this.config.fixturesDir}\n`));
+    }
+
+    if (this.sessions.size > 0) {
+      console.log(chalk.gray(`  ${this.sessions.size} seeded login(s) saved as storage states in ${this.config.authDir}\n`));
+    }
+
+    const { target } = this.config;
+    const { upgrades } = this.report;
+    if (upgrades.length > 0) {
+      const applied = this.config.upgradeSelectors ? 'applied' : 'run with --upgrade-selectors to apply';
+      console.log(chalk.bold(`Selector upgrades (${applied}):`));
+      for (const { selector, locator } of upgrades.slice(0, 10)) {
+        console.log(`  ${selector} ${chalk.gray('→')} ${chalk.green(locator)}`);
+      }
+      if (upgrades.length > 10) {
+        console.log(chalk.gray(`  ... and ${upgrades.length - 10} more`));
+      }
+      console.log('');
+    }
+
+    if (this.legacyBlocks.size > 0) {
+      const todos = generatesFeatures(target) ? path.join(this.config.stepsDir, LEGACY_STEPS.file) : this.config.specsDir;
+      console.log(chalk.yellow(`  ${this.legacyBlocks.size} legacy block(s) still to port: see the TODOs in ${todos}\n`));
+    }
+
+    this.printErrors();
+
+    if (this.report.warnings.length > 0) {
+      console.log(chalk.bold('Warnings:'));
+      for (const warning of this.report.warnings) {
+        console.log(chalk.yellow(`  ⚠ ${warning}`));
+      }
+      console.log('');
+    }
+
     console.log(chalk.bold('Generated structure:'));
-    console.log(`  ${this.config.featuresDir}/    ${chalk.gray('← Gherkin feature files')}`);
-    console.log(`  ${this.config.stepsDir}/       ${chalk.gray('← Cucumber step definitions')}`);
-    console.log(`  ${this.config.supportDir}/     ${chalk.gray('← World & Hooks')}`);
+    if (generatesFeatures(target)) {
+      console.log(`  ${this.config.featuresDir}/    ${chalk.gray('← Gherkin feature files')}`);
+      console.log(`  ${this.config.stepsDir}/       ${chalk.gray('← Cucumber step definitions')}`);
+    }
+    if (generatesSpecs(target)) {
+      console.log(`  ${this.config.specsDir}/       ${chalk.gray('← Playwright Test specs')}`);
+    }
+    if (this.pageObjects) {
+      console.log(`  ${this.config.pagesDir}/       ${chalk.gray('← Page objects')}`);
+    }
+    console.log(`  ${this.config.supportDir}/     ${chalk.gray(generatesFeatures(target) ? '← World & Hooks' : '← Fixtures')}`);
 
     console.log(chalk.bold('\nNext steps:'));
     console.log(`  1. ${chalk.cyan('npm install')}`);
     console.log(`  2. ${chalk.cyan('npx playwright install')}`);
-    console.log(`  3. ${chalk.cyan('npm test')}`);
-    console.log(`  4. Review generated .feature files and customize steps`);
+    console.log(`  3. ${chalk.cyan(generatesFeatures(target) ? 'npm run test:bdd' : 'npm run test:specs')}`);
+    console.log(`  4. Review generated ${generatesFeatures(target) ? '.feature files and customize steps' : 'specs'}`);
     console.log('');
   }
+
+  // A file that fails to parse fails both analysis and migration with --full;
+  // it is one error
+  recordError(file, error) {
+    if (this.report.errors.some(e => e.file === file && e.error === error)) return;
+    this.report.errors.push({ file, error });
+  }
+
+  printErrors() {
+    if (this.report.errors.length === 0) return;
+    console.log(chalk.bold.red('\nErrors:'));
+    for (const { file, error } of this.report.errors) {
+      console.log(chalk.red(`  ✗ ${path.relative(this.repoPath, file)}: ${error}`));
+    }
+    console.log('');
+  }
+
+  // ---------------------------------------------------------------------------
+  // CI
+  // ---------------------------------------------------------------------------
+
+  // The --report-format file, from the last analysis and this run's results
+  writeReport() {
+    const format = this.config.reportFormat;
+    if (!format || !this.analysis) return;
+
+    const reportPath = path.join(this.repoPath, REPORT_FORMATS[format]);
+    if (this.config.dryRun) {
+      console.log(chalk.gray(`Dry run: ${format} report not written to ${reportPath}`));
+      return;
+    }
+
+    const report = {
+      ...this.report,
+      errors: this.report.errors.map(e => ({ ...e, file: path.relative(this.repoPath, e.file) })),
+    };
+    this.manifest.writeFile(reportPath, renderReport(format, { analysis: this.analysis, report }));
+    console.log(chalk.gray(`Saved ${format} report: ${reportPath}`));
+  }
+
+  // Why the run should exit non-zero: errors, or coverage below --fail-under
+  // of the statements analyzed
+  failures() {
+    const failures = [];
+    if (this.report.errors.length > 0) {
+      failures.push(`${this.report.errors.length} error(s) during the run`);
+    }
+    const { failUnder } = this.config;
+    if (failUnder != null && this.analysis) {
+      // Nothing analyzed (a --since diff without tests) is nothing below the threshold
+      const { coverage, translated, placeholders } = this.analysis.summary.coverage;
+      if (translated + placeholders > 0 && coverage < failUnder) {
+        failures.push(`Translation coverage ${coverage}% is below --fail-under ${failUnder}%`);
+      }
+    }
+    return failures;
+  }
+}
+
+// Commander parser for --fail-under
+function parsePercent(value) {
+  const percent = Number(value);
+  if (value.trim() === '' || !(percent >= 0 && percent <= 100)) {
+    throw new InvalidArgumentError('Expected a coverage percentage from 0 to 100.');
+  }
+  return percent;
 }
 
 // =============================================================================
@@ -985,7 +1751,21 @@ program
   .argument('[path]', 'Repository path', '.')
   .option('-a, --analyze', 'Analyze only')
   .option('--full', 'Full migration')
-  .option('-o, --output <dir>', 'Output directory', 'tests')
+  .option('-c, --config <file>', 'Project settings file (default: bjs2pw.config.{json,js} or the "bjs2pw" key of package.json)')
+  .option('-o, --output <dir>', 'Output directory (default: tests)')
+  .option('--split-depth <n>', 'Nesting depth at which describe blocks become separate features', Number)
+  .option('--no-outlines', 'Keep near-identical tests as separate Scenarios instead of merging them into Scenario Outlines')
+  .option('--since <ref>', 'Only analyze and migrate test files changed since a git revision')
+  .option('--no-cache', 'Re-migrate every file, ignoring the .bjs2pw-cache.json cache')
+  .addOption(new Option('--target <target>', 'What to generate: playwright-bdd features, playwright-test specs, or both (default: playwright-bdd)')
+    .choices(TARGETS))
+  .option('--page-objects', 'Collect selectors into page objects and name elements in steps instead of giving selectors')
+  .option('--html <glob...>', 'HTML fixtures or static pages to check selectors against and propose getByRole/getByLabel/getByTestId locators from')
+  .option('--upgrade-selectors', 'Write the locators proposed from --html into features, page objects and specs')
+  .addOption(new Option('--report-format <format>', 'Also write a CI report: junit, sarif, markdown or json')
+    .choices(Object.keys(REPORT_FORMATS)))
+  .option('--fail-under <percent>', 'Exit non-zero when translation coverage is below this percentage', parsePercent)
+  .option('--revert', 'Restore the repository to its state before the migration')
   .option('--dry-run', 'Preview only')
   .option('--verbose', 'Verbose output')
   .option('-y, --yes', 'Skip prompts')
@@ -1001,6 +1781,10 @@ program
 
     console.log(chalk.blue(`Repository: ${abs}\n`));
 
+    // Only flags given on the command line override project settings
+    opts = Object.fromEntries(Object.entries(opts)
+      .filter(([name]) => program.getOptionValueSource(name) !== 'default'));
+
     if (opts.interactive) {
       const answers = await inquirer.prompt([
         { type: 'confirm', name: 'full', message: 'Run full migration?', default: true },
@@ -1010,15 +1794,13 @@ program
       opts = { ...opts, ...answers };
     }
 
-    const migrator = new BrowserJSToPlaywrightBDD(abs, {
-      ...opts,
-      featuresDir: `${opts.output}/features`,
-      stepsDir: `${opts.output}/steps`,
-      supportDir: `${opts.output}/support`,
-    });
-
     try {
-      if (opts.full) {
+      const migrator = await BrowserJSToPlaywrightBDD.load(abs, opts);
+      if (migrator.settingsSource) console.log(chalk.blue(`Settings: ${migrator.settingsSource}\n`));
+
+      if (opts.revert) {
+        await migrator.revert();
+      } else if (opts.full) {
         await migrator.runFull();
       } else if (opts.analyze) {
         await migrator.analyze();
@@ -1026,6 +1808,13 @@ program
         await migrator.analyze();
         console.log(chalk.gray('\nUse --full for complete migration'));
       }
+
+      if (!opts.revert) {
+        migrator.writeReport();
+        const failures = migrator.failures();
+        for (const failure of failures) console.error(chalk.red(`✗ ${failure}`));
+        if (failures.length > 0) process.exitCode = 1;
+      }
     } catch (err) {
       console.error(chalk.red(`\nError: ${err.message}`));
       if (opts.verbose) console.error(err.stack);
@@ -0,0 +1,112 @@
+/**
+ * Translation coverage
+ *
+ * How much of each test the translator turns into real steps, what is left
+ * as placeholders, and which constructs it cannot migrate yet, summed up as
+ * a confidence score for planning migration waves.
+ */
+
+import { calleePath, memberPath } from './ast.js';
+import { findStepDefinition } from './step-library.js';
+
+// Constructs the translator has no steps for, by callee
+const UNSUPPORTED = {
+  'fetch': { category: 'network', construct: 'fetch' },
+  'window.fetch': { category: 'network', construct: 'fetch' },
+  'XMLHttpRequest': { category: 'network', construct: 'XMLHttpRequest' },
+  'requestAnimationFrame': { category: 'timers', construct: 'requestAnimationFrame' },
+  'window.requestAnimationFrame': { category: 'timers', construct: 'requestAnimationFrame' },
+  'alert': { category: 'dialogs', construct: 'alert' },
+  'window.alert': { category: 'dialogs', construct: 'alert' },
+  'confirm': { category: 'dialogs', construct: 'confirm' },
+  'window.confirm': { category: 'dialogs', construct: 'confirm' },
+  'prompt': { category: 'dialogs', construct: 'prompt' },
+  'window.prompt': { category: 'dialogs', construct: 'prompt' },
+};
+
+// Points off the score for each kind of unsupported construct in a test
+const UNSUPPORTED_PENALTY = 15;
+
+// Unsupported calls and constructors below the given nodes, once per line,
+// except inside the `handled` nodes the translator turned into steps
+export function findUnsupported(nodes, handled = new Set()) {
+  const found = new Map();
+  const walk = node => {
+    if (!node || typeof node.type !== 'string' || handled.has(node)) return;
+    const callee = node.type === 'NewExpression'
+      ? memberPath(node.callee)
+      : calleePath(node);
+    const match = callee && Object.hasOwn(UNSUPPORTED, callee) ? UNSUPPORTED[callee] : null;
+    if (match) found.set(`${match.construct}:${node.loc.start.line}`, { ...match, line: node.loc.start.line });
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key.endsWith('Comments')) continue;
+      const value = node[key];
+      if (Array.isArray(value)) value.forEach(walk);
+      else if (value && typeof value.type === 'string') walk(value);
+    }
+  };
+  nodes.forEach(walk);
+  return [...found.values()];
+}
+
+function isPlaceholder(step) {
+  if (step.legacy) return true;
+  const found = findStepDefinition(step.text);
+  return Boolean(found && found.step.placeholder);
+}
+
+/**
+ * Coverage of one test from the steps translated for it and the callbacks
+ * they came from: `{ translated, placeholders }` statement counts, the
+ * unsupported constructs found and the resulting score.
+ */
+export function testCoverage(steps, callbacks, handled = new Set()) {
+  const translated = new Set();
+  const placeholders = new Set();
+  let legacyStatements = 0;
+  for (const step of steps) {
+    if (step.legacy) legacyStatements += step.legacy.statements;
+    else (isPlaceholder(step) ? placeholders : translated).add(step.node);
+  }
+
+  return scored({
+    translated: translated.size,
+    placeholders: placeholders.size + legacyStatements,
+    unsupported: findUnsupported(callbacks, handled),
+  });
+}
+
+// Coverage of a file, or of the whole repository, from its parts. Shared
+// hooks are counted once per test but their unsupported constructs only once.
+export function combineCoverage(parts) {
+  const unsupported = new Map();
+  for (const u of parts.flatMap(part => part.unsupported)) {
+    unsupported.set(`${u.file || ''}:${u.construct}:${u.line}`, u);
+  }
+  return scored({
+    translated: parts.reduce((sum, part) => sum + part.translated, 0),
+    placeholders: parts.reduce((sum, part) => sum + part.placeholders, 0),
+    unsupported: [...unsupported.values()],
+  });
+}
+
+/**
+ * Confidence is the share of statements translated to real steps, in
+ * percent, less 15 points for each category of unsupported construct
+ * (network, timers, dialogs). Nothing translated scores 0.
+ */
+function scored({ translated, placeholders, unsupported }) {
+  const total = translated + placeholders;
+  const categories = [...new Set(unsupported.map(u => u.category))];
+  const share = total === 0 ? 0 : translated / total;
+  const confidence = Math.max(0, Math.round(share * 100) - UNSUPPORTED_PENALTY * categories.length);
+  return {
+    translated,
+    placeholders,
+    coverage: total === 0 ? 0 : Math.round(share * 100),
+    unsupported,
+    confidence,
+    level: confidence >= 80 ? 'high' : confidence >= 50 ? 'medium' : 'low',
+  };
+}
@@ -0,0 +1,219 @@
+/**
+ * Cypress
+ *
+ * Source adapter for Cypress tests. A `cy` command chain is read left to
+ * right, keeping the subject each command yields: cy.get('#q').type('x')
+ * fills the field cy.get() found, and .should() asserts on it.
+ */
+
+import { memberPath, propertyName, quote, unwrap } from './ast.js';
+import { eventStep } from './events.js';
+import { descendant, hasText, traverse } from './jquery.js';
+
+// {enter} and friends in .type('ann{enter}'), by Playwright key name
+const SPECIAL_KEYS = {
+  enter: 'Enter',
+  esc: 'Escape',
+  tab: 'Tab',
+  backspace: 'Backspace',
+  del: 'Delete',
+  uparrow: 'ArrowUp',
+  downarrow: 'ArrowDown',
+  leftarrow: 'ArrowLeft',
+  rightarrow: 'ArrowRight',
+  home: 'Home',
+  end: 'End',
+  pageup: 'PageUp',
+  pagedown: 'PageDown',
+  selectall: 'ControlOrMeta+a',
+};
+
+// Commands that act on the subject, by the step they become
+const ACTIONS = {
+  click: 'I click on',
+  dblclick: 'I double click on',
+  rightclick: 'I right click on',
+  focus: 'I focus on',
+  blur: 'I remove focus from',
+  submit: 'I submit the form',
+  scrollIntoView: 'I scroll to',
+};
+
+// Commands with nothing to show in a scenario
+const QUIET = new Set(['log', 'as']);
+
+export const cypress = {
+  name: 'cypress',
+  label: 'Cypress',
+  detect: [/\bcy\.(visit|get|contains|url|title|intercept|wait)\(/, /\bCypress\.\w+/],
+  translate: translateChain,
+};
+
+/**
+ * Steps for a whole `cy` chain, or null when any command in it has no
+ * translation, so the chain stays together as one legacy block.
+ */
+function translateChain(expr, translator) {
+  const commands = commandsOf(expr);
+  if (!commands) return null;
+  // cy.wait(500) is a sleep, handled with the other timers
+  if (commands.length === 1 && commands[0].name === 'wait') return null;
+
+  const steps = [];
+  const state = { subject: null, found: null };
+  for (const command of commands) {
+    const next = commandSteps(translator, command, state, steps);
+    if (!next) return null;
+    steps.push(...next);
+  }
+  // cy.contains('Welcome') on its own checks the text is shown
+  if (state.found && steps.length === 0) steps.push({ keyword: 'Then', text: `I should see ${quote(state.found)}` });
+  return steps;
+}
+
+// cy.get('#q').type('x') → [{ name: 'get', args }, { name: 'type', args }]
+function commandsOf(expr) {
+  const commands = [];
+  let node = unwrap(expr);
+  while (node && node.type === 'CallExpression') {
+    const callee = unwrap(node.callee);
+    if (callee.type !== 'MemberExpression') return null;
+    commands.unshift({ name: propertyName(callee), args: node.arguments });
+    node = unwrap(callee.object);
+  }
+  return memberPath(node) === 'cy' && commands.length > 0 ? commands : null;
+}
+
+// The steps for one command, updating the chain's subject; null when it
+// has no translation
+function commandSteps(translator, { name, args }, state, steps) {
+  const values = args.map(arg => translator.valueOf(arg));
+  const [first, second] = values;
+  const subject = state.subject;
+  const selector = subject && subject.selector;
+  const s = selector && quote(selector);
+  state.found = null;
+
+  if (QUIET.has(name)) return [];
+  switch (name) {
+    case 'visit':
+      return first !== null ? [{ keyword: 'Given', text: `I navigate to ${quote(first)}` }] : null;
+    case 'url':
+    case 'title':
+      state.subject = { kind: name };
+      return [];
+    case 'get':
+      if (first === null || first.startsWith('@')) return null;
+      state.subject = { kind: 'element', selector: translator.jquerySelector(first, args[0]) };
+      return [];
+    case 'find':
+      if (first === null || !selector) return null;
+      state.subject = { kind: 'element', selector: descendant(selector, translator.jquerySelector(first, args[0])) };
+      return [];
+    case 'first':
+    case 'last':
+    case 'eq':
+      if (!selector || (name === 'eq' && first === null)) return null;
+      state.subject = { kind: 'element', selector: traverse(name, selector, first) };
+      return state.subject.selector ? [] : null;
+    case 'contains': {
+      // cy.contains('Save'), cy.contains('button', 'Save'), cy.get('form').contains('Save')
+      const text = args.length > 1 ? second : first;
+      if (text === null) return null;
+      const within = args.length > 1 ? `${translator.jquerySelector(first, args[0])}${hasText(text)}` : `text=${text}`;
+      const inside = selector && (args.length > 1 ? descendant(selector, within) : `${selector} >> ${within}`);
+      state.subject = { kind: 'element', selector: inside || within };
+      if (!selector && args.length === 1) state.found = text;
+      return [];
+    }
+    case 'type':
+      return selector && first !== null ? typeSteps(first, s) : null;
+    case 'clear':
+      return selector ? [{ keyword: 'When', text: `I clear the ${s} field` }] : null;
+    case 'check':
+    case 'uncheck':
+      return selector && args.length === 0 ? [{ keyword: 'When', text: `I ${name} the ${s} checkbox` }] : null;
+    case 'select':
+      return selector && first !== null ? [{ keyword: 'When', text: `I select ${quote(first)} from ${s}` }] : null;
+    case 'trigger': {
+      if (!selector || first === null) return null;
+      const step = eventStep({ selector, event: { type: first, init: {} } }, steps[steps.length - 1]);
+      return step ? [step] : [];
+    }
+    case 'should':
+    case 'and':
+      return subject ? assertionStep(subject, values) : null;
+    default:
+      if (ACTIONS[name] && selector) return [{ keyword: 'When', text: `${ACTIONS[name]} ${s}` }];
+      return null;
+  }
+}
+
+// 'ann{enter}' → type "ann", then press Enter
+function typeSteps(text, s) {
+  const steps = [];
+  for (const part of text.split(/(\{[^}]+\})/)) {
+    if (!part) continue;
+    const special = /^\{(\w+)\}$/.exec(part);
+    if (special) {
+      const key = SPECIAL_KEYS[special[1].toLowerCase()];
+      if (!key) return null;
+      steps.push({ keyword: 'When', text: `I press ${quote(key)} in ${s}` });
+    } else {
+      steps.push({ keyword: 'When', text: `I type ${quote(part)} in ${s}` });
+    }
+  }
+  return steps;
+}
+
+// .should('have.text', 'Saved'), .should('not.be.visible'), .and('have.length', 3)
+function assertionStep(subject, [chainer, expected, value]) {
+  if (chainer === null) return null;
+  const negated = chainer.startsWith('not.');
+  const check = negated ? chainer.slice('not.'.length) : chainer;
+  const v = expected !== null && expected !== undefined ? quote(expected) : null;
+  const step = text => text && [{ keyword: 'Then', text }];
+
+  if (subject.kind === 'url') {
+    if (negated || v === null) return null;
+    if (['include', 'contain'].includes(check)) return step(`the URL should contain ${v}`);
+    return ['eq', 'equal'].includes(check) ? step(`the URL should be ${v}`) : null;
+  }
+  if (subject.kind === 'title') {
+    return !negated && v !== null && ['eq', 'equal'].includes(check) ? step(`the page title should be ${v}`) : null;
+  }
+
+  const s = quote(subject.selector);
+  switch (check) {
+    case 'be.visible':
+      return step(`the element ${s} should ${negated ? 'not be visible' : 'be visible'}`);
+    case 'be.hidden':
+      return step(`the element ${s} should ${negated ? 'be visible' : 'not be visible'}`);
+    case 'exist':
+      return step(`the element ${s} should ${negated ? 'not exist' : 'exist'}`);
+    case 'be.checked':
+      return step(`the checkbox ${s} should ${negated ? 'not be checked' : 'be checked'}`);
+    case 'be.disabled':
+      return step(`the element ${s} should be ${negated ? 'enabled' : 'disabled'}`);
+    case 'be.enabled':
+      return step(`the element ${s} should be ${negated ? 'disabled' : 'enabled'}`);
+    case 'have.text':
+      return v && step(`the element ${s} should ${negated ? 'not have' : 'have'} text ${v}`);
+    case 'contain':
+    case 'contain.text':
+    case 'include.text':
+      return v && step(`the element ${s} should ${negated ? 'not contain' : 'contain'} ${v}`);
+    case 'have.value':
+      return v && step(`the input ${s} should ${negated ? 'not have' : 'have'} value ${v}`);
+    case 'have.class':
+      return v && step(`the element ${s} should ${negated ? 'not have' : 'have'} class ${v}`);
+    case 'have.length':
+      return !negated && /^\d+$/.test(expected) ? step(`there should be ${expected} elements matching ${s}`) : null;
+    case 'have.attr':
+      return !negated && v && value !== null && value !== undefined
+        ? step(`the element ${s} should have attribute ${v} with value ${quote(value)}`)
+        : null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Dialogs
+ *
+ * Recognizes tests that stub window.alert/confirm/prompt to answer dialogs
+ * or capture their message (plain overrides, jest/vitest/sinon/jasmine
+ * spies) and the assertions made on them. Answers become steps that tell
+ * the World's dialog recorder how to answer; assertions check what it saw.
+ */
+
+import { booleanValue, calleePath, isFunction, memberPath, propertyName, quote, stringValue, unwrap } from './ast.js';
+import { matcherValue, mockAssertion } from './assertions.js';
+
+const DIALOG_TYPES = new Set(['alert', 'confirm', 'prompt']);
+const GLOBAL_OBJECTS = new Set(['window', 'global', 'globalThis', 'self']);
+
+// Mock functions that stand in for a dialog when assigned to it
+const FACTORIES = new Set(['jest.fn', 'vi.fn', 'sinon.stub', 'sinon.fake', 'sinon.spy', 'jasmine.createSpy']);
+
+// jest.spyOn(window, 'confirm'), sinon.stub(window, 'confirm'), spyOn(window, 'confirm')
+const SPIES = /^((jest|vi|sinon)\.(spyOn|stub|spy)|spyOn)$/;
+
+// Mock configuration methods, by what their argument is
+const RETURNS = new Set(['mockReturnValue', 'mockReturnValueOnce', 'returns', 'returnValue']);
+const IMPLEMENTS = new Set(['mockImplementation', 'mockImplementationOnce', 'callsFake', 'callFake']);
+// Setup and cleanup with nothing to show in a scenario
+const NO_STEPS = new Set(['mockClear', 'mockReset', 'mockRestore', 'restore', 'reset', 'resetHistory', 'callThrough']);
+
+const ASSERT_CALLED_WITH = new Set([
+  'toHaveBeenCalledWith', 'toBeCalledWith', 'toHaveBeenLastCalledWith', 'lastCalledWith',
+  'calledWith', 'calledWithMatch', 'calledWithExactly', 'calledOnceWith',
+]);
+const ASSERT_CALLED = new Set(['toHaveBeenCalled', 'toBeCalled', 'called', 'calledOnce']);
+const ASSERT_NOT_CALLED = new Set(['notCalled']);
+
+// Matchers on a captured message, or the list of them
+const EQUALS = new Set(['toBe', 'toEqual', 'toStrictEqual', 'equal', 'equals', 'eq', 'eql']);
+const CONTAINS = new Set(['toContain', 'toContainEqual', 'include', 'includes', 'contain']);
+
+// =============================================================================
+// STUBS
+// =============================================================================
+
+/**
+ * The dialog a statement's expression stubs, as `{ type, answer, capture,
+ * bind }`, or null when it stubs none. `answer` is true (accept), false
+ * (dismiss), the text a prompt returns, or undefined when the stub leaves it
+ * open. `capture` is `{ name, list }` for a variable the stub stores the
+ * message in (or pushes it to), and `bind` names a variable that now holds
+ * the mock, so later configuration and assertions on it are recognized.
+ */
+export function dialogStub(translator, expr, bind = null) {
+  expr = unwrap(expr);
+  if (!expr) return null;
+
+  if (expr.type === 'AssignmentExpression' && expr.operator === '=') {
+    const left = unwrap(expr.left);
+    const right = unwrap(expr.right);
+    // window.confirm = () => true
+    const type = dialogGlobal(translator, left);
+    if (type) {
+      // window.alert = alertMock, or back to the original
+      if (right.type === 'Identifier') return { type, answer: undefined, bind: right.name };
+      if (right.type === 'MemberExpression') return { type, answer: undefined };
+      const stub = mockStub(translator, right, true);
+      return stub && { ...stub, type };
+    }
+    // alertStub = sinon.stub(window, 'alert')
+    return left.type === 'Identifier' ? dialogStub(translator, right, left.name) : null;
+  }
+
+  const stub = mockStub(translator, expr, false);
+  return stub && stub.type ? { ...stub, bind } : null;
+}
+
+// A dialog global: window.confirm, or a bare confirm no variable shadows
+function dialogGlobal(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'Identifier') {
+    return DIALOG_TYPES.has(node.name) && !translator.lookup(node.name) ? node.name : null;
+  }
+  const path = memberPath(node);
+  const [object, name, ...rest] = path ? path.split('.') : [];
+  return GLOBAL_OBJECTS.has(object) && DIALOG_TYPES.has(name) && rest.length === 0 ? name : null;
+}
+
+// The dialog a mock expression stands in for, and what it answers, e.g.
+// jest.spyOn(window, 'confirm').mockReturnValue(true). Bare mock functions
+// (jest.fn(impl)) only count when assigned to a dialog, which gives the type.
+function mockStub(translator, node, assigned) {
+  node = unwrap(node);
+  if (!node) return null;
+
+  const type = dialogMock(translator, node);
+  if (type) return { type, answer: undefined };
+
+  if (assigned && isFunction(node)) return fromFunction(translator, node);
+  if (node.type !== 'CallExpression') return null;
+
+  if (assigned && FACTORIES.has(calleePath(node))) {
+    const impl = unwrap(node.arguments[0]);
+    return impl && isFunction(impl) ? fromFunction(translator, impl) : { answer: false };
+  }
+
+  const callee = unwrap(node.callee);
+  if (callee.type !== 'MemberExpression') return null;
+  const method = propertyName(callee);
+  // jasmine: spyOn(window, 'confirm').and.returnValue(true)
+  let object = unwrap(callee.object);
+  if (object.type === 'MemberExpression' && propertyName(object) === 'and') object = unwrap(object.object);
+
+  const base = mockStub(translator, object, assigned);
+  if (!base) return null;
+
+  const arg = unwrap(node.arguments[0]);
+  if (RETURNS.has(method)) {
+    const answer = answerOf(translator, arg);
+    return answer === null ? null : { ...base, answer };
+  }
+  if (IMPLEMENTS.has(method)) {
+    const stub = arg && isFunction(arg) ? fromFunction(translator, arg) : null;
+    return stub && { ...base, ...stub };
+  }
+  return NO_STEPS.has(method) ? base : null;
+}
+
+// A dialog global, a variable bound to a dialog mock, or a spy on a dialog
+function dialogMock(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  const type = dialogGlobal(translator, node);
+  if (type) return type;
+
+  if (node.type === 'Identifier') {
+    const binding = translator.lookup(node.name);
+    return binding && binding.type === 'dialog' ? binding.dialog : null;
+  }
+  if (node.type === 'CallExpression' && SPIES.test(calleePath(node) || '')) {
+    const [object, name] = node.arguments;
+    const dialog = stringValue(name);
+    return GLOBAL_OBJECTS.has(memberPath(object)) && DIALOG_TYPES.has(dialog) ? dialog : null;
+  }
+  return null;
+}
+
+// (message) => { alerted = message; return true; }
+function fromFunction(translator, fn) {
+  const param = fn.params[0] && fn.params[0].type === 'Identifier' ? fn.params[0].name : null;
+  const statements = fn.body.type === 'BlockStatement'
+    ? fn.body.body
+    : [{ type: 'ReturnStatement', argument: fn.body }];
+
+  const stub = { answer: false };
+  for (const statement of statements) {
+    if (statement.type === 'ReturnStatement') {
+      // () => alerted = message captures and returns nothing
+      const capture = captureOf(statement.argument, param);
+      if (capture) return { ...stub, capture };
+      const answer = answerOf(translator, statement.argument);
+      return answer === null ? null : { ...stub, answer };
+    }
+    const capture = statement.type === 'ExpressionStatement' ? captureOf(statement.expression, param) : null;
+    if (!capture) return null;
+    stub.capture = capture;
+  }
+  return stub;
+}
+
+// alerted = message / messages.push(message)
+function captureOf(node, param) {
+  node = unwrap(node);
+  if (!node || !param) return null;
+  if (node.type === 'AssignmentExpression' && node.operator === '=' &&
+      unwrap(node.left).type === 'Identifier' && isParam(node.right, param)) {
+    return { name: unwrap(node.left).name, list: false };
+  }
+  if (node.type === 'CallExpression' && propertyName(unwrap(node.callee)) === 'push' &&
+      unwrap(unwrap(node.callee).object).type === 'Identifier' && isParam(node.arguments[0], param)) {
+    return { name: unwrap(unwrap(node.callee).object).name, list: true };
+  }
+  return null;
+}
+
+function isParam(node, param) {
+  node = unwrap(node);
+  return Boolean(node) && node.type === 'Identifier' && node.name === param;
+}
+
+// What a stubbed dialog returns: true/false, a prompt's text, or nothing
+function answerOf(translator, node) {
+  node = unwrap(node);
+  if (!node) return false;
+  const bool = booleanValue(node);
+  if (bool !== null) return bool;
+  if (node.type === 'NullLiteral' || (node.type === 'Identifier' && node.name === 'undefined')) return false;
+  return translator.valueOf(node);
+}
+
+// =============================================================================
+// STEPS
+// =============================================================================
+
+const NOUNS = {
+  alert: ['an alert', 'no alert'],
+  confirm: ['a confirm dialog', 'no confirm dialog'],
+  prompt: ['a prompt', 'no prompt'],
+};
+
+// The step planning a stub's answer; alerts need none
+export function answerStep({ type, answer }) {
+  if (type === 'confirm' && typeof answer === 'boolean') {
+    return { keyword: 'Given', text: `I will ${answer ? 'accept' : 'dismiss'} the next confirm dialog` };
+  }
+  if (type === 'prompt' && answer === false) return { keyword: 'Given', text: 'I will dismiss the next prompt' };
+  if (type === 'prompt' && typeof answer === 'string') {
+    return { keyword: 'When', text: `I answer ${quote(answer)} to the next prompt` };
+  }
+  return null;
+}
+
+// =============================================================================
+// DIALOG ASSERTIONS
+// =============================================================================
+
+/**
+ * Then steps for an assertion on a dialog mock or a captured message, e.g.
+ * `expect(window.alert).toHaveBeenCalledWith('Saved')` or
+ * `expect(alerted).toBe('Saved')`; null for anything else.
+ */
+export function dialogAssertionSteps(translator, call) {
+  const assertion = mockAssertion(call);
+  if (!assertion) return null;
+  const { subject, matcher, args, negated } = assertion;
+  const [expected] = args;
+
+  const type = dialogMock(translator, subject);
+  if (type) {
+    const [some, none] = NOUNS[type];
+    const times = matcher === 'toHaveBeenCalledTimes' || matcher === 'toBeCalledTimes' ? matcherValue(translator, expected) : null;
+    if (ASSERT_NOT_CALLED.has(matcher) || (ASSERT_CALLED.has(matcher) && negated) || (times === '0' && !negated)) {
+      return [`${none} should have appeared`];
+    }
+    if (ASSERT_CALLED.has(matcher)) return [`${some} should have appeared`];
+    if (!ASSERT_CALLED_WITH.has(matcher) || negated) return null;
+    const message = matcherValue(translator, expected);
+    return message === null ? null : [`${some} saying ${quote(message)} should have appeared`];
+  }
+
+  // alerted, messages, alertSpy.mock.calls[0][0], alertStub.firstCall.args[0]
+  const captured = capturedMessage(translator, subject);
+  if (!captured || negated) return null;
+  const [some] = NOUNS[captured.dialog];
+  if (captured.list ? !CONTAINS.has(matcher) : !EQUALS.has(matcher)) return null;
+  const message = translator.valueOf(expected);
+  return message === null ? null : [`${some} saying ${quote(message)} should have appeared`];
+}
+
+function capturedMessage(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'Identifier') {
+    const binding = translator.lookup(node.name);
+    return binding && binding.type === 'dialogMessage' ? binding : null;
+  }
+
+  // The first argument of a recorded call
+  if (node.type !== 'MemberExpression' || !node.computed || unwrap(node.property).type !== 'NumericLiteral' ||
+      unwrap(node.property).value !== 0) {
+    return null;
+  }
+  let call = unwrap(node.object);
+  // alertSpy.mock.calls[0] / alertStub.args[0]
+  if (call.type === 'MemberExpression' && call.computed) call = unwrap(call.object);
+  // alertStub.firstCall.args / .getCall(0).args / .calls.mostRecent().args
+  if (call.type === 'MemberExpression' && propertyName(call) === 'args') call = unwrap(call.object);
+  if (call.type === 'CallExpression') call = unwrap(call.callee);
+
+  let mock = call;
+  while (mock && mock.type === 'MemberExpression' && !dialogMock(translator, mock)) {
+    mock = unwrap(mock.object);
+  }
+  const dialog = mock && dialogMock(translator, mock);
+  return dialog ? { dialog, list: false } : null;
+}
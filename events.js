@@ -0,0 +1,169 @@
+/**
+ * DOM events
+ *
+ * Recognizes events a test dispatches by hand (el.dispatchEvent(new
+ * KeyboardEvent(...)), testing-library fireEvent) and maps each onto the
+ * Playwright interaction a user would perform. Events that only tell the
+ * page about a change an earlier step already made are absorbed.
+ */
+
+import { calleePath, memberPath, propertyName, quote, unwrap } from './ast.js';
+import { dataOf } from './network.js';
+
+// new KeyboardEvent('keydown', init) and friends
+const EVENT_CLASSES = new Set([
+  'Event', 'CustomEvent', 'UIEvent', 'KeyboardEvent', 'MouseEvent', 'PointerEvent', 'FocusEvent',
+  'InputEvent', 'SubmitEvent', 'WheelEvent',
+]);
+
+const KEY_EVENTS = new Set(['keydown', 'keypress', 'keyup']);
+
+// Events that are one Playwright action on the target
+const ACTIONS = {
+  click: 'I click on',
+  dblclick: 'I double click on',
+  mouseover: 'I hover over',
+  mouseenter: 'I hover over',
+  contextmenu: 'I right click on',
+  focus: 'I focus on',
+  focusin: 'I focus on',
+  blur: 'I remove focus from',
+  focusout: 'I remove focus from',
+  submit: 'I submit the form',
+  reset: 'I reset the form',
+};
+
+// Events a page listens to after a field changed
+const CHANGES = new Set(['change', 'input']);
+
+// keyCode/which values of legacy tests, by Playwright key name
+const KEY_CODES = {
+  8: 'Backspace',
+  9: 'Tab',
+  13: 'Enter',
+  27: 'Escape',
+  32: 'Space',
+  33: 'PageUp',
+  34: 'PageDown',
+  35: 'End',
+  36: 'Home',
+  37: 'ArrowLeft',
+  38: 'ArrowUp',
+  39: 'ArrowRight',
+  40: 'ArrowDown',
+  46: 'Delete',
+};
+
+const MODIFIERS = [['ctrlKey', 'Control'], ['metaKey', 'Meta'], ['altKey', 'Alt'], ['shiftKey', 'Shift']];
+
+// =============================================================================
+// SHAPES
+// =============================================================================
+
+/**
+ * The event a constructor call (or jQuery's $.Event) creates, as `{ type,
+ * init }`, where `init` is its static options (key, code, keyCode, modifier
+ * flags...), or null.
+ */
+export function domEvent(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'Identifier') {
+    const binding = translator.lookup(node.name);
+    return binding && binding.type === 'event' ? binding.event : null;
+  }
+  // jQuery: $.Event('keydown', { which: 13 })
+  const jquery = node.type === 'CallExpression' && ['$.Event', 'jQuery.Event'].includes(calleePath(node));
+  if (!jquery && (node.type !== 'NewExpression' || !EVENT_CLASSES.has(memberPath(node.callee)))) return null;
+  const type = translator.valueOf(node.arguments[0]);
+  if (type === null) return null;
+  const options = node.arguments[1] ? dataOf(translator, node.arguments[1]) : null;
+  return { type, init: options && typeof options.value === 'object' ? options.value : {} };
+}
+
+// An event, or just its type: jQuery .trigger('change')
+export function namedEvent(translator, node) {
+  const type = translator.valueOf(node);
+  return type !== null ? { type, init: {} } : domEvent(translator, node);
+}
+
+/**
+ * The element and event of a dispatch, as `{ selector, event }`:
+ * `el.dispatchEvent(new MouseEvent('dblclick'))`, `fireEvent(el, event)` or
+ * `fireEvent.keyDown(el, { key: 'Enter' })`. Null for anything else.
+ */
+export function eventDispatch(translator, call) {
+  call = unwrap(call);
+  if (!call || call.type !== 'CallExpression') return null;
+  const callee = unwrap(call.callee);
+  const [first, second] = call.arguments;
+
+  if (callee.type === 'MemberExpression' && propertyName(callee) === 'dispatchEvent') {
+    const selector = translator.resolveElement(callee.object);
+    const event = selector ? domEvent(translator, first) : null;
+    return event && { selector, event };
+  }
+
+  const path = calleePath(call);
+  const selector = path && /^fireEvent(\.\w+)?$/.test(path) ? translator.resolveElement(first) : null;
+  if (!selector) return null;
+  if (path === 'fireEvent') {
+    const event = domEvent(translator, second);
+    return event && { selector, event };
+  }
+  // fireEvent.change(input, { target: { value: 'x' } })
+  const options = second ? dataOf(translator, second) : null;
+  const init = options && typeof options.value === 'object' ? options.value : {};
+  return { selector, event: { type: propertyName(callee).toLowerCase(), init } };
+}
+
+// =============================================================================
+// STEPS
+// =============================================================================
+
+/**
+ * The When step for a dispatched event, or null when it is absorbed by the
+ * `previous` step: a keyup after the press it ends, or a change event after
+ * the fill that caused it.
+ */
+export function eventStep({ selector, event }, previous) {
+  const { type, init } = event;
+  const s = quote(selector);
+  const follows = text => Boolean(previous) && previous.keyword === 'When' && text(previous.text);
+
+  if (KEY_EVENTS.has(type)) {
+    const key = keyOf(init);
+    if (key) {
+      const text = `I press ${quote(key)} in ${s}`;
+      return follows(prev => prev === text) ? null : { keyword: 'When', text };
+    }
+  }
+
+  if (ACTIONS[type]) return { keyword: 'When', text: `${ACTIONS[type]} ${s}` };
+
+  if (CHANGES.has(type)) {
+    // fireEvent.change(input, { target: { value: 'x' } }) fills the field
+    const target = init.target || {};
+    if (typeof target.value === 'string') return { keyword: 'When', text: `I enter ${quote(target.value)} in the ${s} field` };
+    if (typeof target.checked === 'boolean') {
+      return { keyword: 'When', text: `I ${target.checked ? 'check' : 'uncheck'} the ${s} checkbox` };
+    }
+    if (follows(prev => prev.includes(s))) return null;
+  }
+
+  return { keyword: 'When', text: `I trigger ${quote(type)} on ${s}` };
+}
+
+// 'Enter', or 'Control+a' with modifier flags
+function keyOf(init) {
+  let key = typeof init.key === 'string' ? init.key : null;
+  // code: 'KeyA' / 'Digit1' name the key on the keyboard, not the character
+  if (!key && typeof init.code === 'string') {
+    key = init.code.replace(/^Key([A-Z])$/, (_, letter) => letter.toLowerCase()).replace(/^Digit(\d)$/, '$1');
+  }
+  if (!key) key = KEY_CODES[init.keyCode] || KEY_CODES[init.which] || null;
+  if (!key) return null;
+  if (key === ' ') key = 'Space';
+  const modifiers = MODIFIERS.filter(([flag, name]) => init[flag] === true && key !== name).map(([, name]) => name);
+  return [...modifiers, key].join('+');
+}
@@ -0,0 +1,137 @@
+/**
+ * Incremental migration
+ *
+ * A cache of source hashes and the files generated from them, so repeated
+ * runs only re-migrate changed sources, plus git-based file selection for
+ * --since.
+ */
+
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { hashContent } from './manifest.js';
+
+export const CACHE_FILE = '.bjs2pw-cache.json';
+
+// Bump when generated output changes for the same source
+const CACHE_VERSION = 10;
+
+/**
+ * Sources are cached by repository-relative path as `{ hash, outputs, steps }`:
+ * the content hash, the files generated from it (response fixtures and
+ * login states included) and the step texts its features use, plus the
+ * page object `elements` it named with --page-objects. Entries only count
+ * when migration settings are unchanged.
+ */
+export class MigrationCache {
+  constructor(repoPath, settings) {
+    this.repoPath = repoPath;
+    this.cachePath = path.join(repoPath, CACHE_FILE);
+    this.settings = hashContent(JSON.stringify({ version: CACHE_VERSION, ...settings }));
+
+    const data = fs.existsSync(this.cachePath)
+      ? JSON.parse(fs.readFileSync(this.cachePath, 'utf-8'))
+      : null;
+    this.sources = data && data.settings === this.settings ? data.sources : {};
+    // Entries from a run with other settings still tell us what was generated
+    this.previous = data ? data.sources : {};
+  }
+
+  relative(filePath) {
+    return path.relative(this.repoPath, filePath).split(path.sep).join('/');
+  }
+
+  // Cached entry for a source whose content and outputs are unchanged
+  fresh(filePath, content) {
+    const entry = this.sources[this.relative(filePath)];
+    if (!entry || entry.hash !== hashContent(content)) return null;
+    const complete = entry.outputs.every(output => fs.existsSync(path.join(this.repoPath, output)));
+    return complete ? entry : null;
+  }
+
+  // Outputs of a source's last migration that no other source lists, which
+  // migrating it again may replace
+  owned(filePath) {
+    const relativePath = this.relative(filePath);
+    const entries = { ...this.previous, ...this.sources };
+    if (!entries[relativePath]) return [];
+    const others = new Set(Object.entries(entries)
+      .filter(([source]) => source !== relativePath)
+      .flatMap(([, entry]) => entry.outputs));
+    return entries[relativePath].outputs.filter(output => !others.has(output));
+  }
+
+  record(filePath, content, outputs, steps, elements = []) {
+    const relativePath = this.relative(filePath);
+    const before = this.previous[relativePath] || { outputs: [] };
+    const stale = [...(before.stale || []), ...before.outputs]
+      .filter((output, i, all) => !outputs.includes(output) && all.indexOf(output) === i)
+      .filter(output => fs.existsSync(path.join(this.repoPath, output)));
+    this.sources[relativePath] = {
+      hash: hashContent(content),
+      outputs,
+      steps,
+      ...(elements.length > 0 ? { elements } : {}),
+      ...(stale.length > 0 ? { stale } : {}),
+    };
+  }
+
+  /**
+   * Generated files that no current source produces: outputs of deleted
+   * sources, and outputs a changed source no longer generates, unless
+   * another source still uses them (a shared fixture). Entries are
+   * `{ output, source, reason }`; entries whose outputs are all gone are
+   * dropped from the cache.
+   */
+  orphans() {
+    const orphans = [];
+    const exists = output => fs.existsSync(path.join(this.repoPath, output));
+    const used = new Set(Object.entries(this.sources)
+      .filter(([source]) => fs.existsSync(path.join(this.repoPath, source)))
+      .flatMap(([, entry]) => entry.outputs));
+    const orphaned = output => exists(output) && !used.has(output);
+
+    for (const [source, entry] of Object.entries({ ...this.previous, ...this.sources })) {
+      if (!fs.existsSync(path.join(this.repoPath, source))) {
+        const left = entry.outputs.filter(exists);
+        if (left.length === 0) {
+          delete this.sources[source];
+          continue;
+        }
+        this.sources[source] = { ...entry, outputs: left };
+        orphans.push(...left.filter(orphaned).map(output => ({ output, source, reason: 'source was deleted' })));
+      } else if (entry.stale) {
+        orphans.push(...entry.stale.filter(orphaned).map(output => ({
+          output,
+          source,
+          reason: 'no longer generated from source',
+        })));
+      }
+    }
+    return orphans;
+  }
+
+  toJSON() {
+    return { settings: this.settings, sources: this.sources };
+  }
+}
+
+// Files changed relative to a git revision, plus untracked ones, as absolute paths
+export function filesChangedSince(repoPath, ref) {
+  const git = args => execFileSync('git', args, { cwd: repoPath, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] });
+
+  let root;
+  let changed;
+  try {
+    root = git(['rev-parse', '--show-toplevel']).trim();
+    changed = [
+      ...git(['diff', '--name-only', ref, '--']).split('\n'),
+      ...git(['ls-files', '--others', '--exclude-standard', '--full-name']).split('\n'),
+    ];
+  } catch (err) {
+    const reason = (err.stderr || err.message).toString().trim().split('\n')[0];
+    throw new Error(`--since ${ref}: ${reason}`);
+  }
+
+  return new Set(changed.filter(Boolean).map(file => path.resolve(root, file)));
+}
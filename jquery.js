@@ -0,0 +1,151 @@
+/**
+ * jQuery
+ *
+ * Maps jQuery chains onto Playwright selectors: traversals such as
+ * .find('li').eq(2) compose into one selector, setters that return the set
+ * keep it for the next call, and jQuery-only pseudo selectors are rewritten
+ * to their Playwright equivalents where there is one.
+ */
+
+import { propertyName, unwrap } from './ast.js';
+
+export const JQUERY_CALLEES = new Set(['$', 'jQuery']);
+
+// Setters and actions that return the set they were called on, by the
+// number of arguments that makes them a setter: $('#q').val('x').trigger('change')
+const CHAINABLE = {
+  val: 1,
+  text: 1,
+  html: 1,
+  prop: 2,
+  attr: 2,
+  css: 2,
+  addClass: 1,
+  removeClass: 1,
+  toggleClass: 1,
+  trigger: 1,
+  click: 0,
+  dblclick: 0,
+  focus: 0,
+  blur: 0,
+  change: 0,
+  submit: 0,
+  show: 0,
+  hide: 0,
+};
+
+// Shorthand methods that trigger the event they are named after
+export const EVENT_SHORTHANDS = new Set([
+  'change', 'dblclick', 'mouseenter', 'mouseover', 'contextmenu', 'keydown', 'keypress', 'keyup',
+]);
+
+// .is(':visible') and friends, by the kind of check they make
+export const STATE_PSEUDOS = {
+  ':visible': 'visible',
+  ':hidden': 'hidden',
+  ':checked': 'checked',
+  ':selected': 'checked',
+  ':disabled': 'disabled',
+  ':enabled': 'enabled',
+};
+
+// Pseudo classes only jQuery knows, and what Playwright's selector engine
+// understands instead
+const PSEUDO_CLASSES = {
+  ':checkbox': '[type="checkbox"]',
+  ':radio': '[type="radio"]',
+  ':text': '[type="text"]',
+  ':password': '[type="password"]',
+  ':submit': '[type="submit"]',
+  ':reset': '[type="reset"]',
+  ':file': '[type="file"]',
+  ':image': '[type="image"]',
+  ':selected': ':checked',
+  ':input': ':is(input, textarea, select, button)',
+  ':button': ':is(button, input[type="button"])',
+  ':header': ':is(h1, h2, h3, h4, h5, h6)',
+};
+
+// Filters that narrow the whole match, so Playwright needs them at the end
+const TRAILING_FILTERS = [
+  [/:first$/, () => ' >> nth=0'],
+  [/:last$/, () => ' >> nth=-1'],
+  [/:eq\((\d+)\)$/, index => ` >> nth=${index}`],
+  [/:visible$/, () => ' >> visible=true'],
+  [/:hidden$/, () => ' >> visible=false'],
+];
+
+const UNSUPPORTED = /:(first|last|eq|gt|lt|even|odd|parent|animated|hidden)(?![\w-])/;
+
+// =============================================================================
+// SELECTORS
+// =============================================================================
+
+/**
+ * A jQuery selector in Playwright's terms, as `{ selector, rewritten,
+ * unsupported }`: `rewritten` tells whether anything changed, `unsupported`
+ * lists the pseudo selectors that have no equivalent where they stand.
+ */
+export function rewriteSelector(selector) {
+  let result = selector.replace(/:contains\((['"]?)(.*?)\1\)/g, (_, q, text) => hasText(text));
+  for (const [pseudo, replacement] of Object.entries(PSEUDO_CLASSES)) {
+    result = result.replace(new RegExp(`${pseudo}(?![\\w-])`, 'g'), replacement);
+  }
+  let trailing = '';
+  for (let matched = true; matched;) {
+    matched = false;
+    for (const [pattern, filter] of TRAILING_FILTERS) {
+      const match = result.match(pattern);
+      if (match) {
+        result = result.slice(0, match.index) || '*';
+        trailing = filter(match[1]) + trailing;
+        matched = true;
+      }
+    }
+  }
+  result += trailing;
+  const unsupported = [...new Set((result.replace(/ >> .*$/, '').match(new RegExp(UNSUPPORTED, 'g')) || []))];
+  return { selector: result, rewritten: result !== selector, unsupported };
+}
+
+// Playwright's :has-text() (or :text-is()) pseudo class; single quotes keep
+// the Gherkin argument free of escapes
+export function hasText(text, pseudo = 'has-text') {
+  return `:${pseudo}(${text.includes("'") ? JSON.stringify(text) : `'${text}'`})`;
+}
+
+// A selector inside another: Playwright chains after a `>>` part
+export function descendant(parent, child) {
+  return parent.includes(' >> ') ? `${parent} >> ${child}` : `${parent} ${child}`;
+}
+
+/**
+ * The selector a traversal yields from its receiver's: .find('li'),
+ * .children('li'), .eq(2), .first(), .last(). `arg` is the argument's
+ * static value; null when the method is no traversal.
+ */
+export function traverse(method, parent, arg) {
+  switch (method) {
+    case 'find':
+      return arg === null ? null : descendant(parent, arg);
+    case 'children':
+      return parent.includes(' >> ') ? `${parent} >> :scope > ${arg ?? '*'}` : `${parent} > ${arg ?? '*'}`;
+    case 'eq':
+      return arg !== null && /^-?\d+$/.test(arg) ? `${parent} >> nth=${arg}` : null;
+    case 'first':
+      return `${parent} >> nth=0`;
+    case 'last':
+      return `${parent} >> nth=-1`;
+    default:
+      return null;
+  }
+}
+
+// The receiver of a setter or action whose result is the same set
+export function chainedReceiver(call) {
+  call = unwrap(call);
+  if (!call || call.type !== 'CallExpression') return null;
+  const callee = unwrap(call.callee);
+  const arity = CHAINABLE[propertyName(callee)];
+  return arity !== undefined && call.arguments.length >= arity ? callee.object : null;
+}
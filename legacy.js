@@ -0,0 +1,141 @@
+/**
+ * Legacy blocks
+ *
+ * Statements the translator cannot map to a step become one
+ * `When I execute the legacy block "..."` step per run of consecutive
+ * statements. Their step definitions, in migrated.steps.ts, keep the
+ * original code as a commented-out page.evaluate() candidate to port.
+ */
+
+import { calleePath, memberPath, propertyName, quote, unwrap } from './ast.js';
+
+// Legacy definitions are written like a plugin's, to their own step file
+export const LEGACY_STEPS = {
+  name: 'migrated',
+  file: 'migrated.steps.ts',
+  title: 'LEGACY BLOCKS - Browser JS still to port to Playwright',
+};
+
+const MAX_NAME = 60;
+
+// Statements that never do anything a scenario needs to show
+const IGNORED = /^(FunctionDeclaration|ClassDeclaration|ImportDeclaration|Export\w+|TS\w+|EmptyStatement)$/;
+
+export function isIgnoredStatement(node) {
+  return IGNORED.test(node.type);
+}
+
+/**
+ * The step for a run of unrecognized statements, as `{ text, definition,
+ * name, created }`. `legacy` is `{ content, file, names }`: the source the
+ * statements were parsed from, its repository-relative path, and the names
+ * given out so far this run (name → code), so equal names always mean
+ * equal code. `created` is true when this call added the name.
+ */
+export function legacyStep(statements, { content, file, names }) {
+  const code = sourceOf(statements, content);
+  const base = blockName(statements);
+
+  let name = base;
+  for (let n = 2; names.has(name) && names.get(name) !== code; n++) name = `${base} ${n}`;
+  const created = !names.has(name);
+  names.set(name, code);
+
+  const text = `I execute the legacy block ${quote(name)}`;
+  const line = statements[0].loc.start.line;
+  const evaluate = /\bawait\b/.test(code) ? 'async () => {' : '() => {';
+  const body = [
+    `// TODO: port legacy Browser JS from ${file}:${line} to Playwright`,
+    `// await this.page!.evaluate(${evaluate}`,
+    ...code.split('\n').map(l => (l ? `//   ${l}` : '//')),
+    '// });',
+    `return 'pending';`,
+  ].join('\n');
+
+  // Names hold no Cucumber expression syntax, so the text is its own expression
+  return { text, name, created, definition: { keyword: 'When', expression: text, params: [], body } };
+}
+
+// Source of the statements with their common indentation removed
+function sourceOf(statements, content) {
+  const first = statements[0];
+  const lineStart = content.lastIndexOf('\n', first.start - 1) + 1;
+  const lines = content.slice(lineStart, statements[statements.length - 1].end).split('\n');
+  const indents = lines.filter(l => l.trim()).map(l => /^\s*/.exec(l)[0].length);
+  const common = Math.min(...indents);
+  return lines.map(l => l.slice(common).trimEnd()).join('\n');
+}
+
+// =============================================================================
+// NAMING
+// =============================================================================
+
+// A comment above the block, else what its first action does
+function blockName(statements) {
+  const comments = statements[0].leadingComments || [];
+  const comment = comments.length > 0
+    ? comments[comments.length - 1].value.split('\n').map(l => l.replace(/^\s*\*+/, '').trim()).find(Boolean)
+    : null;
+  const main = statements.find(s => s.type !== 'VariableDeclaration') || statements[0];
+  return cleanName(comment || '') || cleanName(describe(main)) || 'code';
+}
+
+function describe(node) {
+  switch (node.type) {
+    case 'ExpressionStatement':
+      return describeExpression(unwrap(node.expression));
+    case 'VariableDeclaration':
+      return `set ${words(node.declarations.map(d => (d.id.type === 'Identifier' ? d.id.name : '')).join(' '))}`;
+    case 'IfStatement':
+      return `check ${describeExpression(unwrap(node.test))}`;
+    case 'ForStatement':
+    case 'ForOfStatement':
+    case 'ForInStatement':
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+      return 'loop';
+    case 'TryStatement':
+      return describe(node.block.body[0] || node.block);
+    case 'BlockStatement':
+      return node.body.length > 0 ? describe(node.body[0]) : '';
+    default:
+      return words(node.type.replace(/Statement$/, ''));
+  }
+}
+
+function describeExpression(expr) {
+  if (!expr) return '';
+  if (expr.type === 'CallExpression' || expr.type === 'OptionalCallExpression') {
+    const callee = calleePath(expr);
+    if (callee) return words(callee);
+    // $('#menu').slideDown() → "slide down"
+    const method = unwrap(expr.callee).type === 'MemberExpression' ? propertyName(unwrap(expr.callee)) : null;
+    return method ? words(method) : 'call';
+  }
+  if (expr.type === 'AssignmentExpression') {
+    const target = memberPath(expr.left) || (unwrap(expr.left).type === 'MemberExpression' && propertyName(unwrap(expr.left)));
+    return `set ${words(target || '')}`;
+  }
+  if (expr.type === 'UpdateExpression') return `update ${words(memberPath(expr.argument) || '')}`;
+  if (expr.type === 'UnaryExpression') return describeExpression(unwrap(expr.argument));
+  if (expr.type === 'Identifier' || expr.type === 'MemberExpression') return words(memberPath(expr) || '');
+  return words(expr.type.replace(/Expression$/, ''));
+}
+
+// 'window.menu.openSubMenu' → 'menu open sub menu'
+function words(text) {
+  return text
+    .replace(/^(window|document|this)\./, '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .replace(/[._$]+/g, ' ')
+    .toLowerCase();
+}
+
+// Letters, digits and simple punctuation only, so the step text needs no
+// escaping as a Gherkin argument or a Cucumber expression
+function cleanName(text) {
+  const name = text.replace(/[^A-Za-z0-9 ,.'-]+/g, ' ').replace(/\s+/g, ' ').trim();
+  if (name.length <= MAX_NAME) return name;
+  const cut = name.slice(0, MAX_NAME);
+  return cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : MAX_NAME);
+}
@@ -0,0 +1,169 @@
+/**
+ * Migration manifest
+ *
+ * Records every file and directory a migration writes, with the hash of what
+ * was there before and a backup of replaced files, so the repository can be
+ * restored with --revert.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const MANIFEST_FILE = '.bjs2pw-manifest.json';
+export const BACKUP_DIR = '.bjs2pw-backup';
+
+// Directories holding run output rather than migrated sources; revert
+// removes them with whatever test runs have put in them
+export const OUTPUT_DIRS = new Set(['screenshots', 'reports']);
+
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function hashFile(filePath) {
+  return fs.existsSync(filePath) ? hashContent(fs.readFileSync(filePath)) : null;
+}
+
+/**
+ * Files are recorded as `{ path, before, after, backup }`: `before` is the
+ * hash of the content that was replaced (null for new files), `after` the
+ * hash of what the migration wrote, and `backup` the copy of the replaced
+ * file under .bjs2pw-backup/. Repeated runs keep the first `before`, so a
+ * revert always returns to the state before the first migration.
+ */
+export class MigrationManifest {
+  constructor(repoPath) {
+    this.repoPath = repoPath;
+    this.manifestPath = path.join(repoPath, MANIFEST_FILE);
+    this.data = fs.existsSync(this.manifestPath)
+      ? JSON.parse(fs.readFileSync(this.manifestPath, 'utf-8'))
+      : { version: 1, createdAt: new Date().toISOString(), files: [], directories: [] };
+  }
+
+  get exists() {
+    return fs.existsSync(this.manifestPath);
+  }
+
+  relative(filePath) {
+    return path.relative(this.repoPath, path.resolve(this.repoPath, filePath)).split(path.sep).join('/');
+  }
+
+  absolute(relativePath) {
+    return path.join(this.repoPath, ...relativePath.split('/'));
+  }
+
+  // Write a file, backing up what it replaces the first time it is touched
+  writeFile(filePath, content) {
+    const relativePath = this.relative(filePath);
+    const target = this.absolute(relativePath);
+    let entry = this.data.files.find(f => f.path === relativePath);
+
+    if (!entry) {
+      entry = { path: relativePath, before: hashFile(target), after: null, backup: null };
+      if (entry.before !== null) {
+        entry.backup = `${BACKUP_DIR}/${relativePath}`;
+        const backup = this.absolute(entry.backup);
+        fs.mkdirSync(path.dirname(backup), { recursive: true });
+        fs.copyFileSync(target, backup);
+      }
+      this.data.files.push(entry);
+    }
+
+    this.makeDir(path.dirname(target));
+    fs.writeFileSync(target, content);
+    entry.after = hashContent(fs.readFileSync(target));
+    this.save();
+  }
+
+  // Create a directory, recording each level that did not exist yet
+  makeDir(dirPath) {
+    const created = [];
+    for (let dir = path.resolve(this.repoPath, dirPath); !fs.existsSync(dir); dir = path.dirname(dir)) {
+      created.unshift(this.relative(dir));
+    }
+    if (created.length === 0) return;
+
+    fs.mkdirSync(path.resolve(this.repoPath, dirPath), { recursive: true });
+    for (const dir of created) {
+      if (!this.data.directories.includes(dir)) this.data.directories.push(dir);
+    }
+    this.save();
+  }
+
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    fs.writeFileSync(this.manifestPath, JSON.stringify(this.data, null, 2) + '\n');
+  }
+
+  // Files whose content is no longer what the migration wrote
+  modifiedFiles() {
+    return this.data.files
+      .filter(entry => hashFile(this.absolute(entry.path)) !== entry.after)
+      .map(entry => entry.path);
+  }
+
+  /**
+   * Restore replaced files, delete created ones and remove created
+   * directories. Returns `{ restored, removed, directories, kept }`, where
+   * `kept` lists created directories left in place because they hold files
+   * the migration did not write. Throws if any file was modified since it
+   * was written; pass `dryRun` to only report what would happen.
+   */
+  revert({ dryRun = false } = {}) {
+    const modified = this.modifiedFiles();
+    if (modified.length > 0) {
+      throw new Error(
+        `Refusing to revert: ${modified.length} file(s) changed since the migration wrote them:\n` +
+        modified.map(file => `  ${file}`).join('\n')
+      );
+    }
+
+    const missingBackups = this.data.files
+      .filter(entry => entry.backup && hashFile(this.absolute(entry.backup)) !== entry.before)
+      .map(entry => entry.backup);
+    if (missingBackups.length > 0) {
+      throw new Error(`Refusing to revert: backups are missing or damaged:\n${missingBackups.map(f => `  ${f}`).join('\n')}`);
+    }
+
+    const result = { restored: [], removed: [], directories: [], kept: [] };
+    for (const entry of this.data.files) {
+      const target = this.absolute(entry.path);
+      if (entry.backup) {
+        if (!dryRun) fs.copyFileSync(this.absolute(entry.backup), target);
+        result.restored.push(entry.path);
+      } else {
+        if (!dryRun) fs.rmSync(target, { force: true });
+        result.removed.push(entry.path);
+      }
+    }
+
+    // Deepest first, so parents are empty by the time they are reached
+    const directories = [...this.data.directories].sort((a, b) => b.split('/').length - a.split('/').length);
+    for (const dir of directories) {
+      const target = this.absolute(dir);
+      if (!fs.existsSync(target)) continue;
+
+      if (OUTPUT_DIRS.has(dir)) {
+        if (!dryRun) fs.rmSync(target, { recursive: true, force: true });
+        result.directories.push(dir);
+        continue;
+      }
+
+      const removedBelow = [...result.removed, ...result.directories];
+      const remaining = fs.readdirSync(target).filter(name => !removedBelow.includes(`${dir}/${name}`));
+      if (remaining.length > 0) {
+        result.kept.push(dir);
+      } else {
+        if (!dryRun) fs.rmdirSync(target);
+        result.directories.push(dir);
+      }
+    }
+
+    if (!dryRun) {
+      fs.rmSync(this.absolute(BACKUP_DIR), { recursive: true, force: true });
+      fs.rmSync(this.manifestPath, { force: true });
+    }
+    return result;
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Migration map
+ *
+ * Links every generated feature, scenario and step back to the source lines
+ * it came from, as `# path:line` comments in the feature files and as
+ * migration-map.json, so a failing scenario leads straight to its legacy
+ * test.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const MIGRATION_MAP_FILE = 'migration-map.json';
+
+// `{ file, start, end }` line range covered by AST nodes
+export function sourceRange(file, first, last = first) {
+  return { file, start: first.loc.start.line, end: last.loc.end.line };
+}
+
+// "test/menu.test.js:4-9", or with several ranges "test/menu.test.js:4-9, 10-15"
+export function formatRanges(ranges) {
+  const lines = ranges.map(r => (r.start === r.end ? `${r.start}` : `${r.start}-${r.end}`));
+  return `${ranges[0].file}:${lines.join(', ')}`;
+}
+
+/**
+ * Turn the entries recorded while rendering a feature into its map entry.
+ * Entries are `{ type, text, sources, rule }` in the order they were
+ * written, where `text` is the exact rendered line, so each one's line
+ * number is found by scanning the finished file once.
+ */
+export function mapFeature(content, entries, featureFile) {
+  const lines = content.split('\n');
+  let at = 0;
+  const located = entries.map(entry => {
+    while (at < lines.length && lines[at].trim() !== entry.text) at++;
+    return { ...entry, line: at < lines.length ? ++at : null };
+  });
+
+  const [feature, ...rest] = located;
+  const result = {
+    feature: featureFile,
+    name: feature.text.replace(/^Feature: /, ''),
+    line: feature.line,
+    source: feature.sources[0],
+    background: [],
+    scenarios: [],
+  };
+
+  let steps = null;
+  for (const entry of rest) {
+    if (entry.type === 'background') {
+      steps = [];
+      result.background.push({ rule: entry.rule, line: entry.line, sources: entry.sources, steps });
+    } else if (entry.type === 'scenario') {
+      steps = [];
+      result.scenarios.push({
+        name: entry.text.replace(/^Scenario( Outline)?: /, ''),
+        rule: entry.rule,
+        line: entry.line,
+        sources: entry.sources,
+        steps,
+      });
+    } else if (entry.type === 'step' && steps) {
+      steps.push({ text: entry.text, line: entry.line, source: entry.sources[0] || null });
+    }
+  }
+  return result;
+}
+
+/**
+ * migration-map.json, keyed by repository-relative source file. Sources not
+ * migrated in this run (cached or outside --since) keep their last entry.
+ */
+export class MigrationMap {
+  constructor(repoPath) {
+    this.repoPath = repoPath;
+    this.mapPath = path.join(repoPath, MIGRATION_MAP_FILE);
+    const data = fs.existsSync(this.mapPath)
+      ? JSON.parse(fs.readFileSync(this.mapPath, 'utf-8'))
+      : null;
+    this.sources = data ? data.sources : {};
+  }
+
+  set(source, features) {
+    this.sources[source] = features;
+  }
+
+  // Drop sources that no longer exist
+  prune() {
+    for (const source of Object.keys(this.sources)) {
+      if (!fs.existsSync(path.join(this.repoPath, source))) delete this.sources[source];
+    }
+  }
+
+  toJSON() {
+    const sources = Object.fromEntries(Object.entries(this.sources).sort(([a], [b]) => a.localeCompare(b)));
+    return { version: 1, sources };
+  }
+}
@@ -0,0 +1,556 @@
+/**
+ * Network stubs
+ *
+ * Recognizes tests that stub window.fetch or XHR to return canned responses
+ * (jest/vitest/sinon/jasmine spies, fetch-mock, jest-fetch-mock, sinon fake
+ * servers, axios-mock-adapter) and the assertions made on those stubs. Stubs
+ * become page.route() steps with their bodies moved to fixture files.
+ */
+
+import { calleePath, isFunction, memberPath, propertyName, quote, stringValue, unwrap } from './ast.js';
+import { matcherValue, mockAssertion } from './assertions.js';
+
+const FETCH_GLOBALS = new Set(['fetch', 'window.fetch', 'global.fetch', 'globalThis.fetch', 'self.fetch']);
+
+// jest.spyOn(window, 'fetch'), sinon.stub(window, 'fetch'), spyOn(window, 'fetch')
+const SPIES = /^((jest|vi|sinon|\w+)\.(spyOn|stub|spy)|spyOn)$/;
+
+// Mock functions that stand in for fetch when assigned to it
+const FACTORIES = new Set(['jest.fn', 'vi.fn', 'sinon.stub', 'sinon.fake', 'jasmine.createSpy']);
+
+// Calls that create an XHR fake; their result is a network mock
+const XHR_FAKES = new Set(['sinon.fakeServer.create', 'sinon.createFakeServer', 'sinon.useFakeXMLHttpRequest']);
+
+// Mock configuration methods, by what their argument is
+const RESOLVES = new Set(['mockResolvedValue', 'mockResolvedValueOnce', 'resolves', 'resolveTo']);
+const RETURNS = new Set(['mockReturnValue', 'mockReturnValueOnce', 'returns', 'returnValue']);
+const IMPLEMENTS = new Set(['mockImplementation', 'mockImplementationOnce', 'callsFake', 'callFake']);
+const REJECTS = new Set(['mockRejectedValue', 'mockRejectedValueOnce', 'rejects', 'rejectWith', 'mockReject', 'mockRejectOnce']);
+// jest-fetch-mock: fetch.mockResponse(JSON.stringify(data), { status: 404 })
+const RESPONDS = new Set(['mockResponse', 'mockResponseOnce']);
+// Setup and cleanup with nothing to show in a scenario
+const NO_STEPS = new Set([
+  'mockClear', 'mockReset', 'mockRestore', 'restore', 'reset', 'resetHistory', 'resetBehavior',
+  'respond', 'flush', 'mockReturnThis', 'resetMocks', 'enableMocks',
+]);
+
+// fetch-mock: fetchMock.get('/api/user', { name: 'Ann' })
+const FETCH_MOCK_ROUTE = /^(get|post|put|delete|patch|head|mock|once|any|route)(Once|Any)?$/;
+
+// axios-mock-adapter: mock.onGet('/api/user').reply(200, data)
+const ADAPTER_ROUTE = /^on(Get|Post|Put|Patch|Delete|Head|Any)$/;
+
+const ASSERT_CALLED_WITH = new Set([
+  'toHaveBeenCalledWith', 'toBeCalledWith', 'toHaveBeenLastCalledWith', 'lastCalledWith',
+  'toHaveBeenNthCalledWith', 'nthCalledWith', 'calledWith', 'calledWithMatch', 'calledWithExactly',
+]);
+const ASSERT_CALLED = new Set(['toHaveBeenCalled', 'toBeCalled', 'called', 'calledOnce']);
+const ASSERT_NOT_CALLED = new Set(['notCalled']);
+
+// =============================================================================
+// STUBS
+// =============================================================================
+
+/**
+ * The responses a statement's expression stubs, as `{ responses, bind }`,
+ * or null when it is no network stub. A response is `{ method, url, status,
+ * body, error }`, where a null url stands for every fetch/XHR request and a
+ * null method for every method. `bind` names a variable that now holds a
+ * network mock, so later configuration and assertions on it are recognized.
+ */
+export function networkStubs(translator, expr) {
+  expr = unwrap(expr);
+  if (!expr) return null;
+
+  if (expr.type === 'AssignmentExpression' && expr.operator === '=') {
+    const left = unwrap(expr.left);
+    // window.fetch = jest.fn(() => Promise.resolve({ json: () => ... }))
+    if (FETCH_GLOBALS.has(memberPath(left))) {
+      const right = unwrap(expr.right);
+      // window.fetch = originalFetch
+      if (right.type === 'Identifier' || right.type === 'MemberExpression') return { responses: [] };
+      const responses = mockResponses(translator, right, true);
+      return responses && { responses };
+    }
+    // server = sinon.fakeServer.create()
+    if (left.type === 'Identifier') {
+      const stubs = networkStubs(translator, expr.right);
+      return stubs && { ...stubs, bind: left.name };
+    }
+    return null;
+  }
+
+  if (expr.type === 'NewExpression') {
+    return memberPath(expr.callee) === 'MockAdapter' ? { responses: [] } : null;
+  }
+  if (expr.type !== 'CallExpression') return null;
+
+  if (XHR_FAKES.has(calleePath(expr))) return { responses: [] };
+
+  const callee = unwrap(expr.callee);
+  if (callee.type !== 'MemberExpression') {
+    const responses = mockResponses(translator, expr, false);
+    return responses && { responses };
+  }
+  const method = propertyName(callee);
+  const target = unwrap(callee.object);
+
+  // server.respondWith('GET', '/api/user', [200, headers, body])
+  if (method === 'respondWith') {
+    const response = fakeServerResponse(translator, expr.arguments);
+    return response && { responses: [response] };
+  }
+
+  // mock.onGet('/api/user').reply(200, data)
+  if (method === 'reply' || method === 'replyOnce' || method === 'networkError' || method === 'timeout') {
+    const route = adapterRoute(translator, target);
+    if (!route) return null;
+    if (method !== 'reply' && method !== 'replyOnce') return { responses: [{ ...route, error: true }] };
+    const response = adapterResponse(translator, expr.arguments);
+    return response && { responses: [{ ...route, ...response }] };
+  }
+
+  // fetchMock.get('/api/user', { name: 'Ann' })
+  if (memberPath(target) === 'fetchMock' && FETCH_MOCK_ROUTE.test(method)) {
+    const response = fetchMockRoute(translator, method, expr.arguments);
+    return response && { responses: [response] };
+  }
+
+  if (NO_STEPS.has(method) && isNetworkMock(translator, target)) return { responses: [] };
+
+  const responses = mockResponses(translator, expr, false);
+  return responses && { responses };
+}
+
+// A fetch global, a variable bound to a network mock, or a spy on fetch
+function isNetworkMock(translator, node) {
+  node = unwrap(node);
+  if (!node) return false;
+  if (FETCH_GLOBALS.has(memberPath(node)) || memberPath(node) === 'fetchMock') return true;
+  if (node.type === 'Identifier') {
+    const binding = translator.lookup(node.name);
+    return Boolean(binding && binding.type === 'network');
+  }
+  if (node.type === 'CallExpression') {
+    const path = calleePath(node);
+    return Boolean(path && SPIES.test(path)) && stringValue(node.arguments[1]) === 'fetch';
+  }
+  return false;
+}
+
+// Responses set up by a mock expression such as
+// jest.spyOn(window, 'fetch').mockResolvedValueOnce(a).mockResolvedValueOnce(b).
+// Bare mock functions (jest.fn(impl)) count only when assigned to fetch.
+function mockResponses(translator, node, assigned) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (isNetworkMock(translator, node)) return [];
+
+  if (assigned && isFunction(node)) return fromImplementation(translator, node);
+  if (node.type !== 'CallExpression') return null;
+
+  if (assigned && FACTORIES.has(calleePath(node))) {
+    const impl = node.arguments[0];
+    return impl && isFunction(unwrap(impl)) ? fromImplementation(translator, unwrap(impl)) : [];
+  }
+
+  const callee = unwrap(node.callee);
+  if (callee.type !== 'MemberExpression') return null;
+  const method = propertyName(callee);
+  // jasmine: spyOn(window, 'fetch').and.returnValue(...)
+  let object = unwrap(callee.object);
+  if (object.type === 'MemberExpression' && propertyName(object) === 'and') object = unwrap(object.object);
+
+  const base = mockResponses(translator, object, assigned);
+  if (!base) return null;
+
+  const [arg, init] = node.arguments;
+  let added = null;
+  if (RESOLVES.has(method)) added = oneOf(fromResponse(translator, arg));
+  else if (RETURNS.has(method)) added = oneOf(fromPromise(translator, arg));
+  else if (IMPLEMENTS.has(method)) added = arg && isFunction(unwrap(arg)) ? fromImplementation(translator, unwrap(arg)) : null;
+  else if (REJECTS.has(method)) added = [{ error: true }];
+  else if (RESPONDS.has(method)) added = oneOf(textResponse(translator, arg, init));
+  else if (NO_STEPS.has(method)) added = [];
+  return added && [...base, ...added];
+}
+
+function oneOf(response) {
+  return response ? [response] : null;
+}
+
+// (url) => Promise.resolve(...), including implementations that answer by URL:
+//   if (url === '/api/user') return Promise.resolve(user);
+// The catch-all response comes first: the last page.route() registered wins.
+function fromImplementation(translator, fn) {
+  const param = fn.params[0] && fn.params[0].type === 'Identifier' ? fn.params[0].name : null;
+  if (fn.body.type !== 'BlockStatement') return fromRouted(translator, fn.body, param);
+
+  const responses = [];
+  for (const statement of fn.body.body) {
+    if (statement.type === 'ReturnStatement') {
+      const response = fromRouted(translator, statement.argument, param);
+      return response && [...response, ...responses];
+    }
+    if (statement.type !== 'IfStatement' || statement.alternate) return null;
+    const url = urlTest(translator, statement.test, param);
+    const returned = singleReturn(statement.consequent);
+    const response = url !== null && returned && fromPromise(translator, returned);
+    if (!response) return null;
+    responses.push({ ...response, url });
+  }
+  return responses.length > 0 ? responses : null;
+}
+
+// url.includes('/api/user') ? Promise.resolve(user) : Promise.resolve(other)
+function fromRouted(translator, node, param) {
+  node = unwrap(node);
+  if (node && node.type === 'ConditionalExpression') {
+    const url = urlTest(translator, node.test, param);
+    const matched = url !== null && fromPromise(translator, node.consequent);
+    const otherwise = matched && fromRouted(translator, node.alternate, param);
+    return otherwise && [...otherwise, { ...matched, url }];
+  }
+  return oneOf(fromPromise(translator, node));
+}
+
+// The URL an implementation's condition tests its url parameter against
+function urlTest(translator, test, param) {
+  test = unwrap(test);
+  if (!param || !test) return null;
+  const isParam = node => unwrap(node).type === 'Identifier' && unwrap(node).name === param;
+
+  if (test.type === 'BinaryExpression' && (test.operator === '===' || test.operator === '==')) {
+    if (isParam(test.left)) return translator.valueOf(test.right);
+    if (isParam(test.right)) return translator.valueOf(test.left);
+  }
+  if (test.type === 'CallExpression' && unwrap(test.callee).type === 'MemberExpression') {
+    const callee = unwrap(test.callee);
+    const method = propertyName(callee);
+    if (isParam(callee.object) && ['includes', 'endsWith', 'startsWith'].includes(method)) {
+      return translator.valueOf(test.arguments[0]);
+    }
+  }
+  return null;
+}
+
+function singleReturn(node) {
+  if (node.type === 'ReturnStatement') return node.argument;
+  if (node.type === 'BlockStatement' && node.body.length === 1 && node.body[0].type === 'ReturnStatement') {
+    return node.body[0].argument;
+  }
+  return null;
+}
+
+// Promise.resolve(response), Promise.reject(err), or the response itself
+function fromPromise(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  const path = calleePath(node);
+  if (path === 'Promise.resolve') return fromResponse(translator, node.arguments[0]);
+  if (path === 'Promise.reject') return { error: true };
+  return fromResponse(translator, node);
+}
+
+/**
+ * A fetch Response: `new Response(JSON.stringify(data), { status })`, or an
+ * object literal such as `{ ok: true, status: 200, json: () => data }`.
+ */
+function fromResponse(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'CallExpression' && /^Promise\.(resolve|reject)$/.test(calleePath(node))) {
+    return fromPromise(translator, node);
+  }
+
+  if (node.type === 'NewExpression' && memberPath(node.callee) === 'Response') {
+    return textResponse(translator, node.arguments[0], node.arguments[1]);
+  }
+
+  if (node.type !== 'ObjectExpression') return null;
+  const props = objectProps(node);
+  if (!props) return null;
+
+  let status = props.status ? numberOf(props.status) : 200;
+  if (status === null) return null;
+  if (!props.status && props.ok && unwrap(props.ok).type === 'BooleanLiteral' && !unwrap(props.ok).value) status = 500;
+
+  const reader = props.json || props.text;
+  if (!reader) return { status };
+  const returned = readerResult(reader);
+  const body = returned && dataOf(translator, fromResolved(returned));
+  if (!body) return null;
+  if (props.text && typeof body.value !== 'string') return null;
+  return { status, body: body.value };
+}
+
+// What json()/text() resolves to: () => data, async () => data,
+// json() { return data }, jest.fn(() => data), jest.fn().mockResolvedValue(data)
+function readerResult(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'ObjectMethod' || isFunction(node)) {
+    return node.body.type === 'BlockStatement' ? singleReturn(node.body) : node.body;
+  }
+  if (node.type !== 'CallExpression') return null;
+  if (FACTORIES.has(calleePath(node))) return node.arguments[0] ? readerResult(node.arguments[0]) : null;
+
+  const callee = unwrap(node.callee);
+  if (callee.type === 'MemberExpression' && FACTORIES.has(calleePath(unwrap(callee.object)))) {
+    const method = propertyName(callee);
+    if (RESOLVES.has(method) || RETURNS.has(method)) return node.arguments[0];
+  }
+  return null;
+}
+
+function fromResolved(node) {
+  node = unwrap(node);
+  return calleePath(node) === 'Promise.resolve' ? node.arguments[0] : node;
+}
+
+// Body text, JSON.stringify(data) or a JSON string, and a `{ status }` init
+function textResponse(translator, bodyNode, init) {
+  let status = 200;
+  if (init) {
+    const props = unwrap(init).type === 'ObjectExpression' ? objectProps(unwrap(init)) : null;
+    status = props && props.status ? numberOf(props.status) : props ? 200 : null;
+    if (status === null) return null;
+  }
+  if (!bodyNode) return { status };
+  const body = bodyOf(translator, bodyNode);
+  return body && { status, body: body.value };
+}
+
+function bodyOf(translator, node) {
+  node = unwrap(node);
+  if (calleePath(node) === 'JSON.stringify') return dataOf(translator, node.arguments[0]);
+  const text = translator.valueOf(node);
+  if (text === null) return null;
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object') return { value: parsed };
+  } catch {
+    // Plain text body
+  }
+  return { value: text };
+}
+
+// sinon fake server: respondWith([200, headers, body]), respondWith(url, response)
+// or respondWith(method, url, response)
+function fakeServerResponse(translator, args) {
+  const values = args.slice(0, -1).map(arg => translator.valueOf(arg));
+  if (values.some(value => value === null)) return null;
+  const [method, url] = values.length === 2 ? values : [null, values[0] || null];
+
+  const last = unwrap(args[args.length - 1]);
+  if (!last) return null;
+  let status = 200;
+  let bodyNode = last;
+  if (last.type === 'ArrayExpression') {
+    status = numberOf(last.elements[0]);
+    bodyNode = last.elements[2];
+    if (status === null) return null;
+  }
+  if (!bodyNode) return { method: method && method.toUpperCase(), url, status };
+  const body = bodyOf(translator, bodyNode);
+  return body && { method: method && method.toUpperCase(), url, status, body: body.value };
+}
+
+// mock.onGet('/api/user') → { method: 'GET', url: '/api/user' }
+function adapterRoute(translator, node) {
+  node = unwrap(node);
+  if (node.type !== 'CallExpression' || unwrap(node.callee).type !== 'MemberExpression') return null;
+  const match = ADAPTER_ROUTE.exec(propertyName(unwrap(node.callee)));
+  if (!match) return null;
+  const url = node.arguments[0] ? translator.valueOf(node.arguments[0]) : null;
+  if (node.arguments[0] && url === null) return null;
+  return { method: match[1] === 'Any' ? null : match[1].toUpperCase(), url };
+}
+
+// .reply(200, data)
+function adapterResponse(translator, [statusNode, bodyNode]) {
+  const status = statusNode ? numberOf(statusNode) : null;
+  if (status === null) return null;
+  if (!bodyNode) return { status };
+  const body = dataOf(translator, bodyNode);
+  return body && { status, body: body.value };
+}
+
+// fetchMock.get(url, response) / fetchMock.mock(url, response) / fetchMock.any(response)
+function fetchMockRoute(translator, method, args) {
+  const verb = /^(get|post|put|delete|patch|head)/.exec(method);
+  const anyUrl = /^any/.test(method) || /Any$/.test(method);
+  const [matcher, responseNode] = anyUrl ? [null, args[0]] : args;
+
+  let url = null;
+  if (matcher) {
+    url = translator.valueOf(matcher);
+    if (url === null) return null;
+    // 'begin:http://api', 'path:/api/user'
+    url = url.replace(/^(begin|end|path|glob|express):/, '');
+  }
+  const route = { method: verb ? verb[1].toUpperCase() : null, url };
+
+  const node = unwrap(responseNode);
+  if (!node) return { ...route, status: 200 };
+  const status = numberOf(node);
+  if (status !== null) return { ...route, status };
+
+  // { status, body } is a response config, any other object the JSON body
+  const props = node.type === 'ObjectExpression' ? objectProps(node) : null;
+  if (props && (props.status || props.body || props.throws) &&
+      Object.keys(props).every(key => ['status', 'body', 'headers', 'throws'].includes(key))) {
+    if (props.throws) return { ...route, error: true };
+    const configured = props.status ? numberOf(props.status) : 200;
+    if (configured === null) return null;
+    if (!props.body) return { ...route, status: configured };
+    const body = bodyOf(translator, props.body);
+    return body && { ...route, status: configured, body: body.value };
+  }
+
+  const body = node.type === 'ObjectExpression' || node.type === 'ArrayExpression'
+    ? dataOf(translator, node)
+    : bodyOf(translator, node);
+  return body && { ...route, status: 200, body: body.value };
+}
+
+// =============================================================================
+// VALUES
+// =============================================================================
+
+// Properties of an object literal by name, or null if any are computed or spread
+function objectProps(node) {
+  const props = {};
+  for (const prop of node.properties) {
+    if ((prop.type !== 'ObjectProperty' && prop.type !== 'ObjectMethod') || prop.computed) return null;
+    props[prop.key.name || prop.key.value] = prop.type === 'ObjectMethod' ? prop : prop.value;
+  }
+  return props;
+}
+
+function numberOf(node) {
+  node = unwrap(node);
+  return node && node.type === 'NumericLiteral' ? node.value : null;
+}
+
+/**
+ * The JSON value of a literal, or of a variable bound to one, as `{ value }`;
+ * null when any part is only known at run time.
+ */
+export function dataOf(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+
+  switch (node.type) {
+    case 'ObjectExpression': {
+      const props = objectProps(node);
+      if (!props) return null;
+      const value = {};
+      for (const [key, prop] of Object.entries(props)) {
+        const data = prop.type === 'ObjectMethod' ? null : dataOf(translator, prop);
+        if (!data) return null;
+        value[key] = data.value;
+      }
+      return { value };
+    }
+    case 'ArrayExpression': {
+      const value = [];
+      for (const element of node.elements) {
+        const data = element && element.type !== 'SpreadElement' ? dataOf(translator, element) : null;
+        if (!data) return null;
+        value.push(data.value);
+      }
+      return { value };
+    }
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return { value: node.value };
+    case 'NullLiteral':
+      return { value: null };
+    case 'UnaryExpression':
+      return node.operator === '-' && numberOf(node.argument) !== null ? { value: -numberOf(node.argument) } : null;
+    case 'Identifier': {
+      const binding = translator.lookup(node.name);
+      if (binding && binding.type === 'data') return { value: binding.value };
+      break;
+    }
+    default:
+      break;
+  }
+
+  const text = translator.valueOf(node);
+  return text === null ? null : { value: text };
+}
+
+// =============================================================================
+// STEPS
+// =============================================================================
+
+/**
+ * The Given step for a stubbed response. Bodies go to fixture files named
+ * after the endpoint; `fixtures` maps the names given out so far this run
+ * to their content, so equal names always mean equal content.
+ */
+export function stubStep({ method = null, url = null, status = 200, body, error }, fixtures) {
+  const endpoint = url && (method ? `${method} ${url}` : url);
+  const subject = endpoint ? `the API ${quote(endpoint)}` : 'any API request';
+  if (error) return { text: `${subject} fails`, fixture: null };
+  if (body === undefined) return { text: `${subject} responds with status ${status}`, fixture: null };
+
+  const extension = typeof body === 'string' ? '.txt' : '.json';
+  const content = typeof body === 'string' ? body : JSON.stringify(body, null, 2) + '\n';
+  const base = endpoint
+    ? `${method && method !== 'GET' ? `${method} ` : ''}${url}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'root'
+    : 'response';
+
+  let name = `${base}${extension}`;
+  for (let n = 2; fixtures.has(name) && fixtures.get(name) !== content; n++) name = `${base}-${n}${extension}`;
+  fixtures.set(name, content);
+
+  const text = status === 200
+    ? `${subject} responds with fixture ${quote(name)}`
+    : `${subject} responds with status ${status} and fixture ${quote(name)}`;
+  return { text, fixture: { name, content } };
+}
+
+// =============================================================================
+// REQUEST ASSERTIONS
+// =============================================================================
+
+/**
+ * Then steps for assertions on a network mock, or null:
+ *   expect(fetch).toHaveBeenCalledWith('/api/login', { method: 'POST' })
+ *   expect(window.fetch).to.have.been.calledWith('/api/login')
+ *   sinon.assert.calledWith(fetchStub, '/api/login', sinon.match({ method: 'POST' }))
+ */
+export function requestAssertionSteps(translator, call) {
+  const assertion = mockAssertion(call);
+  if (!assertion || !isNetworkMock(translator, assertion.subject)) return null;
+  const { matcher, args, negated } = assertion;
+
+  if (ASSERT_NOT_CALLED.has(matcher) || (ASSERT_CALLED.has(matcher) && negated)) {
+    return ['no API request should have been made'];
+  }
+  if (ASSERT_CALLED.has(matcher)) return ['an API request should have been made'];
+  if (!ASSERT_CALLED_WITH.has(matcher)) return null;
+
+  const [urlNode, init] = /Nth/.test(matcher) ? args.slice(1) : args;
+  const url = matcherValue(translator, urlNode);
+  if (url === null) return null;
+  const method = requestMethod(translator, init);
+  if (method === null) return null;
+  return [`a ${quote(method)} request to ${quote(url)} should ${negated ? 'not ' : ''}have been made`];
+}
+
+// The method in a fetch init object, GET when there is none
+function requestMethod(translator, init) {
+  init = unwrap(init);
+  if (!init) return 'GET';
+  const path = calleePath(init);
+  if (path && /^(expect\.objectContaining|sinon\.match)$/.test(path)) init = unwrap(init.arguments[0]);
+  if (!init || init.type !== 'ObjectExpression') return 'GET';
+  const props = objectProps(init);
+  if (!props || !props.method) return 'GET';
+  const method = translator.valueOf(props.method);
+  return method && method.toUpperCase();
+}
@@ -0,0 +1,301 @@
+/**
+ * Data-driven tests → Scenario Outlines
+ *
+ * Tests generated by looping over a data table, and runs of tests that differ
+ * only in literal values, become one Scenario Outline with an Examples table.
+ */
+
+import { booleanValue, propertyName, quote, stringValue, unwrap } from './ast.js';
+
+// A quoted {string} argument in a step, with escapes
+const QUOTED = /"((?:[^"\\]|\\.)*)"/g;
+
+// Jest printf-style title tokens: it.each(...)('adds %i to %i', ...)
+const EACH_TOKENS = /%[sdifjop]/g;
+
+// =============================================================================
+// DATA TABLES
+// =============================================================================
+
+// Cells hold text as it appears inside a quoted step argument, so they can be
+// substituted into "<placeholder>" without breaking the {string} parameter
+function cellValue(node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'NullLiteral') return '';
+  const value = stringValue(node) ?? booleanValue(node);
+  return value === null ? null : quote(value).slice(1, -1);
+}
+
+function objectCells(row) {
+  const cells = new Map();
+  for (const prop of row.properties) {
+    if (prop.type !== 'ObjectProperty' || prop.computed) return null;
+    const value = cellValue(prop.value);
+    if (value === null) return null;
+    cells.set(prop.key.name || String(prop.key.value), value);
+  }
+  return cells;
+}
+
+function patternName(node) {
+  if (node && node.type === 'AssignmentPattern') node = node.left;
+  return node && node.type === 'Identifier' ? node.name : null;
+}
+
+const placeholder = name => ({ type: 'value', value: `<${name}>` });
+
+/**
+ * Outline for a test declared inside a loop over an array literal, e.g.
+ * `[{ email, pwd }, ...].forEach(({ email, pwd }) => it(...))`. `param` is
+ * the loop variable pattern. Returns `{ bindings, columns, rows }`, where
+ * `bindings` maps loop variables to "<column>" placeholders, or null if the
+ * table holds anything other than literals.
+ */
+export function loopOutline(array, param) {
+  array = unwrap(array);
+  if (!array || array.type !== 'ArrayExpression' || array.elements.length === 0 || !param) return null;
+  const items = array.elements.map(unwrap);
+  if (items.some(item => !item)) return null;
+
+  const bindings = new Map();
+  let columns;
+  let rows;
+
+  if (param.type === 'ObjectPattern') {
+    if (!items.every(item => item.type === 'ObjectExpression')) return null;
+    columns = [];
+    for (const prop of param.properties) {
+      const local = prop.type === 'ObjectProperty' && !prop.computed && patternName(prop.value);
+      if (!local) return null;
+      const key = prop.key.name || String(prop.key.value);
+      columns.push(key);
+      bindings.set(local, placeholder(key));
+    }
+    const tables = items.map(objectCells);
+    if (tables.some(cells => !cells)) return null;
+    rows = tables.map(cells => columns.map(column => cells.get(column) ?? ''));
+  } else if (param.type === 'ArrayPattern') {
+    if (!items.every(item => item.type === 'ArrayExpression')) return null;
+    columns = param.elements.map(patternName);
+    if (columns.some(column => !column)) return null;
+    columns.forEach(column => bindings.set(column, placeholder(column)));
+    rows = items.map(item => columns.map((_, i) => cellValue(item.elements[i]) ?? ''));
+  } else {
+    const name = patternName(param);
+    if (!name) return null;
+
+    // users.forEach(user => ... user.email ...)
+    if (items.every(item => item.type === 'ObjectExpression')) {
+      const tables = items.map(objectCells);
+      if (tables.some(cells => !cells)) return null;
+      columns = [...new Set(tables.flatMap(cells => [...cells.keys()]))];
+      rows = tables.map(cells => columns.map(column => cells.get(column) ?? ''));
+      bindings.set(name, { type: 'row' });
+    } else {
+      columns = [name];
+      rows = items.map(item => [cellValue(item)]);
+      if (rows.some(([cell]) => cell === null)) return null;
+      bindings.set(name, placeholder(name));
+    }
+  }
+
+  if (rows.some(row => row.includes(null))) return null;
+  return { bindings, columns, rows };
+}
+
+// Drop columns of a loop's data table that no step or title refers to
+export function usedColumns({ columns, rows }, lines) {
+  const text = lines.join('\n');
+  const keep = columns.map((column, i) => text.includes(`<${column}>`) ? i : -1).filter(i => i !== -1);
+  if (keep.length === 0 || keep.length === columns.length) return { columns, rows };
+  return { columns: keep.map(i => columns[i]), rows: rows.map(row => keep.map(i => row[i])) };
+}
+
+// Jest spreads array rows over the callback's parameters
+export function eachOutline(table, callback) {
+  const params = callback.params.length > 1
+    ? { type: 'ArrayPattern', elements: callback.params }
+    : callback.params[0];
+  return loopOutline(table, params);
+}
+
+// Placeholder for an interpolated loop variable, e.g. `${email}` or `${user.email}`
+function placeholderFor(node, outline) {
+  node = unwrap(node);
+  if (node.type === 'Identifier') {
+    const binding = outline.bindings.get(node.name);
+    return binding && binding.type === 'value' ? binding.value : null;
+  }
+  if (node.type === 'MemberExpression' && unwrap(node.object).type === 'Identifier') {
+    const binding = outline.bindings.get(unwrap(node.object).name);
+    const name = propertyName(node);
+    return binding && binding.type === 'row' && name ? `<${name}>` : null;
+  }
+  return null;
+}
+
+// Test title with loop variables replaced by placeholders, or null
+export function outlineTitle(node, outline) {
+  node = unwrap(node);
+  if (!node) return null;
+
+  if (node.type === 'TemplateLiteral') {
+    let title = '';
+    for (let i = 0; i < node.quasis.length; i++) {
+      title += node.quasis[i].value.cooked;
+      if (i < node.expressions.length) {
+        const part = placeholderFor(node.expressions[i], outline);
+        if (part === null) return null;
+        title += part;
+      }
+    }
+    return title;
+  }
+
+  if (node.type === 'BinaryExpression' && node.operator === '+') {
+    const left = outlineTitle(node.left, outline);
+    const right = left === null ? null : outlineTitle(node.right, outline);
+    return right === null ? null : left + right;
+  }
+
+  return stringValue(node) ?? placeholderFor(node, outline);
+}
+
+// it.each titles: "%s" tokens take columns in order, "$name" takes a field
+export function eachTitle(title, outline) {
+  let column = 0;
+  return title
+    .replace(EACH_TOKENS, token => column < outline.columns.length ? `<${outline.columns[column++]}>` : token)
+    .replace(/\$(\w+)/g, (token, name) => outline.columns.includes(name) ? `<${name}>` : token);
+}
+
+// =============================================================================
+// NEAR-IDENTICAL SCENARIOS
+// =============================================================================
+
+/**
+ * Merge scenarios whose steps are the same apart from quoted values into
+ * Scenario Outlines. Scenarios are `{ name, tags, steps, examples? }` with
+ * steps as formatted lines; merged ones take the place of the first scenario
+ * in their group and list the group in `mergedFrom`. Scenarios that already
+ * have examples are left alone.
+ */
+export function mergeSimilarScenarios(scenarios) {
+  const groups = new Map();
+  for (const scenario of scenarios) {
+    if (scenario.examples) continue;
+    const key = [scenario.tags.join(' '), ...scenario.steps.map(step => step.replace(QUOTED, '""'))].join('\n');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(scenario);
+  }
+
+  const merged = new Map();
+  for (const group of groups.values()) {
+    const outline = group.length > 1 ? toOutline(group) : null;
+    if (outline) group.forEach(scenario => merged.set(scenario, group[0] === scenario ? outline : null));
+  }
+
+  return scenarios
+    .filter(scenario => !merged.has(scenario) || merged.get(scenario))
+    .map(scenario => merged.get(scenario) || scenario);
+}
+
+function toOutline(group) {
+  const values = group.map(scenario => scenario.steps.map(step => [...step.matchAll(QUOTED)].map(m => m[1])));
+
+  // [step, argument] positions whose value changes between scenarios
+  const varying = [];
+  values[0].forEach((args, i) => args.forEach((value, j) => {
+    if (values.some(v => v[i][j] !== value)) varying.push([i, j]);
+  }));
+  if (varying.length === 0) return null;
+
+  const used = new Set();
+  const title = titleColumn(group.map(scenario => scenario.name), used);
+  const columns = varying.map(([i, j]) => uniqueName(columnName(values[0][i], j, varying, i), used));
+
+  const steps = group[0].steps.map((step, i) => {
+    let j = 0;
+    return step.replace(QUOTED, match => {
+      const at = varying.findIndex(([si, sj]) => si === i && sj === j);
+      j++;
+      return at === -1 ? match : `"<${columns[at]}>"`;
+    });
+  });
+
+  const rows = group.map((_, g) => varying.map(([i, j]) => values[g][i][j]));
+
+  return {
+    ...group[0],
+    name: title.name,
+    steps,
+    mergedFrom: group,
+    examples: title.column
+      ? { columns: [title.column, ...columns], rows: rows.map((row, g) => [title.values[g], ...row]) }
+      : { columns, rows },
+  };
+}
+
+// Keep the words shared by all titles and put the differing part in a column:
+// "logs in as admin", "logs in as guest" → "logs in as <case>"
+function titleColumn(names, used) {
+  if (names.every(name => name === names[0])) return { name: names[0] };
+
+  const words = names.map(name => name.split(' '));
+  const shortest = Math.min(...words.map(w => w.length));
+  let prefix = 0;
+  while (prefix < shortest && words.every(w => w[prefix] === words[0][prefix])) prefix++;
+  let suffix = 0;
+  while (suffix < shortest - prefix &&
+    words.every(w => w[w.length - 1 - suffix] === words[0][words[0].length - 1 - suffix])) suffix++;
+
+  const column = uniqueName('case', used);
+  const head = words[0].slice(0, prefix);
+  const tail = words[0].slice(words[0].length - suffix);
+  return {
+    name: [...head, `<${column}>`, ...tail].join(' '),
+    column,
+    values: words.map(w => w.slice(prefix, w.length - suffix).join(' ')),
+  };
+}
+
+// Name a column after a fixed argument of the same step, e.g. the "#email"
+// selector of `I enter "..." in the "#email" field`
+function columnName(args, j, varying, i) {
+  const fixed = args.find((_, k) => k !== j && !varying.some(([si, sj]) => si === i && sj === k));
+  const words = fixed ? fixed.match(/[A-Za-z0-9]+/g) : null;
+  return words ? words[words.length - 1].toLowerCase() : 'value';
+}
+
+function uniqueName(name, used) {
+  let unique = name;
+  for (let n = 2; used.has(unique); n++) unique = `${name}${n}`;
+  used.add(unique);
+  return unique;
+}
+
+// Steps as Cucumber runs them, once per Examples row
+export function expandOutline(steps, { columns, rows }) {
+  return rows.flatMap(row => steps.map(step =>
+    columns.reduce((text, column, i) => text.split(`<${column}>`).join(row[i]), step)));
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function escapeCell(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\n/g, '\\n');
+}
+
+export function renderExamples({ columns, rows }, indent) {
+  const table = [columns, ...rows].map(row => row.map(escapeCell));
+  const widths = columns.map((_, i) => Math.max(...table.map(row => row[i].length)));
+
+  let block = `${indent}Examples:\n`;
+  for (const row of table) {
+    block += `${indent}  | ${row.map((cell, i) => cell.padEnd(widths[i])).join(' | ')} |\n`;
+  }
+  return block;
+}
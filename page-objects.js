@@ -0,0 +1,340 @@
+/**
+ * Page objects
+ *
+ * With --page-objects, the elements the steps act on are collected into one
+ * page object class per page, and steps name them instead of passing
+ * selectors: When I enter "x" in the "Email" field on the "Login" page.
+ * A page is the URL a test navigated to, or its feature when it never
+ * navigates.
+ */
+
+import path from 'path';
+import { quote } from './ast.js';
+import { rewriteSelector } from './jquery.js';
+import { locatorCode, parseLocator } from './selector-upgrade.js';
+import { DEFAULT_PAGE_URLS, LOCATOR, jsString, selectorArgument } from './step-library.js';
+import { slugify } from './structure.js';
+import { DOCUMENT_QUERIES } from './translator.js';
+
+// Page object step definitions are written like a plugin's, to their own step file
+export const PAGE_STEPS = {
+  name: 'pages',
+  file: 'pages.steps.ts',
+  title: 'PAGE OBJECT STEPS - Elements by page and name',
+};
+
+// Element names that already say what the element is
+const KINDS = new Set(['button', 'link', 'field', 'input', 'checkbox', 'dropdown', 'select']);
+
+// Names the generated class already uses
+const RESERVED = new Set(['page', 'url', 'elements', 'constructor']);
+
+// Selectors of detectBrowserJS() actions, by the method they were found with
+const DETECTED = {
+  ...DOCUMENT_QUERIES,
+  jquery: arg => rewriteSelector(arg).selector,
+  jqueryFull: arg => rewriteSelector(arg).selector,
+};
+
+// =============================================================================
+// STEPS
+// =============================================================================
+
+const definitions = new Map();
+
+/**
+ * The page object step of a library step that takes a selector:
+ * 'I click on {string}' → 'I click on {string} on the {string} page'
+ */
+function pageDefinition(step) {
+  if (!definitions.has(step)) {
+    definitions.set(step, {
+      keyword: step.keyword,
+      expression: `${step.expression} on the {string} page`,
+      params: [...step.params.map(param => (param.startsWith('selector:') ? 'element: string' : param)), 'pageName: string'],
+      body: step.body.split(LOCATOR).join('elementOn(this.page!, pageName, element)'),
+    });
+  }
+  return definitions.get(step);
+}
+
+// =============================================================================
+// NAMES
+// =============================================================================
+
+const words = text => text
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean)
+  .map(word => word.toLowerCase())
+  .map(word => (word === 'btn' ? 'button' : word));
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+const camelCase = list => list.map((word, i) => (i === 0 ? word : capitalize(word))).join('');
+
+/**
+ * What a selector's element is called in steps: '#email' → 'Email',
+ * '.login-btn' → 'Login button', "a:has-text('Sign in')" → 'Sign in link'
+ */
+export function elementName(selector) {
+  // Upgraded selectors: role=button[name='Log in'] → 'Log in button'
+  const locator = parseLocator(selector);
+  if (locator) {
+    const name = words(locator.method === 'getByRole' ? locator.name : locator.text);
+    if (locator.method === 'getByRole' && ['button', 'link'].includes(locator.role) && name[name.length - 1] !== locator.role) {
+      name.push(locator.role);
+    }
+    return capitalize(name.length > 0 ? name.join(' ') : locator.role || 'element');
+  }
+
+  const parts = selector.split(' >> ');
+  const main = parts.filter(part => !/^(nth|visible)=/.test(part)).pop() || selector;
+  const text = /(?:^text=|:has-text\(|:text-is\()(['"]?)(.+?)\1\)?$/.exec(main);
+  // The last compound selector of a descendant chain
+  const last = main.replace(/\([^)]*\)/g, '()').trim().split(/\s*[\s>+~]\s*/).pop();
+  const attribute = /\[(?:name|data-testid|data-test|data-cy|id|aria-label|placeholder|type)=["']?([^"'\]]+)/.exec(last);
+  const id = /#([\w-]+)/.exec(last);
+  const classes = [...last.matchAll(/\.([\w-]+)/g)];
+  const tag = /^[a-z][\w-]*/i.exec(last);
+  const base = text ? text[2] : id ? id[1] : attribute ? attribute[1] : classes.length > 0 ? classes.pop()[1] : null;
+
+  let name = words(base || (tag ? tag[0] : 'element'));
+  const kind = !base || !tag ? null : tag[0] === 'a' ? 'link' : tag[0] === 'button' ? 'button' : null;
+  if (kind && name[name.length - 1] !== kind) name.push(kind);
+  if (name.length === 0) name = ['element'];
+
+  const nth = /(?:^| >> )nth=(-?\d+)/.exec(selector);
+  if (nth) {
+    const index = Number(nth[1]);
+    name = index === 0 ? ['first', ...name] : index === -1 ? ['last', ...name] : [...name, String(index + 1)];
+  }
+  return capitalize(name.join(' '));
+}
+
+// What a step does with the element, for its locator's name
+function usage(expression) {
+  if (/checkbox/.test(expression)) return 'checkbox';
+  if (/^I select /.test(expression)) return 'dropdown';
+  if (/field|^I (type|press) |^the input /.test(expression)) return 'field';
+  if (/^I (double |right )?click /.test(expression)) return 'button';
+  return null;
+}
+
+/**
+ * The page a URL shows, named after the `pages` setting entry for it or
+ * else its path: '/login' → 'Login', '/account/settings' → 'Account Settings'
+ */
+export function pageName(url, pages = DEFAULT_PAGE_URLS) {
+  let pathname;
+  try {
+    pathname = new URL(url, 'http://localhost').pathname;
+  } catch {
+    pathname = url;
+  }
+  const known = Object.entries(pages).find(([, page]) => page === url || page === pathname);
+  if (known) return capitalize(known[0]);
+
+  const segments = pathname.split('/')
+    .map(segment => segment.replace(/\.\w+$/, ''))
+    .filter(segment => segment && segment !== 'index' && !/^(\d+|:.*)$/.test(segment));
+  const name = words(segments.join(' ')).map(capitalize).join(' ');
+  return name || 'Home';
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+/**
+ * The page objects of a run: pages by name, each with its elements by
+ * selector. Names are given out once, so every file calls an element the
+ * same; `sources` tracks which source files use each element, for the cache.
+ */
+export class PageObjects {
+  constructor({ pages = DEFAULT_PAGE_URLS, stepsDir = 'tests/steps', pagesDir = 'tests/pages' } = {}) {
+    this.urls = pages;
+    this.pages = new Map();
+    // The step file imports the element lookup from pagesDir
+    const from = path.posix.relative(stepsDir, pagesDir);
+    this.plugin = { ...PAGE_STEPS, imports: [{ from: from.startsWith('.') ? from : `./${from}`, names: ['elementOn'] }] };
+  }
+
+  page(name, url = null) {
+    if (!this.pages.has(name)) {
+      const title = name.replace(/\bpage$/i, '').trim() || name;
+      const className = `${title.split(/[^A-Za-z0-9]+/).filter(Boolean).map(capitalize).join('')}Page`;
+      this.pages.set(name, {
+        name,
+        url,
+        className: /^\d/.test(className) ? `Page${className}` : className,
+        module: `${slugify(name)}.page`,
+        elements: new Map(),
+      });
+    }
+    const page = this.pages.get(name);
+    if (!page.url && url) page.url = url;
+    return page;
+  }
+
+  // The element of a page for a selector, named on first use
+  element(page, selector, file, use = null) {
+    if (!page.elements.has(selector)) {
+      const taken = [...page.elements.values()];
+      const name = unique(elementName(selector), n => taken.some(e => e.name === n), ' ');
+      const base = words(name);
+      if (use && !KINDS.has(base[base.length - 1])) base.push(use);
+      let property = camelCase(base);
+      if (/^\d/.test(property) || RESERVED.has(property)) property = `${property}Element`;
+      property = unique(property, p => taken.some(e => e.property === p), '');
+      page.elements.set(selector, { selector, name, property, sources: new Set() });
+    }
+    const element = page.elements.get(selector);
+    element.sources.add(file);
+    return element;
+  }
+
+  /**
+   * Steps that act on a selector, rewritten to name the element on the page
+   * they run on. `background` steps ran first; `fallback` is the page of the
+   * feature, for steps before any navigation.
+   */
+  nameElements(steps, { background = [], fallback, file }) {
+    let current = { name: fallback, url: null };
+    const goTo = step => {
+      const target = this.navigation(step);
+      if (target === undefined) return false;
+      current = target || { name: fallback, url: null };
+      return true;
+    };
+    background.forEach(goTo);
+
+    return steps.map(step => {
+      if (goTo(step)) return step;
+      const argument = selectorArgument(step.text);
+      if (!argument || /<\w+>/.test(argument.selector)) return step;
+
+      const page = this.page(current.name, current.url);
+      const element = this.element(page, argument.selector, file, usage(argument.step.expression));
+      return {
+        ...step,
+        text: `${step.text.slice(0, argument.start)}${quote(element.name)}${step.text.slice(argument.end)} on the ${quote(page.name)} page`,
+        definition: pageDefinition(argument.step),
+        plugin: this.plugin,
+        // What the step was, for specs, which use the page object directly
+        pageObject: { page, element, text: step.text },
+      };
+    });
+  }
+
+  // The page a step goes to: null for the feature's own, undefined when it
+  // does not navigate
+  navigation(step) {
+    const to = /^I navigate to "((?:[^"\\]|\\.)*)"$/.exec(step.text);
+    if (to) return { name: pageName(to[1], this.urls), url: to[1] };
+    const named = /^I am on the "((?:[^"\\]|\\.)*)" page$/.exec(step.text);
+    if (named) return { name: capitalize(named[1]), url: this.urls[named[1].toLowerCase()] || `/${named[1]}` };
+    // Added to complete a scenario, so the tests never said where they were
+    if (step.text === 'I am on the application page') return step.node ? { name: pageName('/', this.urls), url: '/' } : null;
+    return undefined;
+  }
+
+  /**
+   * Selectors detectBrowserJS() found in a file that no step used, added to
+   * the page holding most of the file's elements, or the feature's page.
+   * `upgrade` maps a selector to the one steps use in its place.
+   */
+  addDetected(file, actions, fallback, upgrade = selector => selector) {
+    const own = [...this.pages.values()].map(page => ({
+      page,
+      count: [...page.elements.values()].filter(e => e.sources.has(file)).length,
+    }));
+    const used = new Set(own.flatMap(({ page }) =>
+      [...page.elements.values()].filter(e => e.sources.has(file)).map(e => e.selector)));
+    const main = own.sort((a, b) => b.count - a.count).find(({ count }) => count > 0);
+
+    for (const { type, selector, method } of actions) {
+      if (type !== 'select' || selector.includes('<')) continue;
+      const normalized = upgrade((DETECTED[method] || (arg => arg))(selector));
+      if (used.has(normalized)) continue;
+      this.element(main ? main.page : this.page(fallback), normalized, file);
+      used.add(normalized);
+    }
+  }
+
+  // The elements a file uses, for the cache
+  elementsOf(file) {
+    return [...this.pages.values()].flatMap(page => [...page.elements.values()]
+      .filter(element => element.sources.has(file))
+      .map(({ selector, name, property }) => ({ page: page.name, url: page.url, selector, name, property })));
+  }
+
+  // Elements of a cached file, under the names its features already use
+  restore(file, elements = []) {
+    for (const { page: name, url, selector, name: elementName, property } of elements) {
+      const page = this.page(name, url);
+      if (!page.elements.has(selector)) {
+        page.elements.set(selector, { selector, name: elementName, property, sources: new Set() });
+      }
+      page.elements.get(selector).sources.add(file);
+    }
+  }
+}
+
+function unique(base, taken, separator) {
+  let name = base;
+  for (let n = 2; taken(name); n++) name = `${base}${separator}${n}`;
+  return name;
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+export function renderPageObject(page) {
+  const elements = [...page.elements.values()];
+  const sources = [...new Set(elements.flatMap(e => [...e.sources]))].sort();
+  const where = page.url ? ` (${page.url})` : '';
+  const url = page.url ? `  static readonly url = ${jsString(page.url)};\n` : '';
+  return `import { Locator, Page } from '@playwright/test';
+
+// Elements of the ${page.name} page${where}, as used by ${sources.join(', ')}
+export class ${page.className} {
+${url}  // Element names in steps → locators
+  static readonly elements: Record<string, string> = {
+${elements.map(e => `    ${jsString(e.name)}: ${jsString(e.property)},`).join('\n')}
+  };
+
+${elements.map(e => `  readonly ${e.property}: Locator;`).join('\n')}
+
+  constructor(readonly page: Page) {
+${elements.map(e => `    this.${e.property} = page.${locatorCode(e.selector)};`).join('\n')}
+  }
+}
+`;
+}
+
+// index.ts: every page object by name, and the lookup page object steps use
+export function renderPageIndex(pages) {
+  return `import { Locator, Page } from '@playwright/test';
+${pages.map(page => `import { ${page.className} } from './${page.module}';`).join('\n')}
+
+interface PageObjectClass {
+  elements: Record<string, string>;
+  new (page: Page): object;
+}
+
+// Page objects by the page names steps use
+export const PAGES: Record<string, PageObjectClass> = {
+${pages.map(page => `  ${jsString(page.name)}: ${page.className},`).join('\n')}
+};
+
+// An element by the names steps use, e.g. elementOn(page, 'Login', 'Email')
+export function elementOn(page: Page, pageName: string, element: string): Locator {
+  const PageObject = PAGES[pageName];
+  if (!PageObject) throw new Error(\`No page object for the "\${pageName}" page\`);
+  const property = PageObject.elements[element];
+  if (!property) throw new Error(\`No element "\${element}" on the "\${pageName}" page\`);
+  return (new PageObject(page) as Record<string, Locator>)[property];
+}
+`;
+}
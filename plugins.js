@@ -0,0 +1,198 @@
+/**
+ * Plugins
+ *
+ * Project-specific detection patterns and statement translators, for
+ * in-house test helpers such as `ui.fill('#x', 'v')` that the built-in rules
+ * do not know. Plugins are listed in the `plugins` setting.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { CucumberExpression, ParameterTypeRegistry } from '@cucumber/cucumber-expressions';
+import { calleePath, quote, unwrap } from './ast.js';
+import { slugify } from './structure.js';
+import { libraryDefinitions, matchingDefinitions } from './step-files.js';
+
+const KEYWORDS = new Set(['Given', 'When', 'Then']);
+
+const registry = new ParameterTypeRegistry();
+
+/**
+ * A plugin is an object, or a module whose default export is one:
+ *
+ *   {
+ *     name: 'testkit',
+ *     // Extra detectBrowserJS patterns, by category
+ *     patterns: { actions: { clickButton: /testkit\.clickButton\(/ } },
+ *     // Tried on every statement before the built-in rules
+ *     translators: [
+ *       (node, api) => api.callee(node) === 'testkit.clickButton' && {
+ *         keyword: 'When',
+ *         text: `I click the ${api.quote(api.value(node.arguments[0]))} button`,
+ *         definition: {
+ *           expression: 'I click the {string} button',
+ *           params: ['label: string'],
+ *           body: `await this.page!.getByRole('button', { name: label }).click();`,
+ *         },
+ *       },
+ *     ],
+ *   }
+ *
+ * A translator returns a step, a list of steps, or a falsy value to leave
+ * the statement to the next translator. Definitions are written to
+ * `<plugin>.steps.ts` next to common.steps.ts.
+ */
+export async function loadPlugins(specs = [], repoPath) {
+  const require = createRequire(path.join(repoPath, 'package.json'));
+  const plugins = [];
+  for (const spec of specs) {
+    const label = typeof spec === 'string' ? spec : (spec && spec.name) || 'inline plugin';
+    try {
+      plugins.push(normalizePlugin(typeof spec === 'string' ? await loadModule(spec, repoPath, require) : spec));
+    } catch (err) {
+      throw new Error(`Plugin ${label}: ${err.message}`);
+    }
+  }
+
+  const names = plugins.map(p => p.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) throw new Error(`Plugin ${duplicate}: more than one plugin has this name`);
+  return plugins;
+}
+
+// Packages resolve from the repository, not from the migrator
+async function loadModule(spec, repoPath, require) {
+  const local = spec.startsWith('.') || path.isAbsolute(spec);
+  const resolved = local ? path.resolve(repoPath, spec) : require.resolve(spec);
+  if (local && !fs.existsSync(resolved)) throw new Error(`not found at ${resolved}`);
+
+  const loaded = await import(pathToFileURL(resolved).href);
+  return 'default' in loaded ? loaded.default : loaded;
+}
+
+function normalizePlugin(plugin) {
+  if (!plugin || typeof plugin !== 'object') throw new Error('must export an object');
+  if (typeof plugin.name !== 'string' || !plugin.name) throw new Error('needs a "name"');
+
+  const patterns = {};
+  for (const [category, map] of Object.entries(plugin.patterns || {})) {
+    if (!map || typeof map !== 'object') throw new Error(`patterns.${category} must map names to regular expressions`);
+    patterns[category] = {};
+    for (const [name, pattern] of Object.entries(map)) {
+      if (!(pattern instanceof RegExp) && typeof pattern !== 'string') {
+        throw new Error(`patterns.${category}.${name} must be a RegExp or a string`);
+      }
+      patterns[category][name] = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+    }
+  }
+
+  const translators = plugin.translators || [];
+  if (!Array.isArray(translators) || !translators.every(t => typeof t === 'function')) {
+    throw new Error('translators must be an array of functions');
+  }
+
+  return {
+    name: plugin.name,
+    file: `${slugify(plugin.name)}.steps.ts`,
+    title: `PLUGIN ${plugin.name.toUpperCase()} - steps used by migrated features`,
+    patterns,
+    translators,
+    translate(node, translator) {
+      for (const translate of translators) {
+        const result = translate(node, pluginApi(translator));
+        if (result) return [].concat(result).map(step => checkStep(step, plugin.name));
+      }
+      return null;
+    },
+  };
+}
+
+// Detection patterns with every plugin's patterns added
+export function mergePatterns(patterns, plugins) {
+  const merged = Object.fromEntries(Object.entries(patterns).map(([category, map]) => [category, { ...map }]));
+  for (const plugin of plugins) {
+    for (const [category, map] of Object.entries(plugin.patterns)) {
+      merged[category] = { ...merged[category], ...map };
+    }
+  }
+  return merged;
+}
+
+// =============================================================================
+// TRANSLATION
+// =============================================================================
+
+// What translators get to inspect a statement with
+function pluginApi(translator) {
+  return {
+    // 'ui.fill' for ui.fill(...), null for anything but a call
+    callee: node => calleePath(unwrap(node)),
+    // A literal, a bound constant or a template built from them, or null
+    value: node => translator.valueOf(node),
+    // The Playwright selector of an element expression, or null
+    selector: node => translator.resolveElement(node),
+    quote,
+  };
+}
+
+function checkStep(step, pluginName) {
+  const where = `Plugin ${pluginName}`;
+  if (!step || !KEYWORDS.has(step.keyword)) throw new Error(`${where}: step keyword must be Given, When or Then`);
+  if (typeof step.text !== 'string' || !step.text.trim() || step.text.includes('\n')) {
+    throw new Error(`${where}: step text must be a single non-empty line`);
+  }
+  if (!step.definition) return { keyword: step.keyword, text: step.text, definition: null };
+
+  const { expression, params = [], body } = step.definition;
+  if (typeof expression !== 'string' || typeof body !== 'string') {
+    throw new Error(`${where}: a step definition needs an "expression" and a "body"`);
+  }
+  let compiled;
+  try {
+    compiled = new CucumberExpression(expression, registry);
+  } catch (err) {
+    throw new Error(`${where}: invalid step expression "${expression}": ${err.message}`);
+  }
+  if (!Array.isArray(params) || params.length !== compiled.ast.nodes.filter(n => n.type === 'PARAMETER_NODE').length) {
+    throw new Error(`${where}: "${expression}" needs one entry in "params" for each {parameter}`);
+  }
+  return {
+    keyword: step.keyword,
+    text: step.text,
+    definition: { keyword: step.definition.keyword || step.keyword, expression, params, body },
+  };
+}
+
+// =============================================================================
+// STEP FILES
+// =============================================================================
+
+/**
+ * Assign step texts no existing definition covers to the plugin (and legacy
+ * block, see legacy.js) definitions collected during translation. `definitions` maps expressions to
+ * `{ plugin, step }`. Returns `{ files, undefined }`, where `files` lists
+ * `{ plugin, file, steps }` to append and `undefined` the texts left over.
+ */
+export function planPluginSteps(texts, definitions) {
+  const entries = [...definitions.values()];
+  const compiled = libraryDefinitions(entries.map(entry => entry.step))
+    .map((definition, i) => ({ ...definition, entry: entries[i] }));
+
+  const files = new Map();
+  const undefinedSteps = [];
+  for (const text of texts) {
+    const [match] = matchingDefinitions(compiled, text);
+    if (!match) {
+      undefinedSteps.push(text);
+      continue;
+    }
+    const { plugin, step } = match.entry;
+    if (!files.has(plugin.name)) files.set(plugin.name, { plugin, file: plugin.file, steps: [] });
+    const { steps } = files.get(plugin.name);
+    if (!steps.includes(step)) steps.push(step);
+  }
+
+  return { files: [...files.values()], undefined: undefinedSteps };
+}
@@ -0,0 +1,255 @@
+/**
+ * Project configuration merging
+ *
+ * Adds Playwright BDD, and the Playwright Test specs of the playwright-test
+ * target, to a repository's package.json, Playwright config and tsconfig.json
+ * next to whatever test setup it already has, instead of replacing those
+ * files.
+ */
+
+import { createTwoFilesPatch } from 'diff';
+import { applyEdits, calleePath, memberPath, parseSource, stringValue, unwrap } from './ast.js';
+
+export const BDD_PROJECT = 'bdd';
+export const SPECS_PROJECT = 'specs';
+
+export const BDD_DEPENDENCIES = {
+  '@playwright/test': '^1.41.0',
+  '@cucumber/cucumber': '^10.3.1',
+  'playwright-bdd': '^6.6.0',
+  'typescript': '^5.3.3',
+};
+
+// All the specs need; they run on Playwright Test alone
+const SPEC_DEPENDENCIES = ['@playwright/test', 'typescript'];
+
+export const PLAYWRIGHT_CONFIG_FILES = [
+  'playwright.config.ts',
+  'playwright.config.js',
+  'playwright.config.mjs',
+  'playwright.config.cjs',
+];
+
+// The script `npm init` writes, which is safe to replace
+const NPM_PLACEHOLDER_TEST = /^echo "Error: no test specified" && exit 1$/;
+
+// =============================================================================
+// PACKAGE.JSON
+// =============================================================================
+
+/**
+ * Add the Playwright BDD dependencies and `test:bdd*` scripts. Existing
+ * dependency versions and scripts are kept; `test` is only set when the
+ * package has none. Pass `project` to run only the BDD project of a shared
+ * Playwright config. With `specs`, `test:specs*` scripts run the Playwright
+ * Test specs (only `specsProject`, if given), and `features: false` leaves
+ * out everything BDD.
+ */
+export function mergePackageJson(content, { project = null, features = true, specs = false, specsProject = null } = {}) {
+  const pkg = content === null
+    ? { name: 'playwright-bdd-tests', version: '1.0.0' }
+    : JSON.parse(content);
+
+  const installed = { ...pkg.dependencies, ...pkg.devDependencies };
+  pkg.devDependencies = { ...pkg.devDependencies };
+  for (const [name, version] of Object.entries(BDD_DEPENDENCIES)) {
+    if (!features && !SPEC_DEPENDENCIES.includes(name)) continue;
+    if (!(name in installed)) pkg.devDependencies[name] = version;
+  }
+
+  const scripts = {};
+  const addScripts = (prefix, run) => Object.assign(scripts, {
+    [prefix]: run,
+    [`${prefix}:headed`]: `${run} --headed`,
+    [`${prefix}:ui`]: `${run} --ui`,
+    [`${prefix}:debug`]: `${run} --debug`,
+    [`${prefix}:report`]: 'playwright show-report',
+  });
+  if (features) addScripts('test:bdd', `npx bddgen && playwright test${project ? ` --project=${project}` : ''}`);
+  if (specs) addScripts('test:specs', `playwright test${specsProject ? ` --project=${specsProject}` : ''}`);
+
+  pkg.scripts = { ...pkg.scripts };
+  if (!pkg.scripts.test || NPM_PLACEHOLDER_TEST.test(pkg.scripts.test)) {
+    pkg.scripts.test = features ? 'npm run test:bdd' : 'npm run test:specs';
+  }
+  for (const [name, command] of Object.entries(scripts)) {
+    if (!(name in pkg.scripts)) pkg.scripts[name] = command;
+  }
+
+  const indent = content === null ? 2 : (/^[ \t]+/m.exec(content) || ['  '])[0];
+  const newline = content === null || content.endsWith('\n') ? '\n' : '';
+  return JSON.stringify(pkg, null, indent) + newline;
+}
+
+// =============================================================================
+// PLAYWRIGHT CONFIG
+// =============================================================================
+
+/**
+ * Add a `bdd` project whose testDir is the generated defineBddConfig output
+ * to an existing Playwright config, and with `specsDir` a `specs` project
+ * for the Playwright Test specs (`features: false` adds only that one).
+ * Returns `{ content, project, specsProject }` with the names of the
+ * projects the scripts should run (null when the config's default project
+ * already runs them), or null when the config object cannot be located.
+ */
+export function mergePlaywrightConfig(content, filePath, { featuresDir, stepsDir, specsDir = null, features = true }) {
+  const hasProject = name => new RegExp(`name:\\s*['"]${name}['"]`).test(content);
+  const addBdd = features && !/\bdefineBddConfig\b/.test(content);
+  const addSpecs = specsDir !== null && !hasProject(SPECS_PROJECT);
+  const result = {
+    content,
+    project: features && (addBdd || hasProject(BDD_PROJECT)) ? BDD_PROJECT : null,
+    specsProject: specsDir !== null ? SPECS_PROJECT : null,
+  };
+  if (!addBdd && !addSpecs) return result;
+
+  const ast = parseSource(content, filePath);
+  const config = configObject(ast);
+  if (!config) return null;
+
+  const projects = config.properties.find(p => p.type === 'ObjectProperty' && keyName(p) === 'projects');
+  if (projects && unwrap(projects.value).type !== 'ArrayExpression') return null;
+
+  const edits = [];
+  const added = [];
+  if (addBdd) {
+    const esm = ast.program.sourceType === 'module';
+    const setup = [
+      esm
+        ? `import { defineBddConfig } from 'playwright-bdd';`
+        : `const { defineBddConfig } = require('playwright-bdd');`,
+      '',
+      'const bddTestDir = defineBddConfig({',
+      `  features: '${featuresDir}/**/*.feature',`,
+      `  steps: '${stepsDir}/**/*.ts',`,
+      '});',
+    ];
+    const header = lastSetupStatement(ast);
+    edits.push(header
+      ? { at: header.end, text: `\n${setup.join('\n')}` }
+      : { at: 0, text: `${setup.join('\n')}\n\n` });
+    added.push(`{ name: '${BDD_PROJECT}', testDir: bddTestDir }`);
+  }
+  if (addSpecs) added.push(`{ name: '${SPECS_PROJECT}', testDir: '${specsDir}' }`);
+
+  if (projects) {
+    const list = unwrap(projects.value);
+    const last = list.elements[list.elements.length - 1];
+    edits.push(last
+      ? { at: last.end, text: added.map(project => `,\n${indentAt(content, last.start)}${project}`).join('') }
+      : { at: list.start + 1, text: added.join(', ') });
+  } else {
+    // Without `projects` the config runs one project from the top-level
+    // testDir; keep it as "default" next to the new ones
+    const last = config.properties[config.properties.length - 1];
+    const indent = last ? indentAt(content, last.start) : '  ';
+    const text = ['projects: [', `  { name: 'default' },`, ...added.map(project => `  ${project},`), ']']
+      .map(line => indent + line)
+      .join('\n');
+    edits.push(last
+      ? { at: last.end, text: `,\n${text}` }
+      : { at: config.start + 1, text: `\n${text},\n` });
+  }
+
+  return { ...result, content: applyEdits(content, edits) };
+}
+
+// export default defineConfig({...}) / module.exports = {...} / export default config
+function configObject(ast) {
+  const body = ast.program.body;
+  let exported = null;
+
+  for (const statement of body) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      exported = statement.declaration;
+    } else if (statement.type === 'ExpressionStatement' &&
+        statement.expression.type === 'AssignmentExpression' &&
+        memberPath(statement.expression.left) === 'module.exports') {
+      exported = statement.expression.right;
+    }
+  }
+
+  exported = unwrap(exported);
+  if (exported && exported.type === 'Identifier') {
+    const declarator = body
+      .filter(s => s.type === 'VariableDeclaration')
+      .flatMap(s => s.declarations)
+      .find(d => d.id.type === 'Identifier' && d.id.name === exported.name);
+    exported = declarator ? unwrap(declarator.init) : null;
+  }
+  if (exported && exported.type === 'CallExpression') exported = unwrap(exported.arguments[0]);
+  return exported && exported.type === 'ObjectExpression' ? exported : null;
+}
+
+function keyName(prop) {
+  return prop.computed ? stringValue(prop.key) : prop.key.name || String(prop.key.value);
+}
+
+// Last top-level import or require() declaration
+function lastSetupStatement(ast) {
+  const requires = statement => statement.type === 'VariableDeclaration' &&
+    statement.declarations.every(d => d.init && calleePath(unwrap(d.init)) === 'require');
+  return ast.program.body.filter(s => s.type === 'ImportDeclaration' || requires(s)).pop() || null;
+}
+
+// =============================================================================
+// TSCONFIG.JSON
+// =============================================================================
+
+/**
+ * Add glob patterns to the `include` array of a tsconfig, keeping comments
+ * and layout. Patterns already covered by an entry such as "tests" or
+ * "**\/*" are skipped, and a tsconfig without `include` already includes
+ * everything.
+ */
+export function mergeTsconfig(content, patterns) {
+  const match = /"include"\s*:\s*\[([^\]]*)\]/.exec(content);
+  if (!match) return content;
+
+  const entries = [...match[1].matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(m => m[1]);
+  const missing = patterns.filter(pattern => !entries.some(entry => covers(entry, pattern)));
+  if (missing.length === 0) return content;
+
+  const listStart = match.index + match[0].indexOf('[') + 1;
+  const quoted = missing.map(p => JSON.stringify(p));
+  if (entries.length === 0) {
+    return applyEdits(content, [{ at: listStart, text: quoted.join(', ') }]);
+  }
+
+  // After the last entry, one per line if the list is multi-line
+  const at = listStart + match[1].lastIndexOf('"') + 1;
+  const text = match[1].includes('\n')
+    ? quoted.map(q => `,\n${indentAt(content, at - 1)}${q}`).join('')
+    : quoted.map(q => `, ${q}`).join('');
+  return applyEdits(content, [{ at, text }]);
+}
+
+// "tests" and "tests/**/*" both cover "tests/steps/**/*"
+function covers(entry, pattern) {
+  if (entry === pattern) return true;
+  const dir = /[*?]/.test(entry) ? entry.replace(/\*\*\/\*$/, '') : `${entry.replace(/\/$/, '')}/`;
+  if (/[*?]/.test(dir)) return false;
+  return dir === '' || dir === './' || pattern.startsWith(dir);
+}
+
+// =============================================================================
+// LAYOUT & DIFFS
+// =============================================================================
+
+function indentAt(content, offset) {
+  const lineStart = content.lastIndexOf('\n', offset - 1) + 1;
+  return /^[ \t]*/.exec(content.slice(lineStart))[0];
+}
+
+// Unified diff of a config file change; `before` is null for a new file
+export function unifiedDiff(fileName, before, after) {
+  const patch = createTwoFilesPatch(
+    before === null ? '/dev/null' : `a/${fileName}`,
+    `b/${fileName}`,
+    before ?? '',
+    after,
+  );
+  // Drop the "=====" banner and the empty header after each file name
+  return patch.replace(/^=+\n/, '').replace(/\t\n/g, '\n');
+}
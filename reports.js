@@ -0,0 +1,246 @@
+/**
+ * CI reports
+ *
+ * The analysis and migration results as a file CI systems understand:
+ * JUnit XML, SARIF (for code scanning annotations), Markdown (for job
+ * summaries and PR comments) or plain JSON.
+ */
+
+export const REPORT_FORMATS = {
+  junit: 'migration-report.xml',
+  sarif: 'migration-report.sarif',
+  markdown: 'migration-report.md',
+  json: 'migration-report.json',
+};
+
+const TOOL = {
+  name: 'browserjs-to-playwright-bdd',
+  version: '1.0.0',
+};
+
+/**
+ * `results` is `{ analysis, report }`: the analysis from analyze() and the
+ * migration report, with error files relative to the repository.
+ */
+export function renderReport(format, results) {
+  switch (format) {
+    case 'junit':
+      return junitReport(results);
+    case 'sarif':
+      return JSON.stringify(sarifReport(results), null, 2) + '\n';
+    case 'markdown':
+      return markdownReport(results);
+    case 'json':
+      return JSON.stringify(jsonReport(results), null, 2) + '\n';
+    default:
+      throw new Error(`Unknown report format "${format}" (use ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+}
+
+function jsonReport({ analysis, report }) {
+  return {
+    summary: {
+      files: analysis.summary.browserJS,
+      skipped: analysis.summary.skipped,
+      migrated: report.migrated,
+      unchanged: report.unchanged,
+      features: report.features,
+      specs: report.specs,
+      pages: report.pages,
+      coverage: analysis.summary.coverage.coverage,
+      confidence: analysis.summary.coverage.confidence,
+      errors: report.errors.length,
+      warnings: report.warnings.length,
+    },
+    files: analysis.files.map(f => ({ path: f.path, coverage: f.coverage, tests: f.testCases })),
+    upgrades: report.upgrades,
+    errors: report.errors,
+    warnings: report.warnings,
+  };
+}
+
+function unsupportedText(unsupported) {
+  return [...new Set(unsupported.map(u => `${u.construct} (line ${u.line})`))].join(', ');
+}
+
+// =============================================================================
+// JUNIT
+// =============================================================================
+
+function xml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One suite per source file and one case per test; a test fails when part
+// of it is left as placeholders, a file errors when it could not be migrated
+function junitReport({ analysis, report }) {
+  const suites = analysis.files.map(f => {
+    const errors = report.errors.filter(e => e.file === f.path);
+    const cases = f.testCases.map(test => {
+      const { translated, placeholders, unsupported, confidence } = test.coverage;
+      const name = `${test.describe} › ${test.name}`;
+      const open = `    <testcase classname="${xml(f.path)}" name="${xml(name)}">`;
+      if (placeholders === 0 && unsupported.length === 0) return `${open.slice(0, -1)} />`;
+
+      const message = `${translated}/${translated + placeholders} statements translated, confidence ${confidence}`;
+      const details = unsupported.length > 0 ? `Unsupported: ${unsupportedText(unsupported)}` : '';
+      return [
+        open,
+        `      <failure message="${xml(message)}" type="incomplete-translation">${xml(details)}</failure>`,
+        '    </testcase>',
+      ].join('\n');
+    });
+    for (const { error } of errors) {
+      cases.push([
+        `    <testcase classname="${xml(f.path)}" name="migrate">`,
+        `      <error message="${xml(error)}" type="migration-error" />`,
+        '    </testcase>',
+      ].join('\n'));
+    }
+
+    const failures = f.testCases.filter(t => t.coverage.placeholders > 0 || t.coverage.unsupported.length > 0).length;
+    return [
+      `  <testsuite name="${xml(f.path)}" tests="${cases.length}" failures="${failures}" errors="${errors.length}">`,
+      ...cases,
+      '  </testsuite>',
+    ].join('\n');
+  });
+
+  // Errors in files the analysis could not read at all
+  const known = new Set(analysis.files.map(f => f.path));
+  const orphanErrors = report.errors.filter(e => !known.has(e.file));
+  if (orphanErrors.length > 0) {
+    suites.push([
+      `  <testsuite name="migration" tests="${orphanErrors.length}" failures="0" errors="${orphanErrors.length}">`,
+      ...orphanErrors.map(({ file, error }) => [
+        `    <testcase classname="${xml(file)}" name="migrate">`,
+        `      <error message="${xml(error)}" type="migration-error" />`,
+        '    </testcase>',
+      ].join('\n')),
+      '  </testsuite>',
+    ].join('\n'));
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL.name}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// =============================================================================
+// SARIF
+// =============================================================================
+
+const SARIF_RULES = [
+  {
+    id: 'unsupported-network',
+    shortDescription: { text: 'Network call with no Playwright BDD step' },
+  },
+  {
+    id: 'unsupported-timers',
+    shortDescription: { text: 'Timer with no Playwright BDD step' },
+  },
+  {
+    id: 'unsupported-dialogs',
+    shortDescription: { text: 'Browser dialog with no Playwright BDD step' },
+  },
+  {
+    id: 'migration-error',
+    shortDescription: { text: 'Test file could not be migrated' },
+  },
+];
+
+function sarifReport({ analysis, report }) {
+  const results = analysis.files.flatMap(f => (f.coverage ? f.coverage.unsupported : []).map(u => ({
+    ruleId: `unsupported-${u.category}`,
+    level: 'warning',
+    message: { text: `${u.construct} is not translated to a Playwright BDD step; port it by hand` },
+    locations: [{
+      physicalLocation: {
+        artifactLocation: { uri: f.path },
+        region: { startLine: u.line },
+      },
+    }],
+  })));
+
+  for (const { file, error } of report.errors) {
+    results.push({
+      ruleId: 'migration-error',
+      level: 'error',
+      message: { text: error },
+      locations: [{ physicalLocation: { artifactLocation: { uri: file } } }],
+    });
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { ...TOOL, rules: SARIF_RULES } },
+      results,
+    }],
+  };
+}
+
+// =============================================================================
+// MARKDOWN
+// =============================================================================
+
+function cell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function markdownReport({ analysis, report }) {
+  const { coverage } = analysis.summary;
+  const lines = [
+    '# Browser JS → Playwright BDD migration',
+    '',
+    '| | |',
+    '|---|---|',
+    `| Browser JS files | ${analysis.summary.browserJS} |`,
+    `| Migrated / unchanged | ${report.migrated} / ${report.unchanged} |`,
+    `| Feature files | ${report.features} |`,
+    `| Spec files | ${report.specs} |`,
+    `| Page objects | ${report.pages} |`,
+    `| Statements translated | ${coverage.coverage}% (${coverage.translated} translated, ${coverage.placeholders} placeholders) |`,
+    `| Confidence | ${coverage.confidence}/100 (${coverage.level}) |`,
+    `| Errors | ${report.errors.length} |`,
+    `| Warnings | ${report.warnings.length} |`,
+    '',
+  ];
+
+  // Files that failed to parse have no coverage and show up under Errors
+  const measured = analysis.files.filter(f => f.coverage);
+  if (measured.length > 0) {
+    lines.push('## Files by confidence', '', '| File | Confidence | Statements | Unsupported |', '|---|---:|---:|---|');
+    const ranked = [...measured].sort((a, b) => a.coverage.confidence - b.coverage.confidence);
+    for (const f of ranked) {
+      const { confidence, translated, placeholders, unsupported } = f.coverage;
+      lines.push(`| ${cell(f.path)} | ${confidence} | ${translated}/${translated + placeholders} | ${cell(unsupportedText(unsupported)) || '-'} |`);
+    }
+    lines.push('');
+  }
+
+  if (report.upgrades.length > 0) {
+    lines.push('## Selector upgrades', '', '| Selector | Proposed locator | Used at |', '|---|---|---|');
+    for (const { selector, locator, sources } of report.upgrades) {
+      lines.push(`| \`${cell(selector)}\` | \`${cell(locator)}\` | ${cell(sources.join(', '))} |`);
+    }
+    lines.push('');
+  }
+
+  if (report.errors.length > 0) {
+    lines.push('## Errors', '', ...report.errors.map(({ file, error }) => `- \`${file}\`: ${error}`), '');
+  }
+  if (report.warnings.length > 0) {
+    lines.push('## Warnings', '', ...report.warnings.map(warning => `- ${warning}`), '');
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,297 @@
+/**
+ * Selector upgrades
+ *
+ * With --html, the selectors steps act on are resolved against the
+ * repository's HTML fixtures and static pages. A selector that finds one
+ * element gets a proposal in the terms users see the page in: its role and
+ * accessible name, its label, or its test id. --upgrade-selectors writes the
+ * proposals into the generated features, page objects and specs.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { glob } from 'glob';
+import { DomUtils, parseDocument } from 'htmlparser2';
+import { selectAll } from 'css-select';
+import { hashContent } from './manifest.js';
+import { jsString } from './step-library.js';
+
+// Roles worth locating by; landmarks and generic containers are not
+const ROLES = new Set([
+  'button', 'link', 'checkbox', 'radio', 'switch', 'textbox', 'searchbox', 'combobox', 'listbox',
+  'option', 'slider', 'spinbutton', 'heading', 'img', 'tab', 'menuitem', 'dialog',
+]);
+
+// Roles whose accessible name is their text
+const NAMED_BY_CONTENT = new Set(['button', 'link', 'heading', 'option', 'tab', 'menuitem', 'switch', 'checkbox', 'radio']);
+
+// Input types by implicit role; the rest (password, file, date...) have none
+const INPUT_ROLES = {
+  text: 'textbox',
+  email: 'textbox',
+  tel: 'textbox',
+  url: 'textbox',
+  search: 'searchbox',
+  number: 'spinbutton',
+  range: 'slider',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  button: 'button',
+  submit: 'button',
+  reset: 'button',
+  image: 'button',
+};
+
+const BUTTON_VALUES = { submit: 'Submit', reset: 'Reset' };
+
+// Playwright's pseudo classes, for css-select
+const PSEUDOS = {
+  'has-text': (element, text) => normalize(textOf(element)).toLowerCase().includes(normalize(unquote(text)).toLowerCase()),
+  'text-is': (element, text) => normalize(textOf(element)) === normalize(unquote(text)),
+  visible: element => !isHidden(element),
+};
+
+// =============================================================================
+// LOCATORS
+// =============================================================================
+
+/**
+ * Proposals are written in Playwright selector syntax, so steps keep passing
+ * them to page.locator(): role=button[name='Log in'], internal:label=Email
+ * (getByLabel has no public engine) and data-testid=login.
+ */
+export function parseLocator(selector) {
+  const role = /^role=([a-z]+)\[name='((?:[^'\\]|\\.)*)'\]$/.exec(selector);
+  if (role) return { method: 'getByRole', role: role[1], name: role[2].replace(/\\(.)/g, '$1') };
+  const label = /^internal:label=(.+)$/.exec(selector);
+  if (label) return { method: 'getByLabel', text: label[1] };
+  const testId = /^data-testid=(.+)$/.exec(selector);
+  if (testId) return { method: 'getByTestId', text: testId[1] };
+  return null;
+}
+
+// The locator call for a selector, e.g. getByRole('button', { name: 'Log in' })
+export function locatorCode(selector) {
+  const locator = parseLocator(selector);
+  if (!locator) return `locator(${jsString(selector)})`;
+  if (locator.method === 'getByRole') return `getByRole(${jsString(locator.role)}, { name: ${jsString(locator.name)} })`;
+  return `${locator.method}(${jsString(locator.text)})`;
+}
+
+function roleLocator(role, name) {
+  return `role=${role}[name='${name.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+}
+
+// =============================================================================
+// DOM
+// =============================================================================
+
+const normalize = text => text.replace(/\s+/g, ' ').trim();
+const unquote = text => (/^(['"]).*\1$/s.test(text) ? text.slice(1, -1) : text);
+const attribute = (element, name) => (element.attribs && element.attribs[name] !== undefined ? element.attribs[name] : null);
+const isElement = node => node.type === 'tag';
+
+// Text as the user reads it, without scripts, styles or the text of form
+// controls inside a label
+function textOf(node, skipControls = false) {
+  if (node.type === 'text') return node.data;
+  if (!node.children || ['script', 'style', 'template'].includes(node.name)) return '';
+  if (skipControls && ['select', 'textarea'].includes(node.name)) return '';
+  return node.children.map(child => textOf(child, skipControls)).join(node.name === 'br' ? ' ' : '');
+}
+
+function isHidden(element) {
+  for (let node = element; node && isElement(node); node = node.parent) {
+    if (attribute(node, 'hidden') !== null || attribute(node, 'aria-hidden') === 'true') return true;
+    if (/display\s*:\s*none|visibility\s*:\s*hidden/.test(attribute(node, 'style') || '')) return true;
+    if (['head', 'script', 'style', 'template'].includes(node.name)) return true;
+  }
+  return element.name === 'input' && attribute(element, 'type') === 'hidden';
+}
+
+function roleOf(element) {
+  const explicit = attribute(element, 'role');
+  if (explicit && explicit.trim()) return explicit.trim().split(/\s+/)[0];
+
+  switch (element.name) {
+    case 'a':
+    case 'area':
+      return attribute(element, 'href') !== null ? 'link' : null;
+    case 'button':
+      return 'button';
+    case 'input':
+      return INPUT_ROLES[(attribute(element, 'type') || 'text').toLowerCase()] || null;
+    case 'select':
+      return attribute(element, 'multiple') !== null || Number(attribute(element, 'size')) > 1 ? 'listbox' : 'combobox';
+    case 'textarea':
+      return 'textbox';
+    case 'option':
+      return 'option';
+    case 'img':
+      return attribute(element, 'alt') ? 'img' : null;
+    case 'dialog':
+      return 'dialog';
+    default:
+      return /^h[1-6]$/.test(element.name) ? 'heading' : null;
+  }
+}
+
+const isControl = element => ['input', 'select', 'textarea'].includes(element.name) &&
+  !['hidden', 'button', 'submit', 'reset', 'image'].includes((attribute(element, 'type') || '').toLowerCase());
+
+// The text of the <label>s of a form control: label[for] or a wrapping label
+function labelText(element, root) {
+  const id = attribute(element, 'id');
+  const labels = id ? DomUtils.findAll(node => node.name === 'label' && attribute(node, 'for') === id, root.children) : [];
+  const wrapping = closest(element, 'label');
+  if (wrapping && !labels.includes(wrapping)) labels.push(wrapping);
+  return normalize(labels.map(label => textOf(label, true)).join(' '));
+}
+
+function closest(element, name) {
+  for (let node = element.parent; node && isElement(node); node = node.parent) {
+    if (node.name === name) return node;
+  }
+  return null;
+}
+
+// A simplified accessible name: aria-labelledby, aria-label, labels, then
+// the element's own text or alternative text
+function accessibleName(element, root, role = roleOf(element)) {
+  const labelledBy = attribute(element, 'aria-labelledby');
+  if (labelledBy) {
+    const ids = labelledBy.trim().split(/\s+/);
+    const text = ids.map(id => DomUtils.findOne(node => attribute(node, 'id') === id, root.children))
+      .filter(Boolean)
+      .map(node => normalize(textOf(node)))
+      .join(' ');
+    if (text) return text;
+  }
+  const ariaLabel = normalize(attribute(element, 'aria-label') || '');
+  if (ariaLabel) return ariaLabel;
+
+  const type = (attribute(element, 'type') || '').toLowerCase();
+  if (element.name === 'input' && ['button', 'submit', 'reset'].includes(type)) {
+    return normalize(attribute(element, 'value') || BUTTON_VALUES[type] || '');
+  }
+  if ((element.name === 'input' && type === 'image') || element.name === 'img') {
+    return normalize(attribute(element, 'alt') || '');
+  }
+  if (isControl(element)) {
+    return labelText(element, root) || normalize(attribute(element, 'title') || attribute(element, 'placeholder') || '');
+  }
+  const text = NAMED_BY_CONTENT.has(role) ? normalize(textOf(element)) : '';
+  return text || normalize(attribute(element, 'title') || '');
+}
+
+/**
+ * Elements a selector finds in a document: CSS with Playwright's
+ * :has-text(), :text-is() and :visible, chained with >> to nth=, text= and
+ * visible= parts. Throws on selectors it cannot evaluate.
+ */
+function query(root, selector) {
+  let scope = [root];
+  for (const part of selector.split(' >> ')) {
+    const nth = /^nth=(-?\d+)$/.exec(part);
+    if (nth) {
+      const index = Number(nth[1]);
+      const element = scope[index < 0 ? scope.length + index : index];
+      scope = element ? [element] : [];
+      continue;
+    }
+    if (part === 'visible=true') {
+      scope = scope.filter(element => !isHidden(element));
+      continue;
+    }
+    const text = /^text=(.+)$/s.exec(part);
+    if (text) {
+      // The innermost elements holding the text
+      const holds = element => PSEUDOS[/^".*"$/s.test(text[1]) ? 'text-is' : 'has-text'](element, text[1]);
+      scope = selectAll('*', scope).filter(element => holds(element) && !element.children.some(child => isElement(child) && holds(child)));
+      continue;
+    }
+    if (/^[a-z-]+=/.test(part) && !part.startsWith('css=')) throw new Error(`the ${part.split('=')[0]} engine is not supported`);
+    scope = selectAll(part.replace(/^css=/, ''), scope, { pseudos: PSEUDOS });
+  }
+  return [...new Set(scope)];
+}
+
+// =============================================================================
+// UPGRADES
+// =============================================================================
+
+/**
+ * The first of role and name, label and test id that finds only `element`
+ * in its document, or null when none does
+ */
+function propose(element, root) {
+  const visible = DomUtils.findAll(node => !isHidden(node), root.children);
+  const unique = matches => visible.filter(matches).length === 1;
+  const contains = (text, part) => text.toLowerCase().includes(part.toLowerCase());
+
+  const role = roleOf(element);
+  const name = role && ROLES.has(role) ? accessibleName(element, root, role) : '';
+  if (name && unique(node => roleOf(node) === role && contains(accessibleName(node, root), name))) {
+    return roleLocator(role, name);
+  }
+
+  const label = isControl(element) ? labelText(element, root) : '';
+  if (label && !label.includes('>>') && unique(node => isControl(node) && contains(labelText(node, root), label))) {
+    return `internal:label=${label}`;
+  }
+
+  // Test ids find hidden elements too
+  const testId = attribute(element, 'data-testid');
+  const sameId = DomUtils.findAll(node => attribute(node, 'data-testid') === testId, root.children);
+  if (testId && sameId.length === 1) return `data-testid=${testId}`;
+  return null;
+}
+
+/**
+ * The HTML documents selectors are checked against. check() resolves a
+ * selector once and returns `{ matches, upgrade, error }`: the documents it
+ * found elements in with their counts, the proposed selector when it finds
+ * one element, and why it could not be evaluated.
+ */
+export class SelectorUpgrade {
+  constructor(documents) {
+    this.documents = documents;
+    this.results = new Map();
+    // Cached migrations only count against the same fixtures
+    this.hash = hashContent(documents.map(doc => `${doc.file}\n${doc.content}`).join('\n'));
+  }
+
+  static async load(repoPath, patterns) {
+    const files = (await glob(patterns, { cwd: repoPath, ignore: ['**/node_modules/**'], nodir: true })).sort();
+    if (files.length === 0) throw new Error(`No HTML files match ${patterns.join(', ')}`);
+    return new SelectorUpgrade(files.map(file => {
+      const content = fs.readFileSync(path.join(repoPath, file), 'utf-8');
+      return { file: file.split(path.sep).join('/'), content, root: parseDocument(content) };
+    }));
+  }
+
+  check(selector) {
+    if (!this.results.has(selector)) this.results.set(selector, this.resolve(selector));
+    return this.results.get(selector);
+  }
+
+  resolve(selector) {
+    let found;
+    try {
+      found = this.documents
+        .map(doc => ({ doc, elements: query(doc.root, selector) }))
+        .filter(({ elements }) => elements.length > 0);
+    } catch (err) {
+      return { matches: [], upgrade: null, error: err.message };
+    }
+
+    // Elements found in several pages (a shared header) need the same proposal in each
+    const proposals = new Set(found.map(({ doc, elements }) => (elements.length === 1 ? propose(elements[0], doc.root) : null)));
+    const [upgrade] = proposals;
+    return {
+      matches: found.map(({ doc, elements }) => ({ file: doc.file, count: elements.length })),
+      upgrade: proposals.size === 1 && upgrade ? upgrade : null,
+      error: null,
+    };
+  }
+}
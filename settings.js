@@ -0,0 +1,184 @@
+/**
+ * Project settings
+ *
+ * Loads migration settings a team commits to its repository, from
+ * bjs2pw.config.{json,js,cjs,mjs} or the "bjs2pw" key of package.json, and
+ * checks them before the migrator uses them.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { REPORT_FORMATS } from './reports.js';
+import { TARGETS } from './spec-files.js';
+
+export const CONFIG_FILES = [
+  'bjs2pw.config.json',
+  'bjs2pw.config.js',
+  'bjs2pw.config.cjs',
+  'bjs2pw.config.mjs',
+];
+
+export const PACKAGE_KEY = 'bjs2pw';
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+const isString = value => typeof value === 'string' && value.length > 0;
+const isTag = value => typeof value === 'string' && /^@\S+$/.test(value);
+
+const CHECKS = {
+  string: value => isString(value) || 'must be a non-empty string',
+  boolean: value => typeof value === 'boolean' || 'must be true or false',
+  globs: value => (Array.isArray(value) && value.every(isString)) || 'must be an array of glob strings',
+  depth: value => (Number.isInteger(value) && value >= 1) || 'must be a whole number of at least 1',
+  percent: value => (typeof value === 'number' && value >= 0 && value <= 100) || 'must be a number from 0 to 100',
+  reportFormat: value => Object.hasOwn(REPORT_FORMATS, value) || `must be one of ${Object.keys(REPORT_FORMATS).join(', ')}`,
+  target: value => TARGETS.includes(value) || `must be one of ${TARGETS.join(', ')}`,
+  url: value => {
+    try {
+      return /^https?:$/.test(new URL(value).protocol) || 'must be an http(s) URL';
+    } catch {
+      return 'must be an http(s) URL';
+    }
+  },
+  tags: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object with "feature" and/or "scenario" tag lists';
+    const unknown = Object.keys(value).filter(key => key !== 'feature' && key !== 'scenario');
+    if (unknown.length > 0) return `has unknown key(s) ${unknown.join(', ')}; use "feature" and "scenario"`;
+    const bad = Object.entries(value).find(([, tags]) => !Array.isArray(tags) || !tags.every(isTag));
+    return !bad || `.${bad[0]} must be an array of tags like "@smoke"`;
+  },
+  plugins: value => (Array.isArray(value) && value.every(p => isString(p) || (p && typeof p === 'object'))) ||
+    'must be an array of module paths or plugin objects',
+  pages: value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must map page names to URLs or paths';
+    const bad = Object.entries(value).find(([, url]) => !isString(url));
+    return !bad || `.${bad[0]} must be a URL or path string`;
+  },
+};
+
+// Setting name → check
+export const SETTINGS_SCHEMA = {
+  output: 'string',
+  featuresDir: 'string',
+  stepsDir: 'string',
+  specsDir: 'string',
+  pagesDir: 'string',
+  supportDir: 'string',
+  fixturesDir: 'string',
+  authDir: 'string',
+  target: 'target',
+  include: 'globs',
+  exclude: 'globs',
+  tags: 'tags',
+  baseURL: 'url',
+  pages: 'pages',
+  plugins: 'plugins',
+  splitDepth: 'depth',
+  outlines: 'boolean',
+  pageObjects: 'boolean',
+  html: 'globs',
+  upgradeSelectors: 'boolean',
+  cache: 'boolean',
+  reportFormat: 'reportFormat',
+  failUnder: 'percent',
+};
+
+/**
+ * Throws one error listing every problem, e.g.
+ * `Invalid settings in bjs2pw.config.json: "include" must be an array of glob strings`
+ */
+export function validateSettings(settings, source) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`Invalid settings in ${source}: expected an object`);
+  }
+
+  const problems = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in SETTINGS_SCHEMA)) {
+      problems.push(`unknown setting "${key}" (known: ${Object.keys(SETTINGS_SCHEMA).join(', ')})`);
+      continue;
+    }
+    const result = CHECKS[SETTINGS_SCHEMA[key]](value);
+    if (result === true) continue;
+    // Problems inside a setting start with the nested key, e.g. ".feature must be …"
+    const [, nested = '', message] = /^(\.\S+)?\s*(.*)$/s.exec(result);
+    problems.push(`"${key}${nested}" ${message}`);
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid settings in ${source}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
+  return settings;
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+async function loadFile(filePath) {
+  if (filePath.endsWith('.json')) {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+      throw new Error(`Could not parse ${filePath}: ${err.message}`);
+    }
+  }
+
+  // import() takes ES modules as well as CommonJS, whose exports become the
+  // default export
+  try {
+    const loaded = await import(pathToFileURL(filePath).href);
+    return 'default' in loaded ? loaded.default : loaded;
+  } catch (err) {
+    throw new Error(`Could not load ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Settings for a repository as `{ settings, source }`: from `explicitPath`
+ * when given, else the first bjs2pw.config.* file, else the "bjs2pw" key
+ * of package.json. `source` is null when there are none.
+ */
+export async function loadSettings(repoPath, explicitPath = null) {
+  if (explicitPath) {
+    const filePath = path.resolve(repoPath, explicitPath);
+    if (!fs.existsSync(filePath)) throw new Error(`Config file not found: ${filePath}`);
+    return { settings: validateSettings(await loadFile(filePath), explicitPath), source: explicitPath };
+  }
+
+  for (const file of CONFIG_FILES) {
+    const filePath = path.join(repoPath, file);
+    if (fs.existsSync(filePath)) {
+      return { settings: validateSettings(await loadFile(filePath), file), source: file };
+    }
+  }
+
+  const pkgPath = path.join(repoPath, 'package.json');
+  if (fs.existsSync(pkgPath)) {
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf-8'));
+    if (pkg[PACKAGE_KEY] !== undefined) {
+      const source = `package.json "${PACKAGE_KEY}"`;
+      return { settings: validateSettings(pkg[PACKAGE_KEY], source), source };
+    }
+  }
+
+  return { settings: {}, source: null };
+}
+
+// `output` stands for the generated directories unless they are set
+export function expandOutput(settings) {
+  if (!settings.output) return settings;
+  return {
+    ...settings,
+    featuresDir: settings.featuresDir ?? `${settings.output}/features`,
+    stepsDir: settings.stepsDir ?? `${settings.output}/steps`,
+    specsDir: settings.specsDir ?? `${settings.output}/specs`,
+    pagesDir: settings.pagesDir ?? `${settings.output}/pages`,
+    supportDir: settings.supportDir ?? `${settings.output}/support`,
+    fixturesDir: settings.fixturesDir ?? `${settings.output}/fixtures`,
+    authDir: settings.authDir ?? `${settings.output}/auth`,
+  };
+}
@@ -0,0 +1,139 @@
+/**
+ * Playwright Test specs
+ *
+ * The `playwright-test` target: the same translated steps, written as
+ * test.describe()/test() blocks that call Playwright directly instead of as
+ * Gherkin scenarios and step definitions.
+ */
+
+import { jsString } from './step-library.js';
+
+export const TARGETS = ['playwright-bdd', 'playwright-test', 'both'];
+
+export const generatesFeatures = target => target !== 'playwright-test';
+export const generatesSpecs = target => target !== 'playwright-bdd';
+
+// World properties the step library uses, each a fixture in a spec
+const FIXTURES = ['page', 'context', 'requests', 'dialogs', 'dialogAnswers'];
+const WORLD = new RegExp(`\\bthis\\.(${FIXTURES.join('|')})\\b!?`, 'g');
+
+// describe.skip(), it.only(), QUnit.todo() and friends
+const MODIFIERS = { '@skip': 'skip', '@only': 'only', '@todo': 'fixme' };
+
+// =============================================================================
+// SPEC FILES
+// =============================================================================
+
+/**
+ * A spec file for `blocks`, the describe tree of one source file:
+ *
+ *   { type: 'describe', name, tags, comment, blocks }
+ *   { type: 'test', name, tags, comment, steps }
+ *   { type: 'beforeEach' | 'afterEach', comment, steps }
+ *
+ * where each step is `{ comment, body }`, a step definition body written
+ * against the Cucumber World. `fixtures` is the import path of fixtures.ts
+ * and `imports` are further `{ from, names }` the steps use.
+ */
+export function renderSpecFile({ file, fixtures, imports = [], blocks }) {
+  return `// Migrated from Browser JS test: ${file}
+import { test, expect } from ${jsString(fixtures)};
+${imports.map(({ from, names }) => `import { ${names.join(', ')} } from ${jsString(from)};\n`).join('')}
+${blocks.map(block => renderBlock(block, '')).join('\n')}`;
+}
+
+function renderBlock(block, indent) {
+  const comment = block.comment ? `${indent}// ${block.comment}\n` : '';
+  if (block.type === 'describe') {
+    const inner = block.blocks.map(child => renderBlock(child, `${indent}  `)).join('\n');
+    return `${comment}${indent}test.describe${modifier(block.tags)}(${jsString(block.name)}, () => {
+${inner}${indent}});
+`;
+  }
+
+  const { code, fixtures } = renderSteps(block.steps, `${indent}  `);
+  const params = fixtures.length > 0 ? `{ ${fixtures.join(', ')} }` : '';
+  const call = block.type === 'test'
+    ? `test${modifier(block.tags)}(${jsString(block.name)}, `
+    : `test.${block.type}(`;
+  return `${comment}${indent}${call}async (${params}) => {
+${code}${indent}});
+`;
+}
+
+function modifier(tags = []) {
+  const tag = tags.find(t => t in MODIFIERS);
+  return tag ? `.${MODIFIERS[tag]}` : '';
+}
+
+// Step bodies one after the other, each below the source lines it came from
+function renderSteps(steps, indent) {
+  const used = new Set();
+  let code = '';
+  let previous = null;
+  for (const { comment, body } of steps) {
+    if (comment && comment !== previous) code += `${indent}// ${comment}\n`;
+    previous = comment;
+    for (const [, name] of body.matchAll(WORLD)) used.add(name);
+    for (const line of specCode(body).split('\n')) code += line ? `${indent}${line}\n` : '\n';
+  }
+  return { code, fixtures: FIXTURES.filter(name => used.has(name)) };
+}
+
+/**
+ * A step body as spec code: World properties become fixtures and a pending
+ * step marks the test as fixme. A body declaring variables gets a block of
+ * its own, so the steps of one test cannot clash.
+ */
+export function specCode(body) {
+  const code = body
+    .replace(WORLD, '$1')
+    .replace(/^return 'pending';$/m, 'test.fixme();');
+  if (!/^(const|let) /m.test(code)) return code;
+  return `{\n${code.split('\n').map(line => (line ? `  ${line}` : line)).join('\n')}\n}`;
+}
+
+// =============================================================================
+// SUPPORT & CONFIG
+// =============================================================================
+
+// The recorders hooks.ts sets up for scenarios, as fixtures
+export const SPEC_FIXTURES = `import { test as base, expect, Request } from '@playwright/test';
+
+export interface DialogRecord {
+  type: string;
+  message: string;
+}
+
+interface MigrationFixtures {
+  // Every request the page made, for request assertions
+  requests: Request[];
+  // Every dialog the page opened, for dialog assertions
+  dialogs: DialogRecord[];
+  // How to answer dialogs, by type: accept, dismiss, or a prompt's text
+  dialogAnswers: Record<string, boolean | string>;
+}
+
+// Recorders are automatic, so they listen from the first line of every test
+export const test = base.extend<MigrationFixtures>({
+  requests: [async ({ page }, use) => {
+    const requests: Request[] = [];
+    page.on('request', request => requests.push(request));
+    await use(requests);
+  }, { auto: true }],
+  dialogAnswers: async ({}, use) => {
+    await use({});
+  },
+  dialogs: [async ({ page, dialogAnswers }, use) => {
+    const dialogs: DialogRecord[] = [];
+    page.on('dialog', dialog => {
+      dialogs.push({ type: dialog.type(), message: dialog.message() });
+      const answer = dialogAnswers[dialog.type()] ?? true;
+      return answer === false ? dialog.dismiss() : dialog.accept(typeof answer === 'string' ? answer : undefined);
+    });
+    await use(dialogs);
+  }, { auto: true }],
+});
+
+export { expect };
+`;
@@ -0,0 +1,233 @@
+/**
+ * Existing step definition files
+ *
+ * Reads the Given/When/Then definitions already in the steps directory so the
+ * migrator appends only the library steps that nothing defines yet, and can
+ * report generated steps that are ambiguous or undefined.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {
+  CucumberExpression,
+  ParameterType,
+  ParameterTypeRegistry,
+  RegularExpression,
+} from '@cucumber/cucumber-expressions';
+import { applyEdits, calleePath, parseSource, stringValue, unwrap } from './ast.js';
+import { findStepDefinition, renderStepSection, stepHeader, worldImport } from './step-library.js';
+
+const DEFINE_CALLEES = new Set(['Given', 'When', 'Then', 'Step', 'defineStep']);
+
+export const MIGRATED_SECTION = 'ADDED BY MIGRATION - steps used by migrated features';
+
+// =============================================================================
+// READING
+// =============================================================================
+
+function walk(node, visit) {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key.endsWith('Comments')) continue;
+    const value = node[key];
+    if (Array.isArray(value)) value.forEach(v => walk(v, visit));
+    else if (value && typeof value.type === 'string') walk(value, visit);
+  }
+}
+
+function regExpOf(node) {
+  node = unwrap(node);
+  return node && node.type === 'RegExpLiteral' ? new RegExp(node.pattern, node.flags) : null;
+}
+
+// defineParameterType({ name: 'color', regexp: /red|blue/ })
+function parameterTypeOf(call) {
+  const options = unwrap(call.arguments[0]);
+  if (!options || options.type !== 'ObjectExpression') return null;
+  const field = key => options.properties.find(p =>
+    p.type === 'ObjectProperty' && !p.computed && (p.key.name || p.key.value) === key);
+
+  const name = field('name') && stringValue(field('name').value);
+  const regexp = field('regexp') && unwrap(field('regexp').value);
+  if (!name || !regexp) return null;
+  const patterns = regexp.type === 'ArrayExpression' ? regexp.elements.map(regExpOf) : [regExpOf(regexp)];
+  if (patterns.some(p => !p)) return null;
+  return new ParameterType(name, patterns, null, s => s, true, false);
+}
+
+/**
+ * Step definitions in `files`, as `{ file, keyword, source, expression }`
+ * where `expression` is a compiled Cucumber or regular expression. Files or
+ * definitions that cannot be read are listed in `warnings`.
+ */
+export function readStepDefinitions(files) {
+  const registry = new ParameterTypeRegistry();
+  const found = [];
+  const warnings = [];
+
+  for (const file of files) {
+    let ast;
+    try {
+      ast = parseSource(fs.readFileSync(file, 'utf-8'), file);
+    } catch (err) {
+      warnings.push(`Could not read step definitions in ${file}: ${err.message}`);
+      continue;
+    }
+
+    walk(ast.program, node => {
+      if (node.type !== 'CallExpression') return;
+      const callee = calleePath(node);
+
+      if (callee === 'defineParameterType') {
+        const type = parameterTypeOf(node);
+        if (type && !registry.lookupByTypeName(type.name)) registry.defineParameterType(type);
+        return;
+      }
+
+      if (!callee || !DEFINE_CALLEES.has(callee.split('.').pop())) return;
+      const pattern = node.arguments[0];
+      const source = stringValue(pattern);
+      const regexp = source === null ? regExpOf(pattern) : null;
+      if (source !== null || regexp) {
+        found.push({ file, keyword: callee.split('.').pop(), source: source ?? regexp, line: node.loc.start.line });
+      }
+    });
+  }
+
+  // Compile once every parameter type is known
+  const definitions = [];
+  for (const definition of found) {
+    try {
+      const expression = typeof definition.source === 'string'
+        ? new CucumberExpression(definition.source, registry)
+        : new RegularExpression(definition.source, registry);
+      definitions.push({ ...definition, expression });
+    } catch (err) {
+      warnings.push(`Skipping step "${definition.source}" in ${definition.file}: ${err.message}`);
+    }
+  }
+
+  return { definitions, warnings };
+}
+
+export function matchingDefinitions(definitions, text) {
+  return definitions.filter(definition => definition.expression.match(text));
+}
+
+export function describeDefinition(definition, root = '') {
+  const source = typeof definition.source === 'string' ? `'${definition.source}'` : String(definition.source);
+  const file = definition.file ? path.relative(root, definition.file) : 'step library';
+  return definition.line ? `${source} (${file}:${definition.line})` : `${source} (${file})`;
+}
+
+// =============================================================================
+// MERGING
+// =============================================================================
+
+const libraryRegistry = new ParameterTypeRegistry();
+
+// Library steps in the same shape as definitions read from files
+export function libraryDefinitions(steps) {
+  return steps.map(step => ({
+    keyword: step.keyword,
+    source: step.expression,
+    expression: new CucumberExpression(step.expression, libraryRegistry),
+  }));
+}
+
+/**
+ * Work out which library steps the generated step texts need that no
+ * existing definition covers. Returns `{ missing, ambiguous, undefined }`:
+ * library steps to append, texts matched by more than one definition (once
+ * the missing ones are added) with their matches, and texts nothing defines.
+ */
+export function planStepMerge(texts, definitions) {
+  const missing = [];
+  const undefinedSteps = [];
+
+  for (const text of texts) {
+    if (matchingDefinitions(definitions, text).length > 0) continue;
+    const found = findStepDefinition(text);
+    if (!found) {
+      undefinedSteps.push(text);
+    } else if (!missing.includes(found.step)) {
+      missing.push(found.step);
+    }
+  }
+
+  const all = [...definitions, ...libraryDefinitions(missing)];
+  const ambiguous = texts
+    .map(text => ({ text, matches: matchingDefinitions(all, text) }))
+    .filter(({ matches }) => matches.length > 1);
+
+  return { missing, ambiguous, undefined: undefinedSteps };
+}
+
+/**
+ * Append step definitions to a steps file, adding any imports they need.
+ * `content` is the current file, or null to start a new one; `imports` are
+ * further `{ from, names }` the definitions use, and `world` is where the
+ * World is imported from.
+ */
+export function appendStepDefinitions(
+  content, steps, filePath = 'common.steps.ts', title = MIGRATED_SECTION, imports = [], world = worldImport(),
+) {
+  const section = renderStepSection(title, steps);
+  if (content === null) {
+    const header = imports.length > 0 ? ensureImports(stepHeader(world), filePath, imports) : stepHeader(world);
+    return `${header}\n${section}`;
+  }
+
+  const keywords = [...new Set(steps.map(step => step.keyword))];
+  const needs = [
+    { from: '@cucumber/cucumber', names: keywords },
+    { from: '@playwright/test', names: steps.some(step => /\bexpect\(/.test(step.body)) ? ['expect'] : [] },
+    { from: world, names: ['ICustomWorld'] },
+    ...imports,
+  ];
+  return `${ensureImports(content, filePath, needs).trimEnd()}\n\n${section}`;
+}
+
+// Add named imports unless the file already declares those names, e.g.
+// through `const { Given } = createBdd()`
+function ensureImports(content, filePath, needs) {
+  const ast = parseSource(content, filePath);
+  const declared = new Set();
+  const imports = [];
+
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ImportDeclaration') {
+      imports.push(statement);
+      statement.specifiers.forEach(s => declared.add(s.local.name));
+    } else if (statement.type === 'VariableDeclaration') {
+      walk(statement, node => {
+        if (node.type === 'Identifier') declared.add(node.name);
+      });
+    }
+  }
+
+  const edits = [];
+  const lines = [];
+  for (const { from, names } of needs) {
+    const wanted = names.filter(name => !declared.has(name));
+    if (wanted.length === 0) continue;
+
+    const existing = imports.find(i => i.source.value === from &&
+      i.specifiers.length > 0 && i.specifiers.every(s => s.type === 'ImportSpecifier'));
+    if (existing) {
+      const last = existing.specifiers[existing.specifiers.length - 1];
+      edits.push({ at: last.end, text: `, ${wanted.join(', ')}` });
+    } else {
+      lines.push(`import { ${wanted.join(', ')} } from '${from}';`);
+    }
+  }
+
+  if (lines.length > 0) {
+    const at = imports.length > 0 ? imports[imports.length - 1].end : 0;
+    const text = at > 0 ? `\n${lines.join('\n')}` : `${lines.join('\n')}\n`;
+    edits.push({ at, text });
+  }
+
+  return applyEdits(content, edits);
+}
@@ -0,0 +1,215 @@
+/**
+ * Storage & cookies
+ *
+ * Recognizes writes to localStorage, sessionStorage and document.cookie.
+ * Writes become Given steps that also apply before the first navigation;
+ * writes that seed an auth token are grouped into one "I am logged in as"
+ * step backed by a Playwright storageState file.
+ */
+
+import { calleePath, memberPath, propertyName, quote, unwrap } from './ast.js';
+import { dataOf } from './network.js';
+
+export const STORAGE_AREAS = {
+  'localStorage': 'localStorage',
+  'window.localStorage': 'localStorage',
+  'sessionStorage': 'sessionStorage',
+  'window.sessionStorage': 'sessionStorage',
+};
+
+export const COOKIE_PATHS = new Set(['document.cookie', 'window.document.cookie']);
+
+// Storage members that are no stored item
+export const STORAGE_MEMBERS = new Set(['length', 'key', 'getItem', 'setItem', 'removeItem', 'clear']);
+
+// Item and cookie names that hold a login
+const AUTH_NAME = /token|auth|jwt|session|sid|bearer|credential|logged/i;
+
+// Values naming the user a login is for
+const USER_KEYS = ['username', 'userName', 'login', 'email', 'name'];
+const USER_NAME = /^(user(name)?|current_?user|login|email)$/i;
+
+// =============================================================================
+// WRITES
+// =============================================================================
+
+/**
+ * The write a statement's expression makes, as `{ area, name, value }`,
+ * `{ area, name, remove: true }` or `{ area, clear: true }`, or null. `area`
+ * is 'localStorage', 'sessionStorage' or 'cookie'.
+ */
+export function storageWrite(translator, expr) {
+  expr = unwrap(expr);
+  if (!expr) return null;
+
+  if (expr.type === 'AssignmentExpression' && expr.operator === '=') {
+    const left = unwrap(expr.left);
+    // document.cookie = 'token=abc; path=/'
+    if (COOKIE_PATHS.has(memberPath(left))) {
+      const cookie = translator.valueOf(expr.right);
+      return cookie === null ? null : parseCookie(cookie);
+    }
+    // localStorage.token = 'abc'
+    const area = left.type === 'MemberExpression' ? STORAGE_AREAS[memberPath(left.object)] : null;
+    const name = area ? propertyName(left) : null;
+    if (!name || STORAGE_MEMBERS.has(name)) return null;
+    const value = storedValue(translator, expr.right);
+    return value === null ? null : { area, name, value };
+  }
+
+  if (expr.type !== 'CallExpression') return null;
+  const callee = unwrap(expr.callee);
+  const area = callee.type === 'MemberExpression' ? STORAGE_AREAS[memberPath(callee.object)] : null;
+  if (!area) return null;
+
+  const method = propertyName(callee);
+  if (method === 'clear') return { area, clear: true };
+  const name = translator.valueOf(expr.arguments[0]);
+  if (name === null) return null;
+  if (method === 'removeItem') return { area, name, remove: true };
+  if (method !== 'setItem') return null;
+  const value = storedValue(translator, expr.arguments[1]);
+  return value === null ? null : { area, name, value };
+}
+
+// A string, or JSON.stringify() of static data
+function storedValue(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (calleePath(node) === 'JSON.stringify') {
+    const data = dataOf(translator, node.arguments[0]);
+    return data ? JSON.stringify(data.value) : null;
+  }
+  return translator.valueOf(node);
+}
+
+// 'token=abc; path=/' / 'token=; expires=Thu, 01 Jan 1970 00:00:00 GMT'
+function parseCookie(cookie) {
+  const [pair, ...attributes] = cookie.split(';').map(part => part.trim());
+  const at = pair.indexOf('=');
+  if (at <= 0) return null;
+  const name = pair.slice(0, at).trim();
+  const expired = attributes.some(attribute => {
+    const [key, value = ''] = attribute.split('=');
+    if (/^max-age$/i.test(key.trim())) return Number(value) <= 0;
+    return /^expires$/i.test(key.trim()) && Date.parse(value) < Date.now();
+  });
+  return expired ? { area: 'cookie', name, remove: true } : { area: 'cookie', name, value: pair.slice(at + 1) };
+}
+
+// =============================================================================
+// STEPS
+// =============================================================================
+
+export function storageStep({ area, name, value, remove, clear }) {
+  const subject = area === 'cookie' ? `the cookie ${quote(name)}` : `${area} ${quote(name)}`;
+  if (clear) return { keyword: 'When', text: `I clear ${area}` };
+  if (remove) return { keyword: 'When', text: `I remove ${subject}` };
+  return { keyword: 'Given', text: `${subject} is ${quote(value)}` };
+}
+
+// The step for a cookie assertion: document.cookie contains 'token=abc'
+export function cookieCheckStep(cookie, negated) {
+  const at = cookie.indexOf('=');
+  const name = (at === -1 ? cookie : cookie.slice(0, at)).trim();
+  const value = at === -1 ? '' : cookie.slice(at + 1).replace(/;.*$/, '');
+  if (!name || /[\s;]/.test(name)) return null;
+  if (value) return negated ? null : `the cookie ${quote(name)} should be ${quote(value)}`;
+  return `the cookie ${quote(name)} should ${negated ? 'not ' : ''}be set`;
+}
+
+// =============================================================================
+// LOGINS
+// =============================================================================
+
+/**
+ * Replace each run of storage steps that seeds an auth token with one
+ * `Given I am logged in as "<user>"` step. Its state is added to `sessions`,
+ * the names taken so far (file name → storageState JSON), as a cookie and
+ * localStorage state for `baseURL`; equal states share a file, so the step
+ * is reusable.
+ */
+export function seedLogins(steps, sessions, baseURL) {
+  const result = [];
+  for (let i = 0; i < steps.length; i++) {
+    let end = i;
+    while (end < steps.length && isSeed(steps[end])) end++;
+    const run = steps.slice(i, end);
+    if (!run.some(step => AUTH_NAME.test(step.storage.name))) {
+      result.push(steps[i]);
+      continue;
+    }
+
+    const { user, session } = loginState(run, sessions, baseURL);
+    const last = run[run.length - 1];
+    result.push({
+      keyword: 'Given',
+      text: `I am logged in as ${quote(user)}`,
+      node: run[0].node,
+      last: last.last || last.node,
+      session,
+    });
+    i = end - 1;
+  }
+  return result;
+}
+
+// Items and cookies a storageState file can hold; sessionStorage is not one
+function isSeed(step) {
+  return Boolean(step.storage) && step.storage.value !== undefined && step.storage.area !== 'sessionStorage';
+}
+
+function loginState(run, sessions, baseURL) {
+  const { origin, hostname } = new URL(baseURL);
+  const items = run.map(step => step.storage);
+  const state = {
+    cookies: items.filter(item => item.area === 'cookie').map(({ name, value }) => ({
+      name,
+      value,
+      domain: hostname,
+      path: '/',
+      expires: -1,
+      httpOnly: false,
+      secure: false,
+      sameSite: 'Lax',
+    })),
+    origins: [{
+      origin,
+      localStorage: items.filter(item => item.area === 'localStorage').map(({ name, value }) => ({ name, value })),
+    }],
+  };
+  const content = JSON.stringify(state, null, 2) + '\n';
+
+  const base = userOf(items);
+  let user = base;
+  for (let n = 2; sessions.has(sessionFile(user)) && sessions.get(sessionFile(user)) !== content; n++) {
+    user = `${base} ${n}`;
+  }
+  const name = sessionFile(user);
+  sessions.set(name, content);
+  return { user, session: { name, content } };
+}
+
+// The user named by a seeded user object or name, or just "user"
+function userOf(items) {
+  for (const { name, value } of items) {
+    let data = null;
+    try {
+      data = JSON.parse(value);
+    } catch {
+      // A plain string
+    }
+    if (data && typeof data === 'object') {
+      const key = USER_KEYS.find(k => typeof data[k] === 'string' && data[k]);
+      if (key) return data[key];
+    } else if (USER_NAME.test(name) && value) {
+      return value;
+    }
+  }
+  return 'user';
+}
+
+// The file a login's state is saved in, as the step definition finds it
+export function sessionFile(user) {
+  return `${user.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'user'}.json`;
+}
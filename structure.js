@@ -0,0 +1,367 @@
+/**
+ * Test structure extraction
+ *
+ * Builds the describe/it tree of a test file, with lifecycle hooks and
+ * skip/only markers, and maps it onto Gherkin Features, Rules and Scenarios.
+ * Source adapters (see adapters.js) name the suite, test and hook calls of
+ * frameworks that use other words, such as QUnit.module/QUnit.test.
+ */
+
+import { calleePath, isFunction, propertyName, stringValue, unwrap } from './ast.js';
+import { eachOutline, eachTitle, loopOutline, outlineTitle } from './outlines.js';
+
+const SUITE_CALLEES = new Set(['describe', 'context', 'suite']);
+const TEST_CALLEES = new Set(['it', 'test', 'specify']);
+
+const HOOK_CALLEES = {
+  before: 'before',
+  beforeAll: 'before',
+  beforeEach: 'beforeEach',
+  after: 'after',
+  afterAll: 'after',
+  afterEach: 'afterEach',
+};
+
+const MODIFIER_TAGS = {
+  skip: '@skip',
+  only: '@only',
+  todo: '@todo',
+};
+
+// describe.skip → { kind: 'suite', tags: ['@skip'] }, xit → { kind: 'test', tags: ['@skip'] }
+function classifyCallee(name) {
+  if (!name) return null;
+
+  const prefixed = /^([xf])(describe|context|it|test|specify)$/.exec(name);
+  const [base, modifier] = prefixed
+    ? [prefixed[2], prefixed[1] === 'x' ? 'skip' : 'only']
+    : name.split('.');
+
+  if (modifier && !(modifier in MODIFIER_TAGS)) return null;
+  const tags = modifier ? [MODIFIER_TAGS[modifier]] : [];
+
+  if (SUITE_CALLEES.has(base)) return { kind: 'suite', tags };
+  if (TEST_CALLEES.has(base)) return { kind: 'test', tags };
+  if (!modifier && base in HOOK_CALLEES) return { kind: 'hook', hook: HOOK_CALLEES[base], tags };
+  return null;
+}
+
+// QUnit.module('name', { beforeEach() {} }): hooks given as an object
+function objectHooks(call, suite) {
+  for (const arg of call.arguments) {
+    if (arg.type !== 'ObjectExpression') continue;
+    for (const prop of arg.properties) {
+      const name = prop.key && (prop.key.name || prop.key.value);
+      const callback = prop.type === 'ObjectMethod' ? prop : isFunction(prop.value) ? prop.value : null;
+      if (callback && name in HOOK_CALLEES) suite.hooks[HOOK_CALLEES[name]].push(callback);
+    }
+  }
+}
+
+function createSuite(name, tags, parent, node) {
+  return {
+    name,
+    tags,
+    parent,
+    node,
+    hooks: { before: [], beforeEach: [], after: [], afterEach: [] },
+    tests: [],
+    suites: [],
+  };
+}
+
+/**
+ * Build the describe/it tree of a file. Tests declared in a loop over an
+ * array literal (`rows.forEach(row => it(...))`, `for (const row of rows)`,
+ * `it.each(rows)(...)`) carry an `outline` describing the data table.
+ * An `adapter` classifies calls first; with its `flatSuites`, a suite call
+ * without a callback holds the tests that follow it.
+ */
+export function collectSuites(ast, content, adapter = null) {
+  const root = createSuite(null, [], null, ast.program);
+  const arrays = arrayConstants(ast);
+  const classify = name => (adapter && adapter.classify && adapter.classify(name)) || classifyCallee(name);
+
+  const visit = (node, suite, outline) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    const call = unwrap(node.type === 'ExpressionStatement' ? node.expression : node);
+    const isCall = call && call.type === 'CallExpression';
+    const each = isCall ? eachCall(call) : null;
+    const kind = each ? each.kind : isCall ? classify(calleePath(call)) : null;
+    const callback = kind ? call.arguments.find(isFunction) : null;
+
+    // Loops nested in a data-driven test keep the outer table
+    const rows = each && callback && !outline ? eachOutline(each.table, callback) : null;
+    const scope = outline || rows;
+
+    if (callback && kind.kind === 'suite') {
+      const child = createSuite(titleOf(call.arguments[0], content, scope, Boolean(rows)), kind.tags, suite, call);
+      objectHooks(call, child);
+      suite.suites.push(child);
+      visitBody(callback, child, scope);
+      return;
+    }
+
+    if (callback && kind.kind === 'test') {
+      suite.tests.push({
+        name: titleOf(call.arguments[0], content, scope, Boolean(rows)),
+        tags: kind.tags,
+        body: callback,
+        node: call,
+        suite,
+        outline: scope || null,
+      });
+      return;
+    }
+
+    if (callback && kind.kind === 'hook') {
+      suite.hooks[kind.hook].push(callback);
+      return;
+    }
+
+    const loop = outline ? null : dataLoop(call || node, arrays);
+    if (loop) {
+      visit(loop.body, suite, loop.outline);
+      return;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key.endsWith('Comments')) continue;
+      const value = node[key];
+      if (Array.isArray(value)) {
+        for (const v of value) visit(v, suite, outline);
+      } else if (value && typeof value.type === 'string') {
+        visit(value, suite, outline);
+      }
+    }
+  };
+
+  const visitBody = (fn, suite, outline) => {
+    const statements = fn.body.type === 'BlockStatement' ? fn.body.body : [fn.body];
+    for (const statement of statements) visit(statement, suite, outline);
+  };
+
+  let current = root;
+  for (const statement of ast.program.body) {
+    const call = statement.type === 'ExpressionStatement' ? unwrap(statement.expression) : null;
+    const kind = call && call.type === 'CallExpression' && adapter && adapter.flatSuites ? classify(calleePath(call)) : null;
+    if (kind && kind.kind === 'suite' && !call.arguments.some(isFunction)) {
+      current = createSuite(titleOf(call.arguments[0], content), kind.tags, root, call);
+      objectHooks(call, current);
+      root.suites.push(current);
+      continue;
+    }
+    visit(statement, current, null);
+  }
+
+  // If no test structure found, treat whole file as one test
+  if (allTests(root).length === 0) {
+    root.name = 'Browser JS Tests';
+    root.tests.push({ name: 'Main test', tags: [], body: ast.program, node: ast.program, suite: root, outline: null });
+  }
+
+  return root;
+}
+
+// it.each(rows)('title', fn) / describe.each(rows)(...)
+function eachCall(call) {
+  const callee = unwrap(call.callee);
+  if (callee.type !== 'CallExpression') return null;
+  const path = calleePath(callee);
+  if (!path || !path.endsWith('.each')) return null;
+  const kind = classifyCallee(path.slice(0, -'.each'.length));
+  return kind && kind.kind !== 'hook' ? { kind, table: callee.arguments[0] } : null;
+}
+
+// rows.forEach(row => { ... }) / for (const row of rows) { ... } over an
+// array literal, possibly declared in a const
+function dataLoop(node, arrays) {
+  const resolve = array => {
+    array = unwrap(array);
+    return array && array.type === 'Identifier' ? arrays.get(array.name) : array;
+  };
+
+  if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' &&
+      propertyName(node.callee) === 'forEach' && isFunction(node.arguments[0])) {
+    const callback = node.arguments[0];
+    const outline = loopOutline(resolve(node.callee.object), callback.params[0]);
+    return outline && { outline, body: callback.body };
+  }
+
+  if (node.type === 'ForOfStatement' && node.left.type === 'VariableDeclaration' &&
+      node.left.declarations.length === 1) {
+    const outline = loopOutline(resolve(node.right), node.left.declarations[0].id);
+    return outline && { outline, body: node.body };
+  }
+
+  return null;
+}
+
+// const users = [...] anywhere in the file, by name
+function arrayConstants(ast) {
+  const arrays = new Map();
+  const walk = node => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier' &&
+        node.init && unwrap(node.init).type === 'ArrayExpression') {
+      arrays.set(node.id.name, unwrap(node.init));
+    }
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key.endsWith('Comments')) continue;
+      const value = node[key];
+      if (Array.isArray(value)) value.forEach(walk);
+      else if (value && typeof value.type === 'string') walk(value);
+    }
+  };
+  walk(ast.program);
+  return arrays;
+}
+
+export function allTests(suite) {
+  return [...suite.tests, ...suite.suites.flatMap(allTests)];
+}
+
+// Flat list of test cases with the setup hooks that run before each one
+export function collectTestCases(root) {
+  return allTests(root).map(test => ({
+    describe: test.suite.name || 'Tests',
+    name: test.name,
+    tags: inheritedTags(test),
+    body: test.body,
+    outline: test.outline,
+    beforeEach: ancestry(test.suite).flatMap(setupHooks),
+  }));
+}
+
+function ancestry(suite) {
+  const chain = [];
+  for (let s = suite; s; s = s.parent) chain.unshift(s);
+  return chain;
+}
+
+function inheritedTags(test) {
+  return [...new Set([...ancestry(test.suite).flatMap(s => s.tags), ...test.tags])];
+}
+
+// before/beforeEach callbacks, in the order they run
+export function setupHooks(suite) {
+  return [...suite.hooks.before, ...suite.hooks.beforeEach];
+}
+
+export function teardownHooks(suite) {
+  return [
+    ...suite.hooks.afterEach.map(callback => ({ kind: 'afterEach', callback })),
+    ...suite.hooks.after.map(callback => ({ kind: 'after', callback })),
+  ];
+}
+
+function suiteTags(suite) {
+  return suite.hookTag ? [...suite.tags, suite.hookTag] : suite.tags;
+}
+
+function suitePath(suites) {
+  return suites.map(s => s.name).filter(Boolean);
+}
+
+// =============================================================================
+// GHERKIN LAYOUT
+// =============================================================================
+
+/**
+ * Map a suite tree onto Gherkin. The file (or its only describe block) is the
+ * Feature, its child describes become Rules, and describes nested below a
+ * Rule are flattened into it until `splitDepth`, from where each one is
+ * written as a separate feature. Suites with after/afterEach hooks get a tag
+ * so generated After hooks only run for their scenarios.
+ */
+export function planFeatures(root, { tagPrefix, splitDepth = 2 }) {
+  const features = [];
+  const afterHooks = [];
+
+  const tagSuites = (suite, names) => {
+    const hooks = teardownHooks(suite);
+    if (hooks.length > 0) {
+      suite.hookTag = '@' + [tagPrefix, ...names].map(slugify).join('--');
+      afterHooks.push({ tag: suite.hookTag, name: names.join(' › ') || null, hooks });
+    }
+    for (const child of suite.suites) tagSuites(child, [...names, child.name]);
+  };
+
+  const scenario = (test, between) => ({
+    name: [...suitePath(between), test.name].join(' › '),
+    tags: [...between.flatMap(suiteTags), ...test.tags],
+    setup: between.flatMap(setupHooks),
+    body: test.body,
+    node: test.node,
+    outline: test.outline,
+  });
+
+  const addFeature = (suite, ancestors) => {
+    const chain = [...ancestors, suite];
+    const feature = {
+      name: suitePath(chain).join(' › ') || null,
+      path: suitePath(chain),
+      node: suite.node,
+      tags: [...new Set(chain.flatMap(suiteTags))],
+      background: chain.flatMap(setupHooks),
+      scenarios: suite.tests.map(test => scenario(test, [])),
+      rules: [],
+    };
+    features.push(feature);
+
+    for (const child of suite.suites) {
+      if (splitDepth <= 1) {
+        addFeature(child, chain);
+        continue;
+      }
+      const rule = {
+        suite: child,
+        name: child.name,
+        tags: suiteTags(child),
+        background: setupHooks(child),
+        scenarios: [],
+      };
+      feature.rules.push(rule);
+      flatten(rule, child, [], 2, chain);
+    }
+  };
+
+  const flatten = (rule, suite, between, depth, ancestors) => {
+    rule.scenarios.push(...suite.tests.map(test => scenario(test, between)));
+    for (const child of suite.suites) {
+      if (depth >= splitDepth) {
+        addFeature(child, [...ancestors, rule.suite, ...between]);
+      } else {
+        flatten(rule, child, [...between, child], depth + 1, ancestors);
+      }
+    }
+  };
+
+  // A file holding a single describe block becomes a Feature named after it
+  const single = root.tests.length === 0 && root.suites.length === 1 &&
+    setupHooks(root).length === 0 && teardownHooks(root).length === 0;
+  const featureRoot = single ? root.suites[0] : root;
+
+  tagSuites(featureRoot, featureRoot === root ? [] : [featureRoot.name]);
+  addFeature(featureRoot, []);
+
+  return { features, afterHooks };
+}
+
+export function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'suite';
+}
+
+function titleOf(node, content, outline = null, each = false) {
+  if (outline) {
+    const title = outlineTitle(node, outline);
+    if (title !== null) return each ? eachTitle(title, outline) : title;
+  }
+  const title = stringValue(node);
+  if (title !== null) return title;
+  return node ? content.slice(node.start, node.end) : 'Untitled';
+}
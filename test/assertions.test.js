@@ -0,0 +1,27 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { STEP_SECTIONS } from '../step-library.js';
+import { completeScenario } from '../translator.js';
+
+describe('placeholder steps', () => {
+  it('are reported as pending', () => {
+    const placeholders = STEP_SECTIONS.flatMap(section => section.steps).filter(step => step.placeholder);
+    assert.ok(placeholders.length > 0);
+    for (const step of placeholders) assert.match(step.body, /return 'pending';/, step.expression);
+  });
+});
+
+describe('completeScenario', () => {
+  it('opens the page before a scenario without navigation', () => {
+    const steps = completeScenario([{ keyword: 'When', text: 'I click on "#save"' }]);
+    assert.deepEqual(steps.map(step => step.text), ['I am on the application page', 'I click on "#save"']);
+  });
+
+  it('adds no filler action to a scenario of assertions', () => {
+    const steps = completeScenario([{ keyword: 'Then', text: 'I should see "Welcome"' }]);
+    assert.deepEqual(steps.map(step => `${step.keyword} ${step.text}`), [
+      'Given I am on the application page',
+      'Then I should see "Welcome"',
+    ]);
+  });
+});
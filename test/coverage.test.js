@@ -0,0 +1,170 @@
+import assert from 'assert/strict';
+import { before, describe, it } from 'node:test';
+import { parseSource } from '../ast.js';
+import { combineCoverage, findUnsupported, testCoverage } from '../coverage.js';
+import { createProject, readFile, removeProject, run } from './helpers.js';
+
+// A step translated from statement `line`
+const step = (text, line) => ({ keyword: 'Then', text, node: { line } });
+
+describe('testCoverage', () => {
+  it('counts statements translated to real steps and to placeholders', () => {
+    const coverage = testCoverage([
+      step('I click on "#save"', 1),
+      step('I should see "Saved"', 2),
+      step('the assertion should pass', 3),
+      { keyword: 'When', text: 'I run legacy block "save 1"', node: { line: 4 }, legacy: { statements: 2 } },
+    ], []);
+    assert.equal(coverage.translated, 2);
+    assert.equal(coverage.placeholders, 3);
+    assert.equal(coverage.coverage, 40);
+    assert.equal(coverage.level, 'low');
+  });
+
+  it('counts a statement translated to several steps once', () => {
+    const node = { line: 1 };
+    const coverage = testCoverage([{ text: 'I click on "#a"', node }, { text: 'I click on "#b"', node }], []);
+    assert.equal(coverage.translated, 1);
+    assert.equal(coverage.confidence, 100);
+    assert.equal(coverage.level, 'high');
+  });
+
+  it('takes 15 points off the confidence per unsupported category', () => {
+    const ast = parseSource('requestAnimationFrame(draw);\nwindow.requestAnimationFrame(draw);\n');
+    const coverage = testCoverage([step('I click on "#save"', 1)], [ast.program]);
+    assert.deepEqual(coverage.unsupported.map(u => u.line), [1, 2]);
+    assert.equal(coverage.coverage, 100);
+    assert.equal(coverage.confidence, 85);
+  });
+
+  it('scores a test with no statements 0', () => {
+    const coverage = testCoverage([], []);
+    assert.equal(coverage.coverage, 0);
+    assert.equal(coverage.confidence, 0);
+    assert.equal(coverage.level, 'low');
+  });
+});
+
+describe('findUnsupported', () => {
+  it('skips the nodes the translator turned into steps', () => {
+    const ast = parseSource("stub(() => fetch('/a'));\nfetch('/b');\n");
+    const [stub] = ast.program.body;
+    assert.deepEqual(findUnsupported([ast.program]).map(u => u.line), [1, 2]);
+    assert.deepEqual(findUnsupported([ast.program], new Set([stub.expression])).map(u => u.line), [2]);
+  });
+});
+
+describe('combineCoverage', () => {
+  it('sums statements and lists each unsupported construct once', () => {
+    const [unsupported] = findUnsupported([parseSource('requestAnimationFrame(draw);').program]);
+    const coverage = combineCoverage([
+      { translated: 3, placeholders: 1, unsupported: [unsupported] },
+      { translated: 1, placeholders: 0, unsupported: [unsupported] },
+    ]);
+    assert.equal(coverage.translated, 4);
+    assert.equal(coverage.coverage, 80);
+    assert.equal(coverage.unsupported.length, 1);
+    assert.equal(coverage.confidence, 65);
+    assert.equal(coverage.level, 'medium');
+  });
+});
+
+// The analysis of a project with one test file, from --analyze
+function analyze(source, ...args) {
+  const repoPath = createProject({ 'test/app.test.js': source });
+  try {
+    const result = run(repoPath, '--analyze', ...args);
+    assert.equal(result.status, 0, result.stderr);
+    return {
+      analysis: JSON.parse(readFile(repoPath, 'migration-analysis.json')),
+      sarif: args.includes('sarif') ? JSON.parse(readFile(repoPath, 'migration-report.sarif')) : null,
+    };
+  } finally {
+    removeProject(repoPath);
+  }
+}
+
+describe('--analyze', () => {
+  it('records coverage per test, per file and for the repository', () => {
+    const { analysis } = analyze(`describe('Profile', () => {
+  it('saves', () => {
+    document.querySelector('#save').click();
+    expect(document.querySelector('#status').textContent).toBe('Saved');
+  });
+  it('checks something custom', () => {
+    expect(customCheck()).toBe(true);
+  });
+});
+`);
+    const [file] = analysis.files;
+    const [saves, custom] = file.testCases;
+    assert.equal(saves.coverage.coverage, 100);
+    assert.equal(custom.coverage.translated, 0);
+    assert.equal(custom.coverage.placeholders, 1);
+    assert.equal(file.coverage.translated, 2);
+    assert.equal(file.coverage.coverage, 67);
+    assert.equal(analysis.summary.coverage.coverage, 67);
+  });
+});
+
+describe('coverage of network code', () => {
+  let result;
+
+  before(() => {
+    result = analyze(`describe('Orders', () => {
+  it('lists orders', async () => {
+    window.fetch = jest.fn().mockResolvedValue({ json: async () => ({ orders: [] }) });
+    const server = sinon.fakeServer.create();
+    server.respondWith('GET', '/api/count', [200, {}, '3']);
+    document.querySelector('#load').click();
+    await window.fetch('/api/orders');
+    new XMLHttpRequest();
+    expect(window.fetch).toHaveBeenCalledWith('/api/orders');
+  });
+});
+`, '--report-format', 'sarif');
+  });
+
+  it('counts fetch and XHR calls the test makes itself as unsupported', () => {
+    const [file] = result.analysis.files;
+    assert.deepEqual(file.coverage.unsupported.map(u => [u.construct, u.line]), [['fetch', 7], ['XMLHttpRequest', 8]]);
+  });
+
+  it('reports them as network findings', () => {
+    const [sarif] = result.sarif.runs;
+    const findings = sarif.results.filter(r => r.ruleId === 'unsupported-network');
+    assert.deepEqual(findings.map(r => r.locations[0].physicalLocation.region.startLine), [7, 8]);
+    assert.ok(sarif.tool.driver.rules.some(rule => rule.id === 'unsupported-network'));
+  });
+});
+
+describe('coverage of dialogs', () => {
+  let result;
+
+  before(() => {
+    result = analyze(`describe('Cart', () => {
+  it('empties the cart', async () => {
+    window.confirm = jest.fn(() => true);
+    jest.spyOn(window, 'alert').mockImplementation(() => {});
+    document.querySelector('#empty').click();
+    expect(window.confirm).toHaveBeenCalledWith('Empty the cart?');
+    expect(window.alert).toHaveBeenCalledWith('Cart emptied');
+    window.alert('done');
+    prompt('name');
+  });
+});
+`, '--report-format', 'sarif');
+  });
+
+  it('counts dialogs the test opens itself as unsupported', () => {
+    const [file] = result.analysis.files;
+    assert.deepEqual(file.coverage.unsupported.map(u => [u.construct, u.line]), [['alert', 8], ['prompt', 9]]);
+  });
+
+  it('reports them as dialog findings', () => {
+    const [sarif] = result.sarif.runs;
+    const findings = sarif.results.filter(r => r.ruleId === 'unsupported-dialogs');
+    assert.deepEqual(findings.map(r => r.locations[0].physicalLocation.region.startLine), [8, 9]);
+    assert.ok(sarif.tool.driver.rules.some(rule => rule.id === 'unsupported-dialogs'));
+  });
+});
@@ -0,0 +1,67 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { findStepDefinition } from '../step-library.js';
+import { createProject, readFile, removeProject, run } from './helpers.js';
+
+const SOURCE = `describe('Cart', () => {
+  it('empties the cart', () => {
+    window.confirm = jest.fn(() => true);
+    jest.spyOn(window, 'alert').mockImplementation(() => {});
+    window.prompt = () => 'Ann';
+    document.querySelector('#empty').click();
+    expect(window.confirm).toHaveBeenCalledWith('Empty the cart?');
+    expect(window.alert).toHaveBeenCalledWith('Cart emptied');
+  });
+  it('keeps the cart', () => {
+    window.confirm = () => false;
+    document.querySelector('#empty').click();
+    expect(window.alert).not.toHaveBeenCalled();
+  });
+});
+`;
+
+// The steps of a feature, without comments and tags
+const stepsOf = feature => feature.split('\n')
+  .map(line => line.trim())
+  .filter(line => /^(Given|When|Then|And) /.test(line));
+
+describe('dialogs', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({ 'test/cart.test.js': SOURCE });
+    assert.equal(run(repoPath, '--full', '--yes', '--target', 'both').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('turns dialog stubs into answers and dialog assertions into Then steps', () => {
+    assert.deepEqual(stepsOf(readFile(repoPath, 'tests/features/cart.test.feature')), [
+      'Given I am on the application page',
+      'Given I will accept the next confirm dialog',
+      'When I answer "Ann" to the next prompt',
+      'When I click on "#empty"',
+      'Then a confirm dialog saying "Empty the cart?" should have appeared',
+      'Then an alert saying "Cart emptied" should have appeared',
+      'Given I am on the application page',
+      'Given I will dismiss the next confirm dialog',
+      'When I click on "#empty"',
+      'Then no alert should have appeared',
+    ]);
+  });
+
+  it('uses steps the library defines', () => {
+    for (const step of stepsOf(readFile(repoPath, 'tests/features/cart.test.feature'))) {
+      assert.ok(findStepDefinition(step.replace(/^\S+ /, '')), step);
+    }
+  });
+
+  it('answers and records dialogs through the fixtures in specs', () => {
+    const spec = readFile(repoPath, 'tests/specs/cart.test.spec.ts');
+    assert.match(spec, /test\('empties the cart', async \(\{ page, dialogs, dialogAnswers \}\) => \{/);
+    assert.match(spec, /dialogAnswers\.confirm = true;/);
+    assert.match(spec, /dialogAnswers\.prompt = 'Ann';/);
+    assert.match(spec, /dialog\.type === 'alert' && dialog\.message === 'Cart emptied'/);
+    assert.match(spec, /expect\(dialogs\.filter\(dialog => dialog\.type === 'alert'\)\)\.toHaveLength\(0\);/);
+  });
+});
@@ -0,0 +1,38 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createProject, readFile, removeProject, run } from './helpers.js';
+
+// The steps of a feature, without comments and tags
+const stepsOf = feature => feature.split('\n')
+  .map(line => line.trim())
+  .filter(line => /^(Given|When|Then|And) /.test(line));
+
+describe('DOM events', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({
+      'test/form.test.js': `describe('Form', () => {
+  it('submits', () => {
+    const select = document.querySelector('#theme');
+    select.dispatchEvent(new Event('change'));
+    document.querySelector('#save').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    document.querySelector('#name').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+  });
+});
+`,
+    });
+    assert.equal(run(repoPath, '--full', '--yes').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('turns dispatched events into the user actions they stand for', () => {
+    assert.deepEqual(stepsOf(readFile(repoPath, 'tests/features/form.test.feature')), [
+      'Given I am on the application page',
+      'When I trigger "change" on "#theme"',
+      'When I click on "#save"',
+      'When I press "Enter" in "#name"',
+    ]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Test helpers
+ *
+ * Tests run the CLI as users do, on a throwaway project in the system's
+ * temporary directory.
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('../cli.js', import.meta.url));
+
+// A project holding `files`, by repository-relative path → content
+export function createProject(files) {
+  const repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'bjs2pw-'));
+  writeFiles(repoPath, files);
+  return repoPath;
+}
+
+export function writeFiles(repoPath, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(repoPath, file)), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, file), content);
+  }
+}
+
+export function readFile(repoPath, file) {
+  return fs.readFileSync(path.join(repoPath, file), 'utf-8');
+}
+
+export function removeProject(repoPath) {
+  fs.rmSync(repoPath, { recursive: true, force: true });
+}
+
+// Runs the CLI on a project; returns `{ status, stdout, stderr }`
+export function run(repoPath, ...args) {
+  const result = spawnSync(process.execPath, [CLI, repoPath, ...args], {
+    encoding: 'utf-8',
+    env: { ...process.env, FORCE_COLOR: '0' },
+    timeout: 60000,
+  });
+  return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
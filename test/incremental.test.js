@@ -0,0 +1,90 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import { MigrationCache } from '../incremental.js';
+import { createProject, removeProject } from './helpers.js';
+
+const SETTINGS = { target: 'playwright-bdd' };
+
+describe('MigrationCache', () => {
+  let repoPath;
+  const file = name => path.join(repoPath, name);
+  // A cache as the next run loads it
+  const reload = cache => {
+    fs.writeFileSync(cache.cachePath, JSON.stringify(cache));
+    return new MigrationCache(repoPath, SETTINGS);
+  };
+
+  beforeEach(() => {
+    repoPath = createProject({
+      'test/a.test.js': 'a',
+      'test/b.test.js': 'b',
+      'tests/features/a.test.feature': 'Feature: A',
+      'tests/features/b.test.feature': 'Feature: B',
+      'tests/fixtures/response.json': '{}',
+      'tests/fixtures/shared.json': '{}',
+    });
+  });
+
+  afterEach(() => removeProject(repoPath));
+
+  function migrated() {
+    const cache = new MigrationCache(repoPath, SETTINGS);
+    cache.record(file('test/a.test.js'), 'a', ['tests/features/a.test.feature', 'tests/fixtures/response.json', 'tests/fixtures/shared.json'], []);
+    cache.record(file('test/b.test.js'), 'b', ['tests/features/b.test.feature', 'tests/fixtures/shared.json'], []);
+    return reload(cache);
+  }
+
+  it('keeps sources whose content and outputs are unchanged', () => {
+    const cache = migrated();
+    assert.ok(cache.fresh(file('test/a.test.js'), 'a'));
+    assert.equal(cache.fresh(file('test/a.test.js'), 'a changed'), null);
+  });
+
+  it('re-migrates sources with a missing output', () => {
+    fs.rmSync(file('tests/fixtures/response.json'));
+    assert.equal(migrated().fresh(file('test/a.test.js'), 'a'), null);
+  });
+
+  it('only hands out outputs no other source uses', () => {
+    const cache = migrated();
+    assert.deepEqual(cache.owned(file('test/a.test.js')), ['tests/features/a.test.feature', 'tests/fixtures/response.json']);
+    assert.deepEqual(cache.owned(file('test/c.test.js')), []);
+  });
+
+  it('reports outputs a changed source no longer generates', () => {
+    const cache = migrated();
+    cache.record(file('test/a.test.js'), 'a changed', ['tests/features/a.test.feature'], []);
+    assert.deepEqual(cache.orphans(), [
+      { output: 'tests/fixtures/response.json', source: 'test/a.test.js', reason: 'no longer generated from source' },
+    ]);
+  });
+
+  it('reports outputs of deleted sources that no other source uses', () => {
+    const cache = migrated();
+    fs.rmSync(file('test/a.test.js'));
+    assert.deepEqual(cache.orphans().map(o => [o.output, o.reason]), [
+      ['tests/features/a.test.feature', 'source was deleted'],
+      ['tests/fixtures/response.json', 'source was deleted'],
+    ]);
+  });
+
+  it('forgets deleted sources whose outputs are gone', () => {
+    const cache = migrated();
+    fs.rmSync(file('test/a.test.js'));
+    fs.rmSync(file('tests/features/a.test.feature'));
+    fs.rmSync(file('tests/fixtures/response.json'));
+    assert.deepEqual(cache.orphans(), []);
+    assert.equal(reload(cache).sources['test/a.test.js'].outputs.length, 1);
+  });
+
+  it('ignores entries from runs with other settings, except for orphans', () => {
+    migrated();
+    const cache = new MigrationCache(repoPath, { target: 'both' });
+    assert.equal(cache.fresh(file('test/a.test.js'), 'a'), null);
+    cache.record(file('test/a.test.js'), 'a', ['tests/features/a.test.feature'], []);
+    cache.record(file('test/b.test.js'), 'b', ['tests/features/b.test.feature', 'tests/fixtures/shared.json'], []);
+    assert.deepEqual(cache.orphans().map(o => o.output), ['tests/fixtures/response.json']);
+  });
+});
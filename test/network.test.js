@@ -0,0 +1,77 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { stubStep } from '../network.js';
+import { createProject, readFile, removeProject, run, writeFiles } from './helpers.js';
+
+const source = from => `describe('${from}', () => {
+  it('loads', async () => {
+    window.fetch = jest.fn().mockResolvedValue({ json: async () => ({ from: '${from}' }) });
+    document.querySelector('#load').click();
+  });
+});
+`;
+
+// The fixture a generated feature responds with, and its content
+function fixtureOf(repoPath, feature) {
+  const [, name] = /responds with fixture "([^"]+)"/.exec(readFile(repoPath, `tests/features/${feature}`));
+  return { name, body: JSON.parse(readFile(repoPath, `tests/fixtures/${name}`)) };
+}
+
+describe('stubStep', () => {
+  it('names fixtures after the endpoint', () => {
+    const fixtures = new Map();
+    const { text, fixture } = stubStep({ method: 'POST', url: '/api/login', body: { ok: true } }, fixtures);
+    assert.equal(text, 'the API "POST /api/login" responds with fixture "post-api-login.json"');
+    assert.equal(fixture.name, 'post-api-login.json');
+  });
+
+  it('shares names between equal bodies and numbers different ones', () => {
+    const fixtures = new Map();
+    const first = stubStep({ url: '/api/user', body: { id: 1 } }, fixtures).fixture;
+    const same = stubStep({ url: '/api/user', body: { id: 1 } }, fixtures).fixture;
+    const other = stubStep({ url: '/api/user', body: { id: 2 } }, fixtures).fixture;
+    assert.equal(same.name, first.name);
+    assert.equal(other.name, 'api-user-2.json');
+  });
+});
+
+describe('response fixtures with the cache', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({ 'test/a.test.js': source('a'), 'test/b.test.js': source('b') });
+    assert.equal(run(repoPath, '--full', '--yes').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('records fixtures in the outputs of their source', () => {
+    const cache = JSON.parse(readFile(repoPath, '.bjs2pw-cache.json'));
+    for (const [file, feature] of [['test/a.test.js', 'a.test.feature'], ['test/b.test.js', 'b.test.feature']]) {
+      assert.ok(cache.sources[file].outputs.includes(`tests/fixtures/${fixtureOf(repoPath, feature).name}`));
+    }
+  });
+
+  it('keeps the fixture of a cached source when another source is re-migrated', () => {
+    writeFiles(repoPath, { 'test/a.test.js': source('a2') });
+    const result = run(repoPath, '--full', '--yes');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Unchanged \(cached\): 1/);
+
+    const a = fixtureOf(repoPath, 'a.test.feature');
+    const b = fixtureOf(repoPath, 'b.test.feature');
+    assert.notEqual(a.name, b.name);
+    assert.deepEqual(a.body, { from: 'a2' });
+    assert.deepEqual(b.body, { from: 'b' });
+  });
+
+  it('re-migrates a source whose fixture was deleted', () => {
+    fs.rmSync(path.join(repoPath, 'tests/fixtures', fixtureOf(repoPath, 'b.test.feature').name));
+    const result = run(repoPath, '--full', '--yes');
+    // Only a stays cached
+    assert.match(result.stdout, /Unchanged \(cached\): 1\n/);
+    assert.deepEqual(fixtureOf(repoPath, 'b.test.feature').body, { from: 'b' });
+  });
+});
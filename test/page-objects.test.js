@@ -0,0 +1,107 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { after, before, describe, it } from 'node:test';
+import { elementName, pageName } from '../page-objects.js';
+import { createProject, readFile, removeProject, run } from './helpers.js';
+
+describe('elementName', () => {
+  it('names elements after ids, test ids, classes and text', () => {
+    assert.equal(elementName('#email'), 'Email');
+    assert.equal(elementName('[data-testid="submit-order"]'), 'Submit order');
+    assert.equal(elementName('.login-btn'), 'Login button');
+    assert.equal(elementName("a:has-text('Sign in')"), 'Sign in link');
+    assert.equal(elementName('li.item >> nth=0'), 'First item');
+  });
+
+  it('names upgraded selectors after their accessible name', () => {
+    assert.equal(elementName("role=button[name='Log in']"), 'Log in button');
+    assert.equal(elementName('internal:label=Email'), 'Email');
+  });
+});
+
+describe('pageName', () => {
+  it('names pages after their path', () => {
+    assert.equal(pageName('/login'), 'Login');
+    assert.equal(pageName('/account/settings'), 'Account Settings');
+    assert.equal(pageName('/users/42/edit'), 'Users Edit');
+    assert.equal(pageName('/'), 'Home');
+  });
+
+  it('names pages after the pages setting entry for their URL', () => {
+    assert.equal(pageName('/signin', { login: '/signin' }), 'Login');
+  });
+});
+
+describe('--page-objects', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({
+      // Two top-level describes: the page is named after the file
+      'test/loginForm.test.js': `describe('Email', () => {
+  it('fills the email', () => {
+    document.querySelector('#email').value = 'ann@example.com';
+  });
+});
+describe('Submit', () => {
+  it('submits', () => {
+    document.querySelector('.login-btn').click();
+  });
+});
+`,
+    });
+    assert.equal(run(repoPath, '--full', '--yes', '--page-objects').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('names the page of a file after the whole file name', () => {
+    const feature = readFile(repoPath, 'tests/features/loginForm.test.feature');
+    assert.match(feature, /^Feature: LoginForm Test$/m);
+    assert.match(feature, /When I enter "ann@example.com" in the "Email" field on the "LoginForm Test" page/);
+    assert.match(feature, /When I click on "Login button" on the "LoginForm Test" page/);
+  });
+
+  it('writes a page object with an element per selector', () => {
+    const [module] = fs.readdirSync(path.join(repoPath, 'tests/pages')).filter(file => file.endsWith('.page.ts'));
+    const pageObject = readFile(repoPath, `tests/pages/${module}`);
+    assert.match(pageObject, /export class LoginFormTestPage\b/);
+    assert.match(pageObject, /this\.emailField = page\.locator\('#email'\);/);
+    assert.match(pageObject, /this\.loginButton = page\.locator\('\.login-btn'\);/);
+  });
+});
+
+describe('--page-objects with the cache', () => {
+  let repoPath;
+  const source = (name, selector) => `describe('Login page', () => {
+  it('${name}', () => {
+    window.location.href = '/login';
+    document.querySelector('${selector}').click();
+  });
+});
+`;
+
+  before(() => {
+    repoPath = createProject({
+      'test/a.test.js': source('submits', '#submit'),
+      'test/b.test.js': source('resets', '#reset'),
+    });
+    assert.equal(run(repoPath, '--full', '--yes', '--page-objects').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('keeps the elements of cached sources in their page', () => {
+    fs.writeFileSync(path.join(repoPath, 'test/a.test.js'), source('submits', '#submit-order'));
+    const result = run(repoPath, '--full', '--yes', '--page-objects');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Unchanged \(cached\): 1\n/);
+
+    const pageObject = readFile(repoPath, 'tests/pages/login.page.ts');
+    assert.match(pageObject, /page\.locator\('#reset'\)/);
+    assert.match(pageObject, /page\.locator\('#submit-order'\)/);
+    assert.doesNotMatch(pageObject, /page\.locator\('#submit'\)/);
+    assert.match(readFile(repoPath, 'tests/features/b.test.feature'), /When I click on "Reset" on the "Login" page/);
+  });
+});
@@ -0,0 +1,159 @@
+import assert from 'assert/strict';
+import { execFileSync } from 'child_process';
+import { after, before, describe, it } from 'node:test';
+import { renderReport } from '../reports.js';
+import { createProject, readFile, removeProject, run, writeFiles } from './helpers.js';
+
+const git = (repoPath, ...args) => execFileSync('git', args, { cwd: repoPath, stdio: 'ignore' });
+
+// Two of the three statements are translated; the assertion is a placeholder
+const SOURCE = `describe('Login', () => {
+  it('logs in', async () => {
+    document.querySelector('#email').value = 'ann@example.com';
+    document.querySelector('#login').click();
+    expect(someCustomCheck()).toBeTruthy();
+  });
+});
+`;
+
+const coverage = (translated, placeholders, unsupported = []) => {
+  const share = Math.round((translated / (translated + placeholders)) * 100);
+  return { translated, placeholders, unsupported, coverage: share, confidence: share, level: share >= 80 ? 'high' : share >= 50 ? 'medium' : 'low' };
+};
+
+// One file with a complete and an incomplete test, and one that failed
+const RESULTS = {
+  analysis: {
+    summary: { browserJS: 2, skipped: 0, coverage: coverage(3, 1) },
+    files: [
+      {
+        path: 'test/cart.test.js',
+        coverage: coverage(3, 1, [{ category: 'timers', construct: 'requestAnimationFrame', line: 9 }]),
+        testCases: [
+          { describe: 'Cart', name: 'adds <items>', coverage: coverage(2, 0) },
+          {
+            describe: 'Cart',
+            name: 'animates',
+            coverage: coverage(1, 1, [{ category: 'timers', construct: 'requestAnimationFrame', line: 9 }]),
+          },
+        ],
+      },
+      { path: 'test/broken.test.js', coverage: null, testCases: [] },
+    ],
+  },
+  report: {
+    migrated: 1,
+    unchanged: 0,
+    features: 1,
+    specs: 0,
+    pages: 0,
+    upgrades: [{ selector: '#save', locator: "getByRole('button', { name: 'Save' })", sources: ['test/cart.test.js:4'] }],
+    errors: [{ file: 'test/broken.test.js', error: 'Unexpected token (1:5)' }],
+    warnings: ['Fixed sleep of 500 ms at test/cart.test.js:7 kept as "I wait for 500 milliseconds": wait for a condition instead'],
+  },
+};
+
+describe('renderReport', () => {
+  it('writes a JUnit case per test that fails when it is incomplete', () => {
+    const xml = renderReport('junit', RESULTS);
+    assert.match(xml, /<testcase classname="test\/cart.test.js" name="Cart › adds &lt;items&gt;" \/>/);
+    assert.match(xml, /<failure message="1\/2 statements translated, confidence 50" type="incomplete-translation">Unsupported: requestAnimationFrame \(line 9\)<\/failure>/);
+    assert.match(xml, /<testsuite name="test\/broken.test.js" tests="1" failures="0" errors="1">/);
+    assert.match(xml, /<error message="Unexpected token \(1:5\)" type="migration-error" \/>/);
+  });
+
+  it('writes SARIF results for unsupported constructs and errors', () => {
+    const [sarif] = JSON.parse(renderReport('sarif', RESULTS)).runs;
+    assert.deepEqual(sarif.results.map(r => [r.ruleId, r.level]), [['unsupported-timers', 'warning'], ['migration-error', 'error']]);
+    assert.equal(sarif.results[0].locations[0].physicalLocation.region.startLine, 9);
+    const rules = new Set(sarif.tool.driver.rules.map(rule => rule.id));
+    assert.ok(sarif.results.every(r => rules.has(r.ruleId)));
+  });
+
+  it('writes a Markdown summary with files, upgrades, errors and warnings', () => {
+    const markdown = renderReport('markdown', RESULTS);
+    assert.match(markdown, /\| Statements translated \| 75% \(3 translated, 1 placeholders\) \|/);
+    assert.match(markdown, /\| test\/cart.test.js \| 75 \| 3\/4 \| requestAnimationFrame \(line 9\) \|/);
+    assert.doesNotMatch(markdown, /\| test\/broken.test.js \|/);
+    assert.match(markdown, /\| `#save` \| `getByRole\('button', \{ name: 'Save' \}\)` \| test\/cart.test.js:4 \|/);
+    assert.match(markdown, /## Errors\n\n- `test\/broken.test.js`: Unexpected token/);
+    assert.match(markdown, /## Warnings\n\n- Fixed sleep of 500 ms/);
+  });
+
+  it('writes the JSON summary', () => {
+    const { summary } = JSON.parse(renderReport('json', RESULTS));
+    assert.deepEqual(summary, {
+      files: 2, skipped: 0, migrated: 1, unchanged: 0, features: 1, specs: 0, pages: 0,
+      coverage: 75, confidence: 75, errors: 1, warnings: 1,
+    });
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => renderReport('html', RESULTS), /Unknown report format "html"/);
+  });
+});
+
+describe('--fail-under', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({ 'test/login.test.js': SOURCE });
+    git(repoPath, 'init', '-q');
+    git(repoPath, 'add', '-A');
+    git(repoPath, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'tests');
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('fails a run whose coverage is below the threshold', () => {
+    const result = run(repoPath, '--analyze', '--fail-under', '100');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Translation coverage \d+% is below --fail-under 100%/);
+  });
+
+  it('passes a run whose coverage meets the threshold', () => {
+    const result = run(repoPath, '--analyze', '--fail-under', '50');
+    assert.equal(result.status, 0, result.stderr);
+  });
+
+  it('passes a run with no statements to analyze', () => {
+    writeFiles(repoPath, { 'README.md': '# App\n' });
+    const result = run(repoPath, '--analyze', '--since', 'HEAD', '--fail-under', '50');
+    assert.equal(result.status, 0, result.stderr);
+    assert.doesNotMatch(result.stderr, /below --fail-under/);
+  });
+
+  it('writes the coverage it checked to the report', () => {
+    const result = run(repoPath, '--analyze', '--report-format', 'json', '--fail-under', '100');
+    assert.equal(result.status, 1);
+    const report = JSON.parse(readFile(repoPath, 'migration-report.json'));
+    assert.ok(report.summary.coverage < 100);
+    assert.match(result.stderr, new RegExp(`coverage ${report.summary.coverage}% is below`));
+  });
+});
+
+describe('errors with --full', () => {
+  let repoPath;
+  let result;
+
+  before(() => {
+    repoPath = createProject({
+      'test/login.test.js': SOURCE,
+      'test/broken.test.js': "describe('Broken', () => {\n  document.querySelector('#a').click(;\n});\n",
+    });
+    result = run(repoPath, '--full', '--yes', '--report-format', 'junit');
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('counts a file that fails analysis and migration once', () => {
+    assert.equal(result.status, 1);
+    assert.match(result.stdout, /Errors: +1\n/);
+    assert.match(result.stderr, /1 error\(s\) during the run/);
+  });
+
+  it('writes one JUnit error for it', () => {
+    const xml = readFile(repoPath, 'migration-report.xml');
+    assert.match(xml, /<testsuite name="test\/broken.test.js" tests="1" failures="0" errors="1">/);
+  });
+});
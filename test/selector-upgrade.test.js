@@ -0,0 +1,123 @@
+import assert from 'assert/strict';
+import { parseDocument } from 'htmlparser2';
+import { after, before, describe, it } from 'node:test';
+import { SelectorUpgrade, locatorCode, parseLocator } from '../selector-upgrade.js';
+import { createProject, readFile, removeProject, run } from './helpers.js';
+
+const LOGIN = `<!doctype html>
+<html>
+  <body>
+    <form>
+      <label for="email">Email</label>
+      <input id="email" type="email">
+      <label>Password <input id="password" type="password"></label>
+      <button id="login" class="btn">Log in</button>
+      <a href="/forgot" class="link">Forgot password?</a>
+      <span data-testid="status" hidden></span>
+      <div class="item">One</div>
+      <div class="item">Two</div>
+    </form>
+  </body>
+</html>
+`;
+
+const upgrade = (...pages) => new SelectorUpgrade(pages.map(([file, content]) => ({ file, content, root: parseDocument(content) })));
+
+describe('parseLocator and locatorCode', () => {
+  it('reads proposals back into locator calls', () => {
+    assert.deepEqual(parseLocator("role=button[name='Don\\'t save']"), { method: 'getByRole', role: 'button', name: "Don't save" });
+    assert.equal(locatorCode("role=button[name='Log in']"), "getByRole('button', { name: 'Log in' })");
+    assert.equal(locatorCode('internal:label=Email'), "getByLabel('Email')");
+    assert.equal(locatorCode('data-testid=status'), "getByTestId('status')");
+    assert.equal(locatorCode('#email'), "locator('#email')");
+  });
+});
+
+describe('SelectorUpgrade', () => {
+  const html = upgrade(['login.html', LOGIN]);
+
+  it('proposes a role and accessible name first', () => {
+    assert.equal(html.check('#login').upgrade, "role=button[name='Log in']");
+    assert.equal(html.check('a.link').upgrade, "role=link[name='Forgot password?']");
+    assert.equal(html.check('#email').upgrade, "role=textbox[name='Email']");
+  });
+
+  it('proposes the label of controls without a role', () => {
+    assert.equal(html.check('#password').upgrade, 'internal:label=Password');
+  });
+
+  it('proposes test ids, even of hidden elements', () => {
+    assert.equal(html.check('span').upgrade, 'data-testid=status');
+  });
+
+  it('evaluates Playwright pseudo classes and chained selectors', () => {
+    assert.equal(html.check("button:has-text('log in')").upgrade, "role=button[name='Log in']");
+    assert.deepEqual(html.check('.item >> nth=1').matches, [{ file: 'login.html', count: 1 }]);
+  });
+
+  it('reports how often selectors match, without proposals for several', () => {
+    assert.deepEqual(html.check('.item'), { matches: [{ file: 'login.html', count: 2 }], upgrade: null, error: null });
+    assert.deepEqual(html.check('#missing'), { matches: [], upgrade: null, error: null });
+  });
+
+  it('reports selectors it cannot evaluate', () => {
+    const { error } = html.check('xpath=//button');
+    assert.match(error, /the xpath engine is not supported/);
+  });
+
+  it('only proposes what finds the element on every page', () => {
+    const other = LOGIN.replace('Log in', 'Sign in');
+    assert.equal(upgrade(['a.html', LOGIN], ['b.html', other]).check('#login').upgrade, null);
+    assert.equal(upgrade(['a.html', LOGIN], ['b.html', LOGIN]).check('#login').upgrade, "role=button[name='Log in']");
+  });
+});
+
+describe('--html and --upgrade-selectors', () => {
+  const SOURCE = `describe('Login', () => {
+  it('logs in', () => {
+    document.querySelector('#email').value = 'ann@example.com';
+    document.querySelector('#login').click();
+    document.querySelector('.item').click();
+    document.querySelector('#gone').click();
+  });
+});
+`;
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({ 'test/login.test.js': SOURCE, 'fixtures/login.html': LOGIN });
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('warns about selectors matching no element or several', () => {
+    const result = run(repoPath, '--full', '--yes', '--no-cache', '--html', 'fixtures/*.html', '--report-format', 'json');
+    assert.equal(result.status, 0, result.stderr);
+    const report = JSON.parse(readFile(repoPath, 'migration-report.json'));
+    assert.ok(report.warnings.includes('Selector "#gone" at test/login.test.js:6 matches no element in the HTML'));
+    assert.ok(report.warnings.includes('Selector ".item" at test/login.test.js:5 matches several elements (2 in fixtures/login.html)'));
+    assert.deepEqual(report.upgrades.map(u => [u.selector, u.locator]), [
+      ['#email', "getByRole('textbox', { name: 'Email' })"],
+      ['#login', "getByRole('button', { name: 'Log in' })"],
+    ]);
+    // Proposals only, without --upgrade-selectors
+    assert.match(readFile(repoPath, 'tests/features/login.test.feature'), /When I click on "#login"/);
+  });
+
+  it('writes the proposals into features and specs', () => {
+    const result = run(repoPath, '--full', '--yes', '--no-cache', '--target', 'both', '--html', 'fixtures/*.html', '--upgrade-selectors');
+    assert.equal(result.status, 0, result.stderr);
+    const feature = readFile(repoPath, 'tests/features/login.test.feature');
+    assert.match(feature, /When I enter "ann@example.com" in the "role=textbox\[name='Email'\]" field/);
+    assert.match(feature, /When I click on "role=button\[name='Log in'\]"/);
+    assert.match(feature, /When I click on "\.item"/);
+    const spec = readFile(repoPath, 'tests/specs/login.test.spec.ts');
+    assert.match(spec, /page\.getByRole\('button', \{ name: 'Log in' \}\)\.click\(\)/);
+  });
+
+  it('needs --html to upgrade selectors', () => {
+    const result = run(repoPath, '--full', '--yes', '--upgrade-selectors');
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /--upgrade-selectors needs HTML to check selectors against/);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { createProject, readFile, removeProject, run } from './helpers.js';
+
+const SOURCE = `describe('Checkout', () => {
+  it('pays', async () => {
+    document.querySelector('#pay').click();
+    await testkit.clickButton('Confirm');
+  });
+});
+`;
+
+const PLUGIN = `export default {
+  name: 'testkit',
+  patterns: { actions: { clickButton: /testkit\\.clickButton\\(/ } },
+  translators: [
+    (node, api) => api.callee(node) === 'testkit.clickButton' && {
+      keyword: 'When',
+      text: \`I click the \${api.quote(api.value(node.arguments[0]))} button\`,
+      definition: {
+        expression: 'I click the {string} button',
+        params: ['label: string'],
+        body: "await this.page!.getByRole('button', { name: label }).click();",
+      },
+    },
+  ],
+};
+`;
+
+describe('ES module settings and plugins', () => {
+  let repoPath;
+  let result;
+
+  before(() => {
+    repoPath = createProject({
+      'test/checkout.test.js': SOURCE,
+      'bjs2pw.config.mjs': "export default { output: 'e2e', plugins: ['./tools/testkit.mjs'] };\n",
+      'tools/testkit.mjs': PLUGIN,
+    });
+    result = run(repoPath, '--full', '--yes');
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('loads an .mjs config file', () => {
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Settings: bjs2pw\.config\.mjs/);
+    assert.match(readFile(repoPath, 'e2e/features/checkout.test.feature'), /Feature: Checkout/);
+  });
+
+  it('translates with an ES module plugin', () => {
+    assert.match(readFile(repoPath, 'e2e/features/checkout.test.feature'), /When I click the "Confirm" button/);
+    assert.match(readFile(repoPath, 'e2e/steps/testkit.steps.ts'), /When\('I click the \{string\} button'/);
+  });
+});
+
+describe('step and support directories', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({
+      'test/cart.test.js': `describe('Cart', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('adds an item', () => {
+    document.querySelector('#add').click();
+  });
+});
+`,
+      'bjs2pw.config.json': JSON.stringify({ stepsDir: 'e2e/steps', supportDir: 'support' }),
+    });
+    assert.equal(run(repoPath, '--full', '--yes').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('imports the World from supportDir in step files and hooks', () => {
+    assert.match(readFile(repoPath, 'e2e/steps/common.steps.ts'), /import \{ ICustomWorld \} from '\.\.\/\.\.\/support\/world';/);
+    assert.match(readFile(repoPath, 'e2e/steps/cart.test.hooks.ts'), /import \{ ICustomWorld \} from '\.\.\/\.\.\/support\/world';/);
+    assert.ok(readFile(repoPath, 'support/world.ts'));
+  });
+});
@@ -0,0 +1,116 @@
+import assert from 'assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { seedLogins, sessionFile } from '../storage.js';
+import { createProject, readFile, removeProject, run, writeFiles } from './helpers.js';
+
+const source = token => `describe('Account', () => {
+  it('shows the account', async () => {
+    localStorage.setItem('authToken', '${token}');
+    document.querySelector('#account').click();
+  });
+});
+`;
+
+// The storageState file a generated feature logs in with, and its token
+function sessionOf(repoPath, feature) {
+  const [, user] = /I am logged in as "([^"]+)"/.exec(readFile(repoPath, `tests/features/${feature}`));
+  const name = sessionFile(user);
+  const [origin] = JSON.parse(readFile(repoPath, `tests/auth/${name}`)).origins;
+  return { name, token: origin.localStorage.find(item => item.name === 'authToken').value };
+}
+
+// The steps of a feature, without comments and tags
+const stepsOf = feature => feature.split('\n')
+  .map(line => line.trim())
+  .filter(line => /^(Given|When|Then|And) /.test(line));
+
+describe('storage and cookies', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({
+      'test/prefs.test.js': `describe('Preferences', () => {
+  it('remembers the theme', () => {
+    localStorage.setItem('theme', 'dark');
+    document.cookie = 'lang=en';
+    document.querySelector('#save').click();
+    expect(localStorage.getItem('theme')).toBe('dark');
+    expect(document.cookie).toContain('lang=en');
+    localStorage.clear();
+  });
+});
+`,
+    });
+    assert.equal(run(repoPath, '--full', '--yes').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('seeds storage before the page opens and checks it after', () => {
+    assert.deepEqual(stepsOf(readFile(repoPath, 'tests/features/prefs.test.feature')), [
+      'Given localStorage "theme" is "dark"',
+      'Given the cookie "lang" is "en"',
+      'Given I am on the application page',
+      'When I click on "#save"',
+      'Then localStorage "theme" should be "dark"',
+      'Then the cookie "lang" should be "en"',
+      'When I clear localStorage',
+    ]);
+  });
+});
+
+describe('seedLogins', () => {
+  const seed = (name, value) => ({ keyword: 'Given', text: '', storage: { area: 'localStorage', name, value } });
+
+  it('numbers users whose states differ', () => {
+    const sessions = new Map();
+    const [first] = seedLogins([seed('authToken', 'a')], sessions, 'http://localhost:3000');
+    const [second] = seedLogins([seed('authToken', 'b')], sessions, 'http://localhost:3000');
+    assert.equal(first.text, 'I am logged in as "user"');
+    assert.equal(second.text, 'I am logged in as "user 2"');
+    assert.deepEqual([...sessions.keys()], ['user.json', 'user-2.json']);
+  });
+});
+
+describe('login states with the cache', () => {
+  let repoPath;
+
+  before(() => {
+    repoPath = createProject({ 'test/a.test.js': source('token-a'), 'test/b.test.js': source('token-b') });
+    assert.equal(run(repoPath, '--full', '--yes').status, 0);
+  });
+
+  after(() => removeProject(repoPath));
+
+  it('records login states in the outputs of their source', () => {
+    const cache = JSON.parse(readFile(repoPath, '.bjs2pw-cache.json'));
+    for (const [file, feature] of [['test/a.test.js', 'a.test.feature'], ['test/b.test.js', 'b.test.feature']]) {
+      assert.ok(cache.sources[file].outputs.includes(`tests/auth/${sessionOf(repoPath, feature).name}`));
+    }
+  });
+
+  it('keeps the login state of a cached source when another source is re-migrated', () => {
+    writeFiles(repoPath, { 'test/a.test.js': source('token-a2') });
+    const result = run(repoPath, '--full', '--yes');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Unchanged \(cached\): 1\n/);
+
+    const a = sessionOf(repoPath, 'a.test.feature');
+    const b = sessionOf(repoPath, 'b.test.feature');
+    assert.notEqual(a.name, b.name);
+    assert.equal(a.token, 'token-a2');
+    assert.equal(b.token, 'token-b');
+  });
+
+  it('migrates every source again when the baseURL changes', () => {
+    writeFiles(repoPath, { 'bjs2pw.config.json': JSON.stringify({ baseURL: 'http://localhost:8080' }) });
+    const result = run(repoPath, '--full', '--yes');
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /Unchanged \(cached\): 0\n/);
+
+    for (const feature of ['a.test.feature', 'b.test.feature']) {
+      const [origin] = JSON.parse(readFile(repoPath, `tests/auth/${sessionOf(repoPath, feature).name}`)).origins;
+      assert.equal(origin.origin, 'http://localhost:8080');
+    }
+  });
+});
@@ -0,0 +1,26 @@
+import assert from 'assert/strict';
+import { describe, it } from 'node:test';
+import { findStepDefinition } from '../step-library.js';
+import { sleepStep } from '../timers.js';
+
+describe('sleepStep', () => {
+  it('waits whole seconds in seconds and the rest in milliseconds', () => {
+    assert.equal(sleepStep(3000), 'I wait for 3 seconds');
+    assert.equal(sleepStep(250), 'I wait for 250 milliseconds');
+  });
+
+  it('rounds computed delays to a step the library defines', () => {
+    for (const ms of [1.5, 999.6, 2000.2]) {
+      const text = sleepStep(ms);
+      assert.ok(findStepDefinition(text), `no step definition for "${text}"`);
+    }
+    assert.equal(sleepStep(1.5), 'I wait for 2 milliseconds');
+    assert.equal(sleepStep(999.6), 'I wait for 1000 milliseconds');
+  });
+
+  it('never waits for "1 seconds"', () => {
+    assert.equal(sleepStep(1000), 'I wait for 1000 milliseconds');
+    assert.equal(sleepStep(1999.6), 'I wait for 2 seconds');
+    assert.equal(sleepStep(2000), 'I wait for 2 seconds');
+  });
+});
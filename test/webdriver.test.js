@@ -0,0 +1,72 @@
+import assert from 'assert/strict';
+import { before, describe, it } from 'node:test';
+import { createProject, readFile, removeProject, run } from './helpers.js';
+
+// The steps of a feature, without comments and tags
+const stepsOf = feature => feature.split('\n')
+  .map(line => line.trim())
+  .filter(line => /^(Given|When|Then|And) /.test(line));
+
+const SOURCE = `const { Builder, By } = require('selenium-webdriver');
+
+describe('Login', function () {
+  let driver;
+  before(async () => { driver = await new Builder().forBrowser('chrome').build(); });
+  after(async () => { await driver.quit(); });
+
+  it('logs in with chained commands', async () => {
+    await driver.get('http://localhost:3000/login');
+    await driver.findElement(By.id('user')).clear();
+    await driver.findElement(By.id('user')).sendKeys('bob');
+    await driver.findElement(By.css('button[type=submit]')).click();
+    await driver.navigate().to('/home');
+    await driver.switchTo().alert().accept();
+    await driver.manage().window().maximize();
+  });
+
+  it('logs in with element variables', async () => {
+    await driver.get('http://localhost:3000/login');
+    const user = await driver.findElement(By.id('user'));
+    await user.clear();
+    await user.sendKeys('bob');
+    const submit = await driver.findElement(By.css('button[type=submit]'));
+    await submit.click();
+  });
+});
+`;
+
+describe('Selenium WebDriverJS adapter', () => {
+  let feature;
+
+  before(() => {
+    const repoPath = createProject({ 'test/login.test.js': SOURCE });
+    try {
+      assert.equal(run(repoPath, '--full', '--yes').status, 0);
+      feature = readFile(repoPath, 'tests/features/login.test.feature');
+    } finally {
+      removeProject(repoPath);
+    }
+  });
+
+  it('translates commands chained on findElement() and the session', () => {
+    const [chained] = feature.split('Scenario: logs in with element variables');
+    assert.deepEqual(stepsOf(chained), [
+      'Given I navigate to "http://localhost:3000/login"',
+      'When I clear the "#user" field',
+      'When I type "bob" in "#user"',
+      'When I click on "button[type=submit]"',
+      'Given I navigate to "/home"',
+      'When I accept the alert',
+    ]);
+  });
+
+  it('translates commands on element variables the same', () => {
+    const [, variables] = feature.split('Scenario: logs in with element variables');
+    assert.deepEqual(stepsOf(variables), [
+      'Given I navigate to "http://localhost:3000/login"',
+      'When I clear the "#user" field',
+      'When I type "bob" in "#user"',
+      'When I click on "button[type=submit]"',
+    ]);
+  });
+});
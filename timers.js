@@ -0,0 +1,231 @@
+/**
+ * Timers
+ *
+ * Recognizes the ways Browser JS tests wait: setTimeout/setInterval
+ * callbacks, polling helpers such as waitFor, sleeps and fake timer clocks.
+ * What a timer checks or polls becomes an auto-waiting step; a fixed sleep
+ * is only left where nothing shows what it waits for.
+ */
+
+import { calleePath, isFunction, memberPath, propertyName, unwrap } from './ast.js';
+import { isAssertCall, isExpectChain } from './assertions.js';
+import { findStepDefinition } from './step-library.js';
+
+const TIMEOUTS = new Set(['setTimeout', 'window.setTimeout', 'global.setTimeout', 'globalThis.setTimeout']);
+const INTERVALS = new Set(['setInterval', 'window.setInterval', 'global.setInterval', 'globalThis.setInterval']);
+
+// await sleep(500), await browser.pause(500), await page.waitForTimeout(500)
+const SLEEPS = new Set(['sleep', 'wait', 'delay', 'pause', 'waitForTimeout']);
+
+// Fake timer clocks moved forward by hand
+const ADVANCES = new Set(['jest.advanceTimersByTime', 'jest.runTimersToTime', 'vi.advanceTimersByTime']);
+
+// testing-library waitFor, WebdriverIO waitUntil and friends retry their callback
+const POLLS = new Set(['waitFor', 'waitUntil', 'waitForCondition']);
+
+// Timer plumbing with nothing to show in a scenario
+const CONTROLS = new Set([
+  'jest.useFakeTimers', 'jest.useRealTimers', 'jest.runAllTimers', 'jest.runOnlyPendingTimers', 'jest.clearAllTimers',
+  'vi.useFakeTimers', 'vi.useRealTimers', 'vi.runAllTimers', 'vi.runOnlyPendingTimers', 'vi.clearAllTimers',
+  'sinon.useFakeTimers', 'clearTimeout', 'clearInterval', 'window.clearTimeout', 'window.clearInterval',
+]);
+
+// sinon clocks: clock.tick(500), this.clock.restore(); jasmine.clock().install()
+const CLOCK = /(^|\.)clock$/i;
+const CLOCK_CONTROLS = new Set(['restore', 'install', 'uninstall', 'reset', 'runAll', 'runToLast', 'next', 'mockDate']);
+
+// Callbacks that end an async test: done(), resolve()
+const COMPLETIONS = new Set(['done', 'resolve']);
+
+// =============================================================================
+// SHAPES
+// =============================================================================
+
+/**
+ * Milliseconds an expression waits without saying what for, or null:
+ * `await sleep(500)`, `await new Promise(r => setTimeout(r, 500))`,
+ * `setTimeout(done, 500)`, `jest.advanceTimersByTime(500)`, `clock.tick(500)`.
+ */
+export function sleepDuration(translator, expr, completions = COMPLETIONS) {
+  expr = unwrap(expr);
+  if (!expr) return null;
+
+  if (expr.type === 'NewExpression' && memberPath(expr.callee) === 'Promise') {
+    const executor = unwrap(expr.arguments[0]);
+    const body = isFunction(executor) ? onlyExpression(executor) : null;
+    const resolve = body && executor.params[0];
+    return resolve && resolve.type === 'Identifier'
+      ? sleepDuration(translator, body, new Set([...completions, resolve.name]))
+      : null;
+  }
+  if (expr.type !== 'CallExpression') return null;
+
+  const path = calleePath(expr);
+  const callee = unwrap(expr.callee);
+  const [first, second] = expr.arguments;
+
+  if (TIMEOUTS.has(path)) return isCompletion(translator, first, completions) ? delayOf(translator, second) ?? 0 : null;
+  if (ADVANCES.has(path)) return delayOf(translator, first);
+  if (callee.type === 'MemberExpression' && propertyName(callee) === 'tick' && isClock(translator, callee.object)) {
+    return delayOf(translator, first);
+  }
+
+  // function sleep(ms) { return new Promise(r => setTimeout(r, ms)) }
+  if (translator.helperFor(expr)) return translator.evaluateHelper(expr, returned => sleepDuration(translator, returned));
+
+  const name = callee.type === 'Identifier' ? callee.name : propertyName(callee);
+  return SLEEPS.has(name) && expr.arguments.length === 1 ? delayOf(translator, first) : null;
+}
+
+/**
+ * A timer or polling helper that checks something, as `{ ms, condition,
+ * then }`: `condition` is an expression polled until it holds, `then` the
+ * callback (or block) whose assertions must pass within `ms` milliseconds.
+ * Either may be null, and so is `ms` when the timeout is not known.
+ */
+export function timerWait(translator, expr) {
+  expr = unwrap(expr);
+  if (!expr || expr.type !== 'CallExpression') return null;
+  const path = calleePath(expr);
+  const [fn, option] = expr.arguments.map(unwrap);
+  if (!isFunction(fn)) return null;
+
+  // setTimeout(() => { expect(toast).toBeVisible() }, 5000)
+  if (TIMEOUTS.has(path)) {
+    return { ms: option ? delayOf(translator, option) : 0, condition: null, then: fn };
+  }
+
+  // setInterval(() => { if (cond) { clearInterval(id); done(); } }, 100)
+  if (INTERVALS.has(path)) {
+    const guard = fn.body.type === 'BlockStatement'
+      ? fn.body.body.find(s => s.type === 'IfStatement' && !s.alternate && stopsTimer(s.consequent))
+      : null;
+    return guard
+      ? { ms: null, condition: guard.test, then: guard.consequent }
+      : { ms: option ? delayOf(translator, option) : 0, condition: null, then: fn };
+  }
+
+  // await waitFor(() => expect(el).toBeVisible(), { timeout: 3000 })
+  const callee = unwrap(expr.callee);
+  const name = callee.type === 'Identifier' ? callee.name : propertyName(callee);
+  if (!POLLS.has(name) || translator.helperFor(expr)) return null;
+
+  const ms = timeoutOption(translator, option);
+  const polled = onlyExpression(fn) || onlyReturn(fn);
+  if (polled && !isExpectChain(polled) && !(polled.type === 'CallExpression' && isAssertCall(polled))) {
+    return { ms, condition: polled, then: null };
+  }
+  return { ms, condition: null, then: fn };
+}
+
+// Fake timer setup and teardown, clearTimeout/clearInterval and done()
+export function isTimerControl(translator, expr) {
+  expr = unwrap(expr);
+  if (!expr || expr.type !== 'CallExpression') return false;
+  if (CONTROLS.has(calleePath(expr))) return true;
+
+  const callee = unwrap(expr.callee);
+  if (callee.type === 'MemberExpression') {
+    return CLOCK_CONTROLS.has(propertyName(callee)) && isClock(translator, callee.object);
+  }
+  return expr.arguments.length === 0 && isCompletion(translator, callee, COMPLETIONS);
+}
+
+function isClock(translator, node) {
+  node = unwrap(node);
+  const binding = node.type === 'Identifier' ? translator.lookup(node.name) : null;
+  return (binding && binding.type === 'timer') || CLOCK.test(memberPath(node) || calleePath(node) || '');
+}
+
+// done, resolve, or () => done()
+function isCompletion(translator, node, names) {
+  node = unwrap(node);
+  if (isFunction(node)) {
+    const call = onlyExpression(node);
+    return Boolean(call) && call.type === 'CallExpression' && call.arguments.length === 0 &&
+      isCompletion(translator, call.callee, names);
+  }
+  return Boolean(node) && node.type === 'Identifier' && names.has(node.name) && !translator.lookup(node.name);
+}
+
+// if (...) { clearInterval(id); done(); }
+function stopsTimer(node) {
+  const statements = node.type === 'BlockStatement' ? node.body : [node];
+  return statements.some(s => s.type === 'ExpressionStatement' &&
+    ['clearInterval', 'window.clearInterval', 'clearTimeout', 'window.clearTimeout'].includes(calleePath(unwrap(s.expression))));
+}
+
+// The expression an arrow function or one-statement function consists of
+function onlyExpression(fn) {
+  if (fn.body.type !== 'BlockStatement') return unwrap(fn.body);
+  const [statement, ...rest] = fn.body.body;
+  return statement && rest.length === 0 && statement.type === 'ExpressionStatement' ? unwrap(statement.expression) : null;
+}
+
+function onlyReturn(fn) {
+  if (fn.body.type !== 'BlockStatement' || fn.body.body.length !== 1) return null;
+  const [statement] = fn.body.body;
+  return statement.type === 'ReturnStatement' && statement.argument ? unwrap(statement.argument) : null;
+}
+
+// 500, DELAY, 2 * 1000
+function delayOf(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'BinaryExpression' && node.operator === '*') {
+    const left = delayOf(translator, node.left);
+    const right = left === null ? null : delayOf(translator, node.right);
+    return right === null ? null : left * right;
+  }
+  const value = translator.valueOf(node);
+  return value !== null && /^\d+(\.\d+)?$/.test(value) ? Number(value) : null;
+}
+
+// waitFor(fn, { timeout: 3000 }) / waitUntil(fn, 3000)
+function timeoutOption(translator, node) {
+  if (!node) return null;
+  if (node.type !== 'ObjectExpression') return delayOf(translator, node);
+  const timeout = node.properties.find(p => p.type === 'ObjectProperty' && !p.computed &&
+    (p.key.name || p.key.value) === 'timeout');
+  return timeout ? delayOf(translator, timeout.value) : null;
+}
+
+// =============================================================================
+// STEPS
+// =============================================================================
+
+const WAIT_UNTIL = [
+  [/^the element (".*") should be visible$/, 'is visible'],
+  [/^the element (".*") should not be visible$/, 'is hidden'],
+  [/^the element (".*") should exist$/, 'exists'],
+  [/^the element (".*") should not exist$/, 'is removed'],
+];
+
+// A polled condition: element states become "I wait until" actions, other
+// checks stay assertions, which retry on their own
+export function waitUntilStep(text) {
+  for (const [pattern, state] of WAIT_UNTIL) {
+    const match = text.match(pattern);
+    if (match) return { keyword: 'When', text: `I wait until ${match[1]} ${state}` };
+  }
+  return { keyword: 'Then', text };
+}
+
+// The assertion retrying for `ms` milliseconds, or null if the library has
+// no such step: 'the element "#toast" should be visible within 5 seconds'
+export function withinStep(text, ms) {
+  if (!ms) return null;
+  const seconds = Math.max(1, Math.ceil(ms / 1000));
+  const within = `${text} within ${seconds} second${seconds === 1 ? '' : 's'}`;
+  return findStepDefinition(within) ? within : null;
+}
+
+// The last resort when nothing shows what a sleep waits for; computed
+// delays are rounded to whole milliseconds for the {int} steps, and a
+// single second stays in milliseconds rather than "1 seconds"
+export function sleepStep(ms) {
+  const rounded = Math.round(ms);
+  return rounded >= 2000 && rounded % 1000 === 0
+    ? `I wait for ${rounded / 1000} seconds`
+    : `I wait for ${rounded} milliseconds`;
+}
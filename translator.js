@@ -0,0 +1,1030 @@
+/**
+ * Browser JS → Gherkin statement translator
+ *
+ * Walks parsed test sources (JS or TS, ESM or CommonJS) in source order,
+ * emitting one Gherkin step per recognized statement.
+ */
+
+import {
+  booleanValue,
+  calleePath,
+  isFunction,
+  memberPath,
+  propertyName,
+  quote,
+  stringValue,
+  unwrap,
+} from './ast.js';
+import { assertionSteps, conditionSteps, isAssertCall, isExpectChain, throwGuardSteps } from './assertions.js';
+import { answerStep, dialogAssertionSteps, dialogStub } from './dialogs.js';
+import { domEvent, eventDispatch, eventStep, namedEvent } from './events.js';
+import { EVENT_SHORTHANDS, JQUERY_CALLEES, chainedReceiver, descendant, rewriteSelector, traverse } from './jquery.js';
+import { LEGACY_STEPS, isIgnoredStatement, legacyStep } from './legacy.js';
+import { dataOf, networkStubs, requestAssertionSteps, stubStep } from './network.js';
+import { storageStep, storageWrite } from './storage.js';
+import { isTimerControl, sleepDuration, sleepStep, timerWait, waitUntilStep, withinStep } from './timers.js';
+
+// =============================================================================
+// ELEMENT RESOLUTION
+// =============================================================================
+
+export const DOCUMENT_QUERIES = {
+  getElementById: arg => `#${arg}`,
+  querySelector: arg => arg,
+  querySelectorAll: arg => arg,
+  getElementsByClassName: arg => arg.trim().split(/\s+/).map(c => `.${c}`).join(''),
+  getElementsByTagName: arg => arg,
+  getElementsByName: arg => `[name="${arg}"]`,
+};
+
+const COLLECTION_QUERIES = new Set([
+  'querySelectorAll',
+  'getElementsByClassName',
+  'getElementsByTagName',
+  'getElementsByName',
+]);
+
+// document, window.document, dom.window.document
+const DOCUMENT_PATH = /^((\w+\.)?window\.)?document$/;
+
+// Element methods that query inside the element: form.querySelector('.x')
+const SCOPED_QUERIES = new Set(['querySelector', 'querySelectorAll', 'getElementsByClassName', 'getElementsByTagName']);
+
+// Only helpers this small are inlined; anything larger stays opaque
+const MAX_HELPER_DEPTH = 5;
+
+// =============================================================================
+// STATEMENT TRANSLATOR
+// =============================================================================
+
+const NAVIGATION_TARGETS = new Set([
+  'window.location',
+  'window.location.href',
+  'location',
+  'location.href',
+  'document.location',
+  'document.location.href',
+]);
+
+const NAVIGATION_CALLS = new Set([
+  'window.location.assign',
+  'window.location.replace',
+  'location.assign',
+  'location.replace',
+]);
+
+// Element methods that are one user action: form.submit() → I submit the form
+const ELEMENT_ACTIONS = {
+  click: 'I click on',
+  focus: 'I focus on',
+  blur: 'I remove focus from',
+  submit: 'I submit the form',
+  requestSubmit: 'I submit the form',
+  reset: 'I reset the form',
+};
+
+/**
+ * Walks statements in order and emits steps. Variables, destructured
+ * elements and small helper functions are tracked in lexical scopes, so
+ * `const email = byId('email'); email.value = 'x'` resolves to "#email".
+ *
+ * Pass `bindings` from a previous translator (see collectBindings) to make
+ * module- and describe-level declarations visible inside a test callback.
+ * `plugins` (see plugins.js) are tried on every expression first. With
+ * `legacy` (see legacy.js), statements nothing recognizes become legacy
+ * block steps instead of being dropped. `fixtures` collects the response
+ * bodies of network stubs (see network.js) by fixture file name. The
+ * source `adapter` (see adapters.js) of the file's framework is tried right
+ * after the plugins, and resolves the elements that framework looks up.
+ */
+export class StepTranslator {
+  constructor({ bindings = new Map(), flat = false, plugins = [], legacy = null, fixtures = new Map(), adapter = null } = {}) {
+    this.steps = [];
+    this.plugins = plugins;
+    this.adapter = adapter;
+    this.legacy = legacy;
+    this.fixtures = fixtures;
+    this.scopes = [new Map(bindings)];
+    this.flat = flat;
+    this.silent = 0;
+    this.helperDepth = 0;
+    this.wait = null;
+    // jQuery selectors that were rewritten or can't be, by original selector
+    this.selectorNotes = new Map();
+    // Stub and assertion expressions whose network and dialog calls became
+    // steps, for coverage
+    this.handled = new Set();
+  }
+
+  translate(statements) {
+    this.hoistFunctions(statements);
+    let unrecognized = [];
+    for (const statement of statements) {
+      const before = this.steps.length;
+      const handled = this.visitStatement(statement);
+      if (!handled && this.isUnrecognized(statement, before)) {
+        // A block that held only legacy code is kept whole, condition and all
+        this.steps.splice(before).forEach(step => this.forgetLegacy(step));
+        this.flushSleep();
+        unrecognized.push(statement);
+        continue;
+      }
+      this.emitLegacy(unrecognized, before);
+      unrecognized = [];
+    }
+    this.emitLegacy(unrecognized, this.steps.length);
+    this.flushSleep();
+    return this.steps;
+  }
+
+  // Translate a test or hook callback, or a whole program
+  translateBody(node) {
+    this.visitNested(node);
+    return this.steps;
+  }
+
+  // Walk code for its variable bindings only, e.g. beforeEach hooks that
+  // assign elements used by the test
+  bindOnly(node) {
+    this.silent++;
+    try {
+      this.visitNested(node);
+    } finally {
+      this.silent--;
+    }
+  }
+
+  // `details` carries extras such as the plugin and step definition behind a step
+  emit(keyword, text, node, details = {}) {
+    if (this.silent) return true;
+    if (this.wait) text = this.waitStep(keyword, text);
+    this.steps.push({ keyword, text, node, ...details });
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // LEGACY BLOCKS
+  // ---------------------------------------------------------------------------
+
+  // Only steps of the test itself; helpers that translate partly stay opaque
+  get tracksLegacy() {
+    return Boolean(this.legacy) && !this.silent && this.helperDepth === 0;
+  }
+
+  isUnrecognized(statement, before) {
+    if (!this.tracksLegacy || isIgnoredStatement(statement)) return false;
+    if (!this.steps.slice(before).every(step => step.legacy)) return false;
+
+    // Declarations that bound an element or value feed later steps
+    return statement.type !== 'VariableDeclaration' || statement.declarations.every(d =>
+      d.id.type === 'Identifier' && !this.lookup(d.id.name));
+  }
+
+  // One step for a run of statements, unless it only declares variables
+  emitLegacy(statements, at) {
+    if (!statements.some(s => s.type !== 'VariableDeclaration')) return;
+    const { text, definition, name, created } = legacyStep(statements, this.legacy);
+    this.steps.splice(at, 0, {
+      keyword: 'When',
+      text,
+      node: statements[0],
+      last: statements[statements.length - 1],
+      plugin: LEGACY_STEPS,
+      definition,
+      legacy: { name, created, statements: statements.length },
+    });
+  }
+
+  forgetLegacy(step) {
+    if (step.legacy && step.legacy.created) this.legacy.names.delete(step.legacy.name);
+  }
+
+  // ---------------------------------------------------------------------------
+  // WAITING
+  // ---------------------------------------------------------------------------
+
+  // Assertions after a sleep, or in a timer callback, retry for as long as
+  // it waited. Anything else after a sleep keeps the sleep.
+  waitStep(keyword, text) {
+    const within = keyword === 'Then' ? withinStep(text, this.wait.ms) : null;
+    if (within) {
+      this.wait.used = true;
+      return within;
+    }
+    this.flushSleep();
+    return text;
+  }
+
+  // A pending sleep that no assertion took up becomes a fixed sleep step
+  flushSleep() {
+    const wait = this.wait;
+    if (!wait || !wait.sleep) return;
+    this.wait = null;
+    if (!wait.used) this.steps.push({ keyword: 'When', text: sleepStep(wait.ms), node: wait.node, sleep: wait.ms });
+  }
+
+  waiting(ms, fn) {
+    const saved = this.wait;
+    this.wait = ms ? { ms, sleep: false } : null;
+    try {
+      return fn();
+    } finally {
+      this.wait = saved;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // SCOPES
+  // ---------------------------------------------------------------------------
+
+  lookup(name) {
+    for (let i = this.scopes.length - 1; i >= 0; i--) {
+      if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+    }
+    return null;
+  }
+
+  declare(name, binding) {
+    this.scopes[this.scopes.length - 1].set(name, binding);
+  }
+
+  // Plain assignment updates the nearest scope that declares the name
+  assign(name, binding) {
+    const scope = [...this.scopes].reverse().find(s => s.has(name)) || this.scopes[0];
+    scope.set(name, binding);
+  }
+
+  withScope(fn) {
+    if (this.flat) return fn();
+    this.scopes.push(new Map());
+    try {
+      return fn();
+    } finally {
+      this.scopes.pop();
+    }
+  }
+
+  get bindings() {
+    const merged = new Map();
+    for (const scope of this.scopes) {
+      for (const [name, binding] of scope) merged.set(name, binding);
+    }
+    return merged;
+  }
+
+  hoistFunctions(statements) {
+    for (const statement of statements) {
+      if (statement.type === 'FunctionDeclaration' && statement.id) {
+        this.declare(statement.id.name, { type: 'helper', fn: statement });
+      }
+    }
+  }
+
+  // Describe what a bound expression refers to, or null if nothing useful
+  bindingFor(node) {
+    node = unwrap(node);
+    if (!node) return null;
+    if (isFunction(node)) return { type: 'helper', fn: node };
+
+    const selector = this.resolveElement(node);
+    if (selector) return { type: 'element', selector };
+
+    const collection = this.resolveCollection(node);
+    if (collection) return { type: 'collection', selector: collection };
+
+    // const enter = new KeyboardEvent('keydown', { key: 'Enter' })
+    const event = domEvent(this, node);
+    if (event) return { type: 'event', event };
+
+    const value = this.valueOf(node);
+    if (value !== null) return { type: 'value', value };
+
+    // const user = { name: 'Ann' }, for stubbed responses
+    if (node.type === 'ObjectExpression' || node.type === 'ArrayExpression') {
+      const data = dataOf(this, node);
+      if (data) return { type: 'data', value: data.value };
+    }
+
+    return null;
+  }
+
+  bindPattern(pattern, init, bind) {
+    if (!pattern) return false;
+    init = unwrap(init);
+
+    if (pattern.type === 'Identifier') {
+      const binding = this.bindingFor(init);
+      if (binding) bind(pattern.name, binding);
+      return Boolean(binding);
+    }
+
+    // const [first, second] = document.querySelectorAll('input')
+    if (pattern.type === 'ArrayPattern') {
+      const collection = init && this.resolveCollection(init);
+      let any = false;
+      pattern.elements.forEach((element, i) => {
+        if (!element) return;
+        if (collection) {
+          any = this.bindTarget(element, { type: 'element', selector: `${collection} >> nth=${i}` }, bind) || any;
+        } else if (init && init.type === 'ArrayExpression') {
+          any = this.bindPattern(element, init.elements[i], bind) || any;
+        }
+      });
+      return any;
+    }
+
+    // const { email, password } = form.elements / = { email: byId('email') }
+    if (pattern.type === 'ObjectPattern') {
+      const formSelector = init && init.type === 'MemberExpression' && propertyName(init) === 'elements'
+        ? this.resolveElement(init.object)
+        : null;
+      let any = false;
+      for (const prop of pattern.properties) {
+        if (prop.type !== 'ObjectProperty') continue;
+        const key = prop.computed ? stringValue(prop.key) : prop.key.name || prop.key.value;
+        if (formSelector) {
+          any = this.bindTarget(prop.value, { type: 'element', selector: `${formSelector} [name="${key}"]` }, bind) || any;
+        } else if (init && init.type === 'ObjectExpression') {
+          const source = init.properties.find(p => p.type === 'ObjectProperty' && !p.computed &&
+            (p.key.name || p.key.value) === key);
+          if (source) any = this.bindPattern(prop.value, source.value, bind) || any;
+        }
+      }
+      return any;
+    }
+
+    if (pattern.type === 'AssignmentPattern') {
+      return this.bindPattern(pattern.left, init || pattern.right, bind);
+    }
+
+    return false;
+  }
+
+  bindTarget(target, binding, bind) {
+    if (target.type === 'AssignmentPattern') target = target.left;
+    if (target.type !== 'Identifier') return false;
+    bind(target.name, binding);
+    return true;
+  }
+
+  // ---------------------------------------------------------------------------
+  // ELEMENT RESOLUTION
+  // ---------------------------------------------------------------------------
+
+  // Resolve an expression that yields a single element to a Playwright selector
+  resolveElement(node) {
+    node = unwrap(node);
+    if (!node) return null;
+
+    if (node.type === 'Identifier') {
+      const binding = this.lookup(node.name);
+      return binding && binding.type === 'element' ? binding.selector : null;
+    }
+
+    if (node.type === 'CallExpression') {
+      const adapted = this.adapter && this.adapter.resolveElement ? this.adapter.resolveElement(node, this) : null;
+      if (adapted) return adapted;
+
+      const query = this.resolveQuery(node);
+      if (query) return query.collection ? null : query.selector;
+
+      const chained = this.resolveChain(node);
+      if (chained) return chained;
+
+      const returned = this.callHelper(node);
+      return returned && returned.type === 'element' ? returned.selector : null;
+    }
+
+    if (node.type === 'MemberExpression') {
+      // document.querySelectorAll('li')[2] / items[2]
+      if (node.computed) {
+        const index = unwrap(node.property);
+        const collection = this.resolveCollection(node.object);
+        if (collection && index.type === 'NumericLiteral') return `${collection} >> nth=${index.value}`;
+      }
+
+      // form.elements.email / form.elements['email']
+      const object = unwrap(node.object);
+      if (object.type === 'MemberExpression' && propertyName(object) === 'elements') {
+        const form = this.resolveElement(object.object);
+        const name = propertyName(node);
+        if (form && name) return `${form} [name="${name}"]`;
+      }
+    }
+
+    return null;
+  }
+
+  // Resolve an expression that yields a list of elements
+  resolveCollection(node) {
+    node = unwrap(node);
+    if (!node) return null;
+
+    if (node.type === 'Identifier') {
+      const binding = this.lookup(node.name);
+      return binding && binding.type === 'collection' ? binding.selector : null;
+    }
+
+    if (node.type === 'CallExpression') {
+      const adapted = this.adapter && this.adapter.resolveCollection ? this.adapter.resolveCollection(node, this) : null;
+      if (adapted) return adapted;
+
+      // jQuery sets are both: $('li').length counts them
+      const query = this.resolveQuery(node);
+      if (query) return query.collection || query.jquery ? query.selector : null;
+
+      const chained = this.resolveChain(node);
+      if (chained) return chained;
+
+      const returned = this.callHelper(node);
+      return returned && returned.type === 'collection' ? returned.selector : null;
+    }
+
+    return null;
+  }
+
+  resolveQuery(call) {
+    const callee = unwrap(call.callee);
+
+    // $('x') / jQuery('x'), $('li', list) inside an element, or $(el) wrapping one
+    if (callee.type === 'Identifier' && JQUERY_CALLEES.has(callee.name)) {
+      const [target, context] = call.arguments;
+      const selector = this.valueOf(target);
+      if (!selector) {
+        const wrapped = this.resolveElement(target);
+        return wrapped ? { selector: wrapped, collection: false, jquery: true } : null;
+      }
+      const scope = context ? this.resolveElement(context) : null;
+      if (context && !scope) return null;
+      const rewritten = this.jquerySelector(selector, call);
+      return { selector: scope ? descendant(scope, rewritten) : rewritten, collection: false, jquery: true };
+    }
+
+    if (callee.type !== 'MemberExpression') return null;
+    const method = propertyName(callee);
+    if (!(method in DOCUMENT_QUERIES)) return null;
+
+    const arg = this.valueOf(call.arguments[0]);
+    if (arg === null) return null;
+    const selector = DOCUMENT_QUERIES[method](arg);
+    const collection = COLLECTION_QUERIES.has(method);
+
+    // document.getElementById('x') and friends, also on a jsdom window
+    if (DOCUMENT_PATH.test(memberPath(callee.object) || '')) {
+      return { selector, collection };
+    }
+
+    // form.querySelector('button') → "#login button"
+    if (SCOPED_QUERIES.has(method)) {
+      const parent = this.resolveElement(callee.object);
+      if (parent) return { selector: `${parent} ${selector}`, collection };
+    }
+
+    return null;
+  }
+
+  // jQuery chains: $('ul').find('li').eq(2) → "ul li >> nth=2", and setters
+  // such as .val('x') that return the set they were called on
+  resolveChain(call) {
+    const callee = unwrap(call.callee);
+    if (callee.type !== 'MemberExpression') return null;
+    const receiver = chainedReceiver(call);
+    if (receiver) return this.resolveElement(receiver);
+
+    const method = propertyName(callee);
+    if (!['find', 'children', 'eq', 'first', 'last'].includes(method)) return null;
+    const parent = this.resolveElement(callee.object) || this.resolveCollection(callee.object);
+    if (!parent) return null;
+    const arg = call.arguments.length > 0 ? this.valueOf(call.arguments[0]) : null;
+    if (call.arguments.length > 0 && arg === null) return null;
+    return traverse(method, parent, arg !== null && method !== 'eq' ? this.jquerySelector(arg, call) : arg);
+  }
+
+  // A jQuery selector in Playwright's terms, noting any rewrite for the report
+  jquerySelector(selector, node) {
+    const { selector: rewritten, rewritten: changed, unsupported } = rewriteSelector(selector);
+    if ((changed || unsupported.length > 0) && !this.selectorNotes.has(selector)) {
+      this.selectorNotes.set(selector, { selector, rewritten, unsupported, node });
+    }
+    return rewritten;
+  }
+
+  // String value of a literal, a bound constant or a template built from them
+  valueOf(node) {
+    node = unwrap(node);
+    if (!node) return null;
+
+    const literal = stringValue(node);
+    if (literal !== null) return literal;
+
+    if (node.type === 'Identifier') {
+      const binding = this.lookup(node.name);
+      return binding && binding.type === 'value' ? binding.value : null;
+    }
+
+    if (node.type === 'TemplateLiteral') {
+      let result = '';
+      for (let i = 0; i < node.quasis.length; i++) {
+        result += node.quasis[i].value.cooked;
+        if (i < node.expressions.length) {
+          const part = this.valueOf(node.expressions[i]);
+          if (part === null) return null;
+          result += part;
+        }
+      }
+      return result;
+    }
+
+    if (node.type === 'BinaryExpression' && node.operator === '+') {
+      const left = this.valueOf(node.left);
+      const right = left === null ? null : this.valueOf(node.right);
+      return right === null ? null : left + right;
+    }
+
+    // user.email, where `user` is a row of a Scenario Outline's data table
+    if (node.type === 'MemberExpression' && unwrap(node.object).type === 'Identifier') {
+      const binding = this.lookup(unwrap(node.object).name);
+      const name = propertyName(node);
+      if (binding && binding.type === 'row' && name) return `<${name}>`;
+    }
+
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // HELPER FUNCTIONS
+  // ---------------------------------------------------------------------------
+
+  // Bind a helper's parameters to the call's arguments
+  helperScope(fn, call) {
+    const scope = new Map();
+    fn.params.forEach((param, i) => {
+      this.bindPattern(param, call.arguments[i], (name, binding) => scope.set(name, binding));
+    });
+    return scope;
+  }
+
+  helperFor(call) {
+    const callee = unwrap(call.callee);
+    if (callee.type !== 'Identifier') return null;
+    const binding = this.lookup(callee.name);
+    return binding && binding.type === 'helper' ? binding.fn : null;
+  }
+
+  // For `function byId(id) { return document.getElementById(id) }`, resolve
+  // byId('email') by evaluating the returned expression with `id` bound
+  callHelper(call) {
+    return this.evaluateHelper(call, returned => this.bindingFor(returned));
+  }
+
+  // `evaluate` the expression a one-line helper returns, with the call's
+  // arguments bound; null when the call is to no such helper
+  evaluateHelper(call, evaluate) {
+    const fn = this.helperFor(call);
+    if (!fn || this.helperDepth >= MAX_HELPER_DEPTH) return null;
+
+    const returned = fn.body.type === 'BlockStatement'
+      ? fn.body.body.length === 1 && fn.body.body[0].type === 'ReturnStatement' && fn.body.body[0].argument
+      : fn.body;
+    if (!returned) return null;
+
+    return this.inHelper(this.helperScope(fn, call), () => evaluate(returned));
+  }
+
+  // Inline helpers that perform actions: fill('email', 'x')
+  translateHelperCall(call) {
+    const fn = this.helperFor(call);
+    if (!fn || this.helperDepth >= MAX_HELPER_DEPTH) return false;
+
+    const before = this.steps.length;
+    const scope = this.helperScope(fn, call);
+    this.inHelper(scope, () => {
+      if (fn.body.type === 'BlockStatement') {
+        this.translate(fn.body.body);
+      } else {
+        this.translateExpression(fn.body);
+      }
+    });
+    return this.silent > 0 || this.steps.length > before;
+  }
+
+  inHelper(scope, fn) {
+    this.helperDepth++;
+    this.scopes.push(scope);
+    try {
+      return fn();
+    } finally {
+      this.scopes.pop();
+      this.helperDepth--;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // STATEMENTS
+  // ---------------------------------------------------------------------------
+
+  // True when the statement was translated or bound as a whole
+  visitStatement(node) {
+    switch (node.type) {
+      case 'ExpressionStatement':
+        if (this.translateExpression(node.expression)) return true;
+        break;
+      case 'VariableDeclaration':
+        this.translateDeclaration(node);
+        return false;
+      case 'IfStatement':
+        if (this.translateThrowGuard(node)) return true;
+        break;
+      case 'FunctionDeclaration':
+      case 'ClassDeclaration':
+      case 'ImportDeclaration':
+      case 'TSInterfaceDeclaration':
+      case 'TSTypeAliasDeclaration':
+        return true;
+      default:
+        break;
+    }
+    this.visitNested(node);
+    return false;
+  }
+
+  translateDeclaration(node) {
+    for (const declarator of node.declarations) {
+      // const fetchSpy = jest.spyOn(window, 'fetch').mockResolvedValue(...)
+      if (declarator.id.type === 'Identifier' && declarator.init && this.translateNetwork(declarator.init)) {
+        this.declare(declarator.id.name, { type: 'network' });
+        continue;
+      }
+      // const confirmSpy = jest.spyOn(window, 'confirm').mockReturnValue(true)
+      if (declarator.id.type === 'Identifier' && declarator.init && this.translateDialog(declarator.init, declarator.id.name)) {
+        continue;
+      }
+      // const clock = sinon.useFakeTimers() / const id = setInterval(...)
+      if (declarator.id.type === 'Identifier' && declarator.init && this.translateTimer(declarator.init)) {
+        this.declare(declarator.id.name, { type: 'timer' });
+        continue;
+      }
+      const bound = this.bindPattern(declarator.id, declarator.init, (name, binding) => this.declare(name, binding));
+      if (!bound && declarator.id.type === 'Identifier') {
+        this.declare(declarator.id.name, null);
+      }
+      if (!bound && declarator.init && !isFunction(unwrap(declarator.init))) {
+        if (!this.translateExpression(declarator.init)) this.visitNested(declarator.init);
+      }
+    }
+  }
+
+  // Descend into blocks and callbacks so statements nested in describe/it,
+  // if/else, loops and try blocks are translated in the order they appear.
+  visitNested(node) {
+    if (!node || typeof node.type !== 'string') return;
+
+    if (isFunction(node)) {
+      this.withScope(() => {
+        if (node.body.type === 'BlockStatement') {
+          this.translate(node.body.body);
+        } else if (!this.translateExpression(node.body)) {
+          this.visitNested(node.body);
+        }
+      });
+      return;
+    }
+
+    if (node.type === 'BlockStatement' || node.type === 'Program') {
+      this.translate(node.body);
+      return;
+    }
+
+    for (const key of Object.keys(node)) {
+      if (key === 'loc' || key === 'start' || key === 'end' || key.endsWith('Comments')) continue;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        for (const c of child) {
+          if (c && typeof c.type === 'string') this.visitChild(c);
+        }
+      } else if (child && typeof child.type === 'string') {
+        this.visitChild(child);
+      }
+    }
+  }
+
+  visitChild(node) {
+    if (/Statement$|Declaration$/.test(node.type) && node.type !== 'FunctionDeclaration') {
+      this.visitStatement(node);
+    } else {
+      this.visitNested(node);
+    }
+  }
+
+  translateExpression(expr) {
+    expr = unwrap(expr);
+    if (!expr) return false;
+
+    if (this.plugins.length > 0 && this.translatePlugins(expr)) return true;
+
+    if (this.adapter && this.adapter.translate && this.translateAdapter(expr)) return true;
+
+    if (this.translateNetwork(expr)) return true;
+
+    if (this.translateTimer(expr)) return true;
+
+    if (this.translateDialog(expr)) return true;
+
+    if (this.translateStorage(expr)) return true;
+
+    if (expr.type === 'SequenceExpression') {
+      let any = false;
+      for (const e of expr.expressions) any = this.translateExpression(e) || any;
+      return any;
+    }
+
+    if (expr.type === 'AssignmentExpression' && expr.operator === '=') {
+      return this.translateAssignment(expr);
+    }
+
+    if (expr.type === 'CallExpression' || expr.type === 'OptionalCallExpression') {
+      return this.translateCall(expr);
+    }
+
+    // expect(el).to.be.true
+    if (expr.type === 'MemberExpression' && isExpectChain(expr)) {
+      return this.emitAssertion(expr, assertionSteps(this, expr));
+    }
+
+    return false;
+  }
+
+  // Project plugins get the first chance at every expression
+  translatePlugins(expr) {
+    for (const plugin of this.plugins) {
+      const steps = plugin.translate(expr, this);
+      if (!steps) continue;
+      for (const step of steps) {
+        this.emit(step.keyword, step.text, expr, { plugin, definition: step.definition });
+      }
+      return true;
+    }
+    return false;
+  }
+
+  // Commands of the file's framework: cy.get('#q').type('x'), driver.get(url),
+  // also when their result is assigned: dom = await JSDOM.fromURL(url)
+  translateAdapter(expr) {
+    const assigned = expr.type === 'AssignmentExpression' && unwrap(expr.left).type === 'Identifier';
+    const steps = this.adapter.translate(assigned ? unwrap(expr.right) : expr, this);
+    if (!steps) return false;
+    for (const step of steps) this.emit(step.keyword, step.text, expr);
+    return true;
+  }
+
+  // fetch/XHR stubs become page.route() steps, assertions on them request checks
+  translateNetwork(expr) {
+    const stubs = networkStubs(this, expr);
+    if (stubs) {
+      this.handled.add(expr);
+      if (stubs.bind) this.assign(stubs.bind, { type: 'network' });
+      for (const response of stubs.responses) {
+        if (this.silent) break;
+        const { text, fixture } = stubStep(response, this.fixtures);
+        this.emit('Given', text, expr, fixture ? { fixture } : {});
+      }
+      return true;
+    }
+
+    const assertions = requestAssertionSteps(this, expr);
+    if (!assertions) return false;
+    this.handled.add(expr);
+    for (const text of assertions) this.emit('Then', text, expr);
+    return true;
+  }
+
+  // Dialog stubs tell the World's dialog recorder how to answer, and
+  // assertions on them check what it recorded. `bind` names a variable
+  // declared to hold the stub.
+  translateDialog(expr, bind = null) {
+    const stub = dialogStub(this, expr, bind);
+    if (stub) {
+      this.handled.add(expr);
+      if (stub.bind) this.assign(stub.bind, { type: 'dialog', dialog: stub.type });
+      if (stub.capture) this.assign(stub.capture.name, { type: 'dialogMessage', dialog: stub.type, list: stub.capture.list });
+      const step = answerStep(stub);
+      if (step) this.emit(step.keyword, step.text, expr);
+      return true;
+    }
+
+    const assertions = dialogAssertionSteps(this, expr);
+    if (!assertions) return false;
+    this.handled.add(expr);
+    for (const text of assertions) this.emit('Then', text, expr);
+    return true;
+  }
+
+  // Storage and cookie writes become Given steps, which also hold before the
+  // first navigation; `storage` on the step lets logins be grouped later
+  translateStorage(expr) {
+    const write = storageWrite(this, expr);
+    if (!write) return false;
+    const step = storageStep(write);
+    return this.emit(step.keyword, step.text, expr, { storage: write });
+  }
+
+  // Timers become steps for what they wait on: assertions in a callback get
+  // its delay as a timeout, polled conditions become "I wait until" steps.
+  // A sleep is held back until the next step shows what it waited for.
+  translateTimer(expr) {
+    const ms = sleepDuration(this, expr);
+    if (ms !== null) {
+      const pending = this.wait && this.wait.sleep && !this.wait.used ? this.wait : null;
+      if (!pending) this.flushSleep();
+      if (ms > 0 && !this.silent) {
+        this.wait = pending ? { ...pending, ms: pending.ms + ms } : { ms, node: expr, sleep: true, used: false };
+      }
+      return true;
+    }
+
+    const timer = timerWait(this, expr);
+    if (!timer) return isTimerControl(this, expr);
+
+    this.flushSleep();
+    this.waiting(timer.ms, () => {
+      if (timer.condition) {
+        const texts = conditionSteps(this, timer.condition) || ['the assertion should pass'];
+        for (const text of texts) {
+          const step = waitUntilStep(text);
+          this.emit(step.keyword, step.text, expr);
+        }
+      }
+      if (timer.then) this.visitNested(timer.then);
+    });
+    return true;
+  }
+
+  translateAssignment(expr) {
+    const target = memberPath(expr.left);
+
+    if (target && NAVIGATION_TARGETS.has(target)) {
+      const url = this.valueOf(expr.right);
+      return url !== null && this.emit('Given', `I navigate to ${quote(url)}`, expr);
+    }
+
+    const left = unwrap(expr.left);
+
+    // btn = $('.login')
+    if (left.type === 'Identifier' || left.type === 'ArrayPattern' || left.type === 'ObjectPattern') {
+      return this.bindPattern(left, expr.right, (name, binding) => this.assign(name, binding));
+    }
+
+    if (left.type !== 'MemberExpression') return false;
+    const prop = propertyName(left);
+    const selector = this.resolveElement(left.object);
+    if (!selector) return false;
+
+    if (prop === 'value') {
+      const value = this.valueOf(expr.right);
+      return value !== null && this.emit('When', `I enter ${quote(value)} in the ${quote(selector)} field`, expr);
+    }
+
+    if (prop === 'checked') {
+      const checked = booleanValue(expr.right);
+      if (checked === null) return false;
+      return this.emit('When', `I ${checked ? 'check' : 'uncheck'} the ${quote(selector)} checkbox`, expr);
+    }
+
+    return false;
+  }
+
+  translateCall(call) {
+    const callee = unwrap(call.callee);
+    const path = calleePath(call);
+
+    if (path && NAVIGATION_CALLS.has(path)) {
+      const url = this.valueOf(call.arguments[0]);
+      return url !== null && this.emit('Given', `I navigate to ${quote(url)}`, call);
+    }
+
+    if (isAssertCall(call) || isExpectChain(call)) {
+      return this.emitAssertion(call, assertionSteps(this, call));
+    }
+
+    // el.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' })), fireEvent.click(el)
+    const dispatch = eventDispatch(this, call);
+    if (dispatch) {
+      const step = eventStep(dispatch, this.steps[this.steps.length - 1]);
+      return step ? this.emit(step.keyword, step.text, call) : true;
+    }
+
+    if (callee.type === 'Identifier') {
+      return this.translateHelperCall(call);
+    }
+
+    if (callee.type !== 'MemberExpression') return false;
+    const method = propertyName(callee);
+    const selector = this.resolveElement(callee.object);
+    if (!selector) return false;
+
+    // $('#q').val('x').trigger('change'): the setter comes first
+    if (chainedReceiver(callee.object)) this.translateCall(unwrap(callee.object));
+
+    if (call.arguments.length === 0 && ELEMENT_ACTIONS[method]) {
+      return this.emit('When', `${ELEMENT_ACTIONS[method]} ${quote(selector)}`, call);
+    }
+
+    // jQuery .trigger('change'), .trigger($.Event('keydown', { which: 13 })), .dblclick()
+    const event = method === 'trigger'
+      ? namedEvent(this, call.arguments[0])
+      : EVENT_SHORTHANDS.has(method) && call.arguments.length === 0 ? { type: method, init: {} } : null;
+    if (event) {
+      const step = eventStep({ selector, event }, this.steps[this.steps.length - 1]);
+      return step ? this.emit(step.keyword, step.text, call) : true;
+    }
+
+    // jQuery .prop('checked', true) / .prop('value', 'x')
+    if (method === 'prop' && call.arguments.length === 2) {
+      const name = this.valueOf(call.arguments[0]);
+      const checked = booleanValue(call.arguments[1]);
+      if (name === 'checked' && checked !== null) {
+        return this.emit('When', `I ${checked ? 'check' : 'uncheck'} the ${quote(selector)} checkbox`, call);
+      }
+      const value = name === 'value' ? this.valueOf(call.arguments[1]) : null;
+      return value !== null && this.emit('When', `I enter ${quote(value)} in the ${quote(selector)} field`, call);
+    }
+
+    // jQuery .val('x')
+    if (method === 'val' && call.arguments.length === 1) {
+      const value = this.valueOf(call.arguments[0]);
+      return value !== null && this.emit('When', `I enter ${quote(value)} in the ${quote(selector)} field`, call);
+    }
+
+    return false;
+  }
+
+  // if (!cond) throw new Error('...')
+  translateThrowGuard(node) {
+    const consequent = node.consequent.type === 'BlockStatement' && node.consequent.body.length === 1
+      ? node.consequent.body[0]
+      : node.consequent;
+    if (consequent.type !== 'ThrowStatement' || node.alternate) return false;
+    return this.emitAssertion(node, throwGuardSteps(this, node));
+  }
+
+  // Unrecognized assertion shapes become a pending step, never a passing one
+  emitAssertion(node, steps) {
+    if (!steps) return this.emit('Then', 'the assertion should pass', node);
+    for (const text of steps) this.emit('Then', text, node);
+    return true;
+  }
+}
+
+// Variables and helpers declared anywhere in a file, so a test callback can
+// use elements bound at module or describe level
+export function collectBindings(ast, adapter = null) {
+  const translator = new StepTranslator({ flat: true, adapter });
+  translator.bindOnly(ast.program);
+  return translator.bindings;
+}
+
+// =============================================================================
+// STEP HELPERS
+// =============================================================================
+
+export function formatStep(step) {
+  return `${step.keyword} ${step.text}`;
+}
+
+// Ensure a scenario starts on a page; a Background opens it for every
+// scenario. Setup such as network stubs stays ahead of the page being
+// opened. Scenarios without actions get none: a filler When step would
+// pass without testing anything.
+export function completeScenario(steps, background = []) {
+  const result = [...steps];
+
+  const setup = leadingSetup(result);
+  if (background.length === 0 && (result.length === setup || !isNavigation(result[setup]))) {
+    result.splice(setup, 0, { keyword: 'Given', text: 'I am on the application page' });
+  }
+
+  return result;
+}
+
+// Background steps open the page once for every scenario
+export function completeBackground(steps) {
+  const setup = leadingSetup(steps);
+  if (steps.length === 0 || (setup < steps.length && isNavigation(steps[setup]))) return steps;
+  return [...steps.slice(0, setup), { keyword: 'Given', text: 'I am on the application page' }, ...steps.slice(setup)];
+}
+
+function isNavigation(step) {
+  return /^I navigate to /.test(step.text);
+}
+
+// Steps that must run before the page loads: network stubs, seeded storage
+// and logins
+function isSetup(step) {
+  return /^(the API "[^"]*"|any API request) (responds|fails)/.test(step.text) ||
+    /^((localStorage|sessionStorage|the cookie) "[^"]*" is "|I am logged in as ")/.test(step.text);
+}
+
+function leadingSetup(steps) {
+  const index = steps.findIndex(step => !isSetup(step));
+  return index === -1 ? steps.length : index;
+}
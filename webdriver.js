@@ -0,0 +1,290 @@
+/**
+ * Selenium WebDriverJS
+ *
+ * Source adapter for selenium-webdriver tests: By locators become
+ * Playwright selectors, element commands become steps, and driver.wait()
+ * conditions become waiting or assertion steps.
+ */
+
+import { calleePath, memberPath, propertyName, quote, unwrap } from './ast.js';
+import { hasText } from './jquery.js';
+
+// By.id('x') and the { id: 'x' } shorthand, by locator strategy
+const LOCATORS = {
+  id: value => `#${value}`,
+  css: value => value,
+  name: value => `[name="${value}"]`,
+  className: value => `.${value}`,
+  tagName: value => value,
+  xpath: value => `xpath=${value}`,
+  linkText: value => `a${hasText(value, 'text-is')}`,
+  partialLinkText: value => `a${hasText(value)}`,
+};
+
+// selenium-webdriver Key constants, by Playwright key name
+const KEYS = {
+  ENTER: 'Enter',
+  RETURN: 'Enter',
+  TAB: 'Tab',
+  ESCAPE: 'Escape',
+  SPACE: 'Space',
+  BACK_SPACE: 'Backspace',
+  DELETE: 'Delete',
+  ARROW_UP: 'ArrowUp',
+  ARROW_DOWN: 'ArrowDown',
+  ARROW_LEFT: 'ArrowLeft',
+  ARROW_RIGHT: 'ArrowRight',
+  UP: 'ArrowUp',
+  DOWN: 'ArrowDown',
+  LEFT: 'ArrowLeft',
+  RIGHT: 'ArrowRight',
+  HOME: 'Home',
+  END: 'End',
+  PAGE_UP: 'PageUp',
+  PAGE_DOWN: 'PageDown',
+  CONTROL: 'Control',
+  SHIFT: 'Shift',
+  ALT: 'Alt',
+  META: 'Meta',
+  COMMAND: 'Meta',
+};
+
+// driver, this.driver, browser
+const DRIVER = /(^|\.)(driver|browser)$/i;
+
+// Session plumbing with nothing to show in a scenario
+const SESSION_CALLS = new Set(['quit', 'close']);
+
+export const selenium = {
+  name: 'selenium',
+  label: 'Selenium WebDriverJS',
+  detect: [
+    /\bselenium-webdriver\b/,
+    /\bBy\.(id|css|name|className|tagName|xpath|linkText|partialLinkText)\(/,
+    /\bdriver\.(get|findElements?|wait|quit)\(/,
+    /\buntil\.\w+\(/,
+  ],
+  translate: translateCommand,
+  resolveElement,
+  resolveCollection,
+  describeSubject,
+};
+
+// =============================================================================
+// ELEMENTS
+// =============================================================================
+
+// By.css('#x') / { css: '#x' } → '#x'
+function locatorOf(translator, node) {
+  node = unwrap(node);
+  if (!node) return null;
+  if (node.type === 'CallExpression') {
+    const path = calleePath(node);
+    const strategy = path && path.startsWith('By.') ? path.slice(3) : null;
+    const value = LOCATORS[strategy] ? translator.valueOf(node.arguments[0]) : null;
+    return value === null ? null : LOCATORS[strategy](value);
+  }
+  if (node.type === 'ObjectExpression' && node.properties.length === 1) {
+    const [prop] = node.properties;
+    const strategy = prop.key && (prop.key.name || prop.key.value);
+    const value = LOCATORS[strategy] ? translator.valueOf(prop.value) : null;
+    return value === null ? null : LOCATORS[strategy](value);
+  }
+  return null;
+}
+
+// `method` found on the driver, or inside an element
+function find(translator, call, method) {
+  const callee = unwrap(call.callee);
+  if (callee.type !== 'MemberExpression' || propertyName(callee) !== method) return null;
+  const locator = locatorOf(translator, call.arguments[0]);
+  if (!locator) return null;
+  if (DRIVER.test(memberPath(callee.object) || '')) return locator;
+  const parent = translator.resolveElement(callee.object);
+  return parent ? `${parent} ${locator}` : null;
+}
+
+// driver.findElement(By.id('x')), el.findElement(...),
+// driver.wait(until.elementLocated(By.id('x')))
+function resolveElement(node, translator) {
+  const element = find(translator, node, 'findElement');
+  if (element) return element;
+  const callee = unwrap(node.callee);
+  const waits = propertyName(callee) === 'wait' && DRIVER.test(memberPath(callee.object) || '');
+  const condition = waits ? unwrap(node.arguments[0]) : null;
+  const path = calleePath(condition);
+  if (path === 'until.elementLocated') return locatorOf(translator, condition.arguments[0]);
+  if (path === 'until.elementIsVisible' || path === 'until.elementIsEnabled') {
+    return translator.resolveElement(condition.arguments[0]);
+  }
+  return null;
+}
+
+function resolveCollection(node, translator) {
+  return find(translator, node, 'findElements');
+}
+
+// =============================================================================
+// COMMANDS
+// =============================================================================
+
+function translateCommand(expr, translator) {
+  if (expr.type !== 'CallExpression') return null;
+  const callee = unwrap(expr.callee);
+  if (callee.type !== 'MemberExpression') return null;
+  const method = propertyName(callee);
+  const chain = chainOf(callee);
+
+  // new Builder().forBrowser('chrome').build()
+  if (chain.startsWith('new Builder()')) return [];
+
+  if (DRIVER.test(chain.replace(/\.\w+$/, ''))) {
+    if (method === 'get') return navigation(translator, expr.arguments[0]);
+    if (method === 'wait') return waitSteps(translator, expr.arguments[0]);
+    if (SESSION_CALLS.has(method)) return [];
+  }
+  // driver.navigate().to(url), driver.manage().window().maximize(); other
+  // chains such as driver.findElement(...).sendKeys() act on an element
+  const [root, ...commands] = chain.split('().');
+  const session = /^(.*)\.(navigate|manage|switchTo)$/.exec(root);
+  if (session && DRIVER.test(session[1]) && commands.length > 0) {
+    if (chain.endsWith('.navigate().to')) return navigation(translator, expr.arguments[0]);
+    if (root.endsWith('.manage')) return [];
+    if (/\.switchTo\(\)\.alert\(\)\.(accept|dismiss)$/.test(chain)) {
+      return [{ keyword: 'When', text: `I ${method} the alert` }];
+    }
+    return null;
+  }
+
+  const selector = translator.resolveElement(callee.object);
+  if (!selector) return null;
+  if (method === 'sendKeys') return keySteps(translator, selector, expr.arguments);
+  if (method === 'clear' && expr.arguments.length === 0) {
+    return [{ keyword: 'When', text: `I clear the ${quote(selector)} field` }];
+  }
+  return null;
+}
+
+// driver.manage().window().maximize → 'driver.manage().window().maximize'
+function chainOf(node) {
+  node = unwrap(node);
+  if (!node) return '';
+  switch (node.type) {
+    case 'NewExpression':
+      return `new ${memberPath(node.callee)}()`;
+    case 'CallExpression':
+      return `${chainOf(node.callee)}()`;
+    case 'MemberExpression':
+      return `${chainOf(node.object)}.${propertyName(node)}`;
+    default:
+      return memberPath(node) || '';
+  }
+}
+
+function navigation(translator, node) {
+  const url = translator.valueOf(node);
+  return url === null ? null : [{ keyword: 'Given', text: `I navigate to ${quote(url)}` }];
+}
+
+// el.sendKeys('ann', Key.ENTER) types, then presses Enter
+function keySteps(translator, selector, args) {
+  const steps = [];
+  for (const arg of args) {
+    const key = keyOf(arg);
+    if (key) {
+      steps.push({ keyword: 'When', text: `I press ${quote(key)} in ${quote(selector)}` });
+      continue;
+    }
+    const text = translator.valueOf(arg);
+    if (text === null) return null;
+    steps.push({ keyword: 'When', text: `I type ${quote(text)} in ${quote(selector)}` });
+  }
+  return steps;
+}
+
+// Key.ENTER → 'Enter', Key.chord(Key.CONTROL, 'a') → 'Control+a'
+function keyOf(node) {
+  node = unwrap(node);
+  const path = memberPath(node);
+  if (path && path.startsWith('Key.')) return KEYS[path.slice(4)] || null;
+  if (calleePath(node) !== 'Key.chord') return null;
+  const keys = node.arguments.map(arg => keyOf(arg) || (unwrap(arg).type === 'StringLiteral' ? unwrap(arg).value : null));
+  return keys.every(Boolean) ? keys.join('+') : null;
+}
+
+// driver.wait(until.titleIs('Home'), 5000) and friends
+function waitSteps(translator, node) {
+  const condition = unwrap(node);
+  const path = calleePath(condition);
+  if (!path || !path.startsWith('until.')) return null;
+  const [first, second] = condition.arguments;
+  const element = () => translator.resolveElement(first);
+  const wait = (selector, state) => selector && [{ keyword: 'When', text: `I wait until ${quote(selector)} ${state}` }];
+  const then = (text, value) => value !== null && [{ keyword: 'Then', text: `${text} ${quote(value)}` }];
+
+  switch (path.slice('until.'.length)) {
+    case 'elementLocated':
+      return wait(locatorOf(translator, first), 'exists') || null;
+    case 'elementIsVisible':
+      return wait(element(), 'is visible') || null;
+    case 'elementIsNotVisible':
+      return wait(element(), 'is hidden') || null;
+    case 'stalenessOf':
+      return wait(element(), 'is removed') || null;
+    case 'titleIs':
+      return then('the page title should be', translator.valueOf(first)) || null;
+    case 'urlIs':
+      return then('the URL should be', translator.valueOf(first)) || null;
+    case 'urlContains':
+      return then('the URL should contain', translator.valueOf(first)) || null;
+    case 'elementTextIs':
+    case 'elementTextContains': {
+      const selector = element();
+      const text = translator.valueOf(second);
+      if (!selector || text === null) return null;
+      const check = path.endsWith('Is') ? 'should have text' : 'should contain';
+      return [{ keyword: 'Then', text: `the element ${quote(selector)} ${check} ${quote(text)}` }];
+    }
+    default:
+      return null;
+  }
+}
+
+// =============================================================================
+// SUBJECTS
+// =============================================================================
+
+// What an asserted command reads: await el.getText() → { kind: 'text', selector }
+function describeSubject(node, translator) {
+  if (node.type !== 'CallExpression') return null;
+  const callee = unwrap(node.callee);
+  if (callee.type !== 'MemberExpression') return null;
+  const method = propertyName(callee);
+
+  if (DRIVER.test(memberPath(callee.object) || '')) {
+    if (method === 'getTitle') return { kind: 'title' };
+    if (method === 'getCurrentUrl') return { kind: 'url' };
+    return null;
+  }
+
+  const selector = translator.resolveElement(callee.object);
+  if (!selector) return null;
+  const arg = node.arguments.length === 1 ? translator.valueOf(node.arguments[0]) : null;
+  switch (method) {
+    case 'getText':
+      return { kind: 'text', selector };
+    case 'isDisplayed':
+      return { kind: 'visible', selector };
+    case 'isSelected':
+      return { kind: 'checked', selector };
+    case 'isEnabled':
+      return { kind: 'enabled', selector };
+    case 'getAttribute':
+      if (arg === 'value') return { kind: 'value', selector };
+      return arg !== null ? { kind: 'attribute', selector, name: arg } : null;
+    case 'getCssValue':
+      return arg === 'display' ? { kind: 'display', selector } : null;
+    default:
+      return null;
+  }
+}